@@ -12,9 +12,20 @@
 const path = require('path');
 const fs = require('fs');
 const { execSync } = require('child_process');
-const { getProcessor, processMultipleRoutes, STRATEGIES } = require('./src/processors');
+const { getProcessor, processMultipleRoutes, extractSharedLayout, STRATEGIES } = require('./src/processors');
 const { setupTailwind, fixCssLayerDirectives } = require('./scripts/setupTailwind');
-const findFirstLevelRoutes = require('./src/extractors/findRoutesWithPuppeteer');
+const { crawlRoutes } = require('./src/extractors/findRoutesWithPuppeteer');
+const { createCheckpoint } = require('./src/utils/checkpoint');
+const { configureHttpClient } = require('./src/utils/httpClient');
+const { configureNetwork, createBrowserWithProxy, createAuthenticatedPage } = require('./src/utils/puppeteerConfig');
+const { configureAuth, captureAuthState, saveStorageState } = require('./src/utils/authState');
+const { configureArchive, saveArchive } = require('./src/utils/harArchive');
+const { isLocalInput, toLocalPath, toFileUrl, configureLocalSite } = require('./src/utils/localFiles');
+const { findLocalRoutes } = require('./src/extractors/findLocalRoutes');
+const { isSnapshotFile, importSnapshot } = require('./src/extractors/importSnapshot');
+const { configureReadiness } = require('./src/utils/pageReadiness');
+const { configureOverlays } = require('./src/utils/overlayDismissal');
+const { createBoundaries } = require('./src/converters/componentBoundaries');
 
 async function convertToReactComponent(url, options = {}) {
   const {
@@ -100,12 +111,15 @@ async function convertToReactComponent(url, options = {}) {
 }
 
 /**
- * Discover routes from a starting URL and populate routes.json
+ * Discover routes from a starting URL and populate routes.json.
+ * For a local file or folder (file:// URL) the routes follow the folder structure instead of a crawl,
+ * and for an MHTML/WARC snapshot they are the pages it contains (discoveryOptions.snapshotRoutes).
  * @param {string} startUrl - The starting URL to discover routes from
  * @param {string} outputDir - The output directory to save routes.json
- * @returns {Promise<void>}
+ * @param {object} discoveryOptions - Crawl options (maxDepth, maxPages, sameOrigin, pathPrefix, spaRoutes, useSitemap, checkpoint, snapshotRoutes)
+ * @returns {Promise<Array>} - The discovered routes
  */
-async function discoverAndPopulateRoutes(startUrl, outputDir) {
+async function discoverAndPopulateRoutes(startUrl, outputDir, discoveryOptions = {}) {
   console.log(`🔍 Discovering routes from: ${startUrl}`);
   
   // Ensure output directory exists
@@ -113,9 +127,25 @@ async function discoverAndPopulateRoutes(startUrl, outputDir) {
   
   const routesFilePath = path.join(outputDir, 'routes.json');
   
+  // A resumed run reuses the routes of a discovery that already completed
+  const { checkpoint } = discoveryOptions;
+  if (checkpoint && checkpoint.resume && checkpoint.getDiscovery().status === 'complete' && fs.existsSync(routesFilePath)) {
+    const savedRoutes = JSON.parse(fs.readFileSync(routesFilePath, 'utf8'));
+    console.log(`⏭️ Skipping route discovery, reusing ${savedRoutes.length} routes from routes.json`);
+    return savedRoutes;
+  }
+  
   try {
-    // Discover routes using the Puppeteer script
-    const discoveredRoutes = await findFirstLevelRoutes(startUrl, routesFilePath);
+    // Discover routes using the Puppeteer script, from the pages of a snapshot, or from the folder structure for local sites
+    let discoveredRoutes;
+    if (discoveryOptions.snapshotRoutes) {
+      discoveredRoutes = discoveryOptions.snapshotRoutes;
+      fs.writeFileSync(routesFilePath, JSON.stringify(discoveredRoutes, null, 2));
+    } else if (startUrl.startsWith('file:')) {
+      discoveredRoutes = findLocalRoutes(startUrl, routesFilePath);
+    } else {
+      discoveredRoutes = await crawlRoutes(startUrl, routesFilePath, discoveryOptions);
+    }
     
     console.log(`✅ Discovered ${discoveredRoutes.length} routes and saved to routes.json`);
     return discoveredRoutes;
@@ -166,19 +196,30 @@ async function processRoutesFromJson(outputDir = path.resolve(__dirname, 'output
     const strategy = options.strategy || STRATEGIES.MODULAR;
     const results = await processMultipleRoutes(validRoutes, strategy, outputDir, options);
     
+    // Keep each route's outcome (status, HTTP status, failure reason) in routes.json
+    fs.writeFileSync(routesFilePath, JSON.stringify(routesData, null, 2));
+    
+    // Move the header and footer the pages share into a Layout; only the app's router renders its <Outlet/>
+    const layout = shouldCreateReactApp && options.sharedLayout !== false ? extractSharedLayout(results, outputDir) : null;
+    
     // Create a single React app with all components if requested
     if (shouldCreateReactApp && results.length > 0) {
       console.log(`\n📦 Creating a single React app with all ${results.length} components`);
       
-      // Use the first component as the main one
-      const mainComponentName = routesData[0].componentName;
+      // Use the page mounted at / as the main one, or the first converted component (the home route may have been refused)
+      const mainComponentName = (results.find(result => result.appPath === '/') ||
+        results.find(result => !result.notFound) || results[0]).componentName;
       const reactAppName = options.reactAppName || mainComponentName.toLowerCase() + '-app';
       
       await createMultiComponentReactProject(results, mainComponentName, reactAppName, {
         stylesDir: path.join(outputDir, 'src/styles'),
         includeComputedStyles: options.includeComputedStyles,
         setupTailwindCSS: options.setupTailwindCSS,
-        strategy: options.strategy
+        strategy: options.strategy,
+        layout,
+        // URLs the crawl saw redirecting to a route, e.g. /old-about -> /about
+        redirects: routesData.flatMap(route => (route.redirectedFrom || [])
+          .map(redirect => ({ ...redirect, componentName: route.componentName })))
       });
     }
     
@@ -189,19 +230,108 @@ async function processRoutesFromJson(outputDir = path.resolve(__dirname, 'output
   }
 }
 
+/**
+ * Turns the redirects seen while crawling into router redirects. Redirects
+ * from another host, to a route that wasn't converted or from a path that
+ * already has a route are left out.
+ * @param {Array} redirects - Array of {url, to, status, componentName}
+ * @param {Object} appPaths - Component name -> path of its route in the app
+ * @returns {Array} - Array of {from, to} paths
+ */
+function getRedirectRoutes(redirects, appPaths) {
+  const usedPaths = new Set(Object.values(appPaths));
+  return redirects.flatMap(redirect => {
+    const targetPath = appPaths[redirect.componentName];
+    if (!targetPath || targetPath === '*') return [];
+    
+    let from, to;
+    try {
+      from = new URL(redirect.url);
+      to = new URL(redirect.to);
+    } catch (e) {
+      return [];
+    }
+    if (from.host !== to.host || usedPaths.has(from.pathname)) return [];
+    
+    // A dynamic route (/blog/:slug) is redirected to the instance the URL led to
+    const toPath = targetPath.includes(':') ? to.pathname : targetPath;
+    if (from.pathname === toPath) return [];
+    usedPaths.add(from.pathname);
+    return [{ from: from.pathname, to: toPath }];
+  });
+}
+
+/**
+ * Arranges routes by their URL hierarchy: /team and /team/engineering become a
+ * "team" node holding the Team page and an "engineering" child
+ * @param {Object} appPaths - Component name -> absolute path of its route
+ * @returns {Object} - Root node; nodes are {segment, component, children}
+ */
+function buildRouteTree(appPaths) {
+  const root = { segment: '', component: null, children: [] };
+  Object.entries(appPaths).forEach(([name, routePath]) => {
+    let node = root;
+    routePath.split('/').filter(Boolean).forEach(segment => {
+      let child = node.children.find(candidate => candidate.segment === segment);
+      if (!child) {
+        child = { segment, component: null, children: [] };
+        node.children.push(child);
+      }
+      node = child;
+    });
+    node.component = name;
+  });
+  return root;
+}
+
+/**
+ * Writes route tree nodes as nested <Route> elements. A node with a page and
+ * children gets the page as its index route; a folder without a page and with a
+ * single child is written as one path (docs/api/v1).
+ * @param {Array} nodes - Nodes from buildRouteTree()
+ * @param {string} indent - Indentation of the elements
+ * @param {string} prefix - Prefix of the paths ('/' at the top level, none for nested routes)
+ * @returns {string[]} - Lines of JSX
+ */
+function renderRouteTree(nodes, indent, prefix = '') {
+  return nodes.flatMap(node => {
+    let current = node;
+    let routePath = node.segment;
+    while (!current.component && current.children.length === 1) {
+      current = current.children[0];
+      routePath += `/${current.segment}`;
+    }
+    
+    const element = current.component ? `<${current.component} />` : null;
+    if (current.children.length === 0) {
+      return [`${indent}<Route path="${prefix}${routePath}" element={${element}} />`];
+    }
+    return [
+      `${indent}<Route path="${prefix}${routePath}">`,
+      ...(element ? [`${indent}  <Route index element={${element}} />`] : []),
+      ...renderRouteTree(current.children, `${indent}  `),
+      `${indent}</Route>`
+    ];
+  });
+}
+
 /**
  * Creates a complete React app with multiple extracted components
  * @param {Array} componentResults - Results from processing multiple routes
  * @param {string} mainComponentName - Name of the main component to use as the home page
  * @param {string} projectName - Name for the React project 
  * @param {object} options - Additional options for the React project
+ * @param {Object} options.layout - Shared Layout from extractSharedLayout() ({files, componentNames}); those pages are rendered inside it
+ * @param {Array} options.redirects - Redirects seen while crawling ({url, to, status, componentName}), added as <Navigate> routes
  */
 async function createMultiComponentReactProject(componentResults, mainComponentName, projectName, options = {}) {
   const {
     stylesDir,
     includeComputedStyles = false,
     setupTailwindCSS = false,
-    strategy = STRATEGIES.MODULAR
+    strategy = STRATEGIES.MODULAR,
+    layout = null,
+    redirects = []
   } = options;
   
   const projectPath = path.join(process.cwd(), '..', projectName);
@@ -276,10 +406,11 @@ async function createMultiComponentReactProject(componentResults, mainComponentN
         console.log(`ℹ️ Skipping component CSS for ${componentName} (using global CSS strategy)`);
       }
       
-      // Copy ALL images to this page's images-flat folder
+      // Copy ALL images to this page's images-flat folder (only the ones its region uses with --region)
       const imagesDir = path.join(sourcePageDir, 'images-flat');
       if (fs.existsSync(imagesDir)) {
-        const imageFiles = fs.readdirSync(imagesDir);
+        const imageFiles = fs.readdirSync(imagesDir)
+          .filter(file => !result.usedAssets || result.usedAssets.images.includes(file));
         imageFiles.forEach(file => {
           const sourcePath = path.join(imagesDir, file);
           const targetPath = path.join(pageDir, 'images-flat', file);
@@ -291,10 +422,11 @@ async function createMultiComponentReactProject(componentResults, mainComponentN
         console.log(`✅ Copied ${imageFiles.length} images to ${componentName}/images-flat/`);
       }
       
-      // Copy ALL fonts to this page's fonts-flat folder
+      // Copy ALL fonts to this page's fonts-flat folder (only the ones its region uses with --region)
       const fontsDir = path.join(sourcePageDir, 'fonts-flat');
       if (fs.existsSync(fontsDir)) {
-        const fontFiles = fs.readdirSync(fontsDir);
+        const fontFiles = fs.readdirSync(fontsDir)
+          .filter(file => !result.usedAssets || result.usedAssets.fonts.includes(file));
         fontFiles.forEach(file => {
           const sourcePath = path.join(fontsDir, file);
           const targetPath = path.join(pageDir, 'fonts-flat', file);
@@ -306,6 +438,22 @@ async function createMultiComponentReactProject(componentResults, mainComponentN
         console.log(`✅ Copied ${fontFiles.length} fonts to ${componentName}/fonts-flat/`);
       }
       
+      // Copy the components of the page's repeated cards and tiles, its named components and its sections
+      [...(result.repeatedComponents || []), ...(result.namedComponents || []), ...(result.sectionComponents || [])].forEach(name => {
+        const repeatedComponentPath = path.join(sourcePageDir, `${name}.jsx`);
+        if (fs.existsSync(repeatedComponentPath)) {
+          fs.copyFileSync(repeatedComponentPath, path.join(pageDir, `${name}.jsx`));
+          console.log(`✅ Copied ${name}.jsx to ${componentName}/`);
+        }
+      });
+      
+      // Copy the instance data file of dynamic routes
+      const dataFilePath = path.join(sourcePageDir, `${componentName}.data.json`);
+      if (fs.existsSync(dataFilePath)) {
+        fs.copyFileSync(dataFilePath, path.join(pageDir, `${componentName}.data.json`));
+        console.log(`✅ Copied ${componentName}.data.json to ${componentName}/`);
+      }
+      
       // Copy additional CSS files only for modular strategy
       if (strategy === STRATEGIES.MODULAR) {
         // Copy App.css if it exists and is imported by this component
@@ -369,22 +517,77 @@ async function createMultiComponentReactProject(componentResults, mainComponentN
       path.basename(result.componentPath, '.jsx')
     );
     
+    // Pages are mounted where the links to them point (see getMountedPaths()); the 404 page catches unknown paths
+    const appPaths = {};
+    componentResults.forEach(result => {
+      appPaths[path.basename(result.componentPath, '.jsx')] = result.routePath === '*' ? '*' : result.appPath;
+    });
+    
+    const redirectRoutes = getRedirectRoutes(redirects, appPaths);
+    redirectRoutes.forEach(redirect => console.log(`↪️ Redirect route: ${redirect.from} -> ${redirect.to}`));
+    
+    // Unknown paths get a minimal page unless a 404 page was converted as the NotFound route
+    const notFoundPage = componentNames.find(name => appPaths[name] === '*');
+    const hasNotFoundRoute = Boolean(notFoundPage);
+    const notFoundName = notFoundPage || (componentNames.includes('NotFound') ? 'PageNotFound' : 'NotFound');
+    
+    // Pages that share the header and footer are rendered inside the Layout
+    const layoutNames = new Set(layout ? layout.componentNames.filter(name => componentNames.includes(name)) : []);
+    const layoutName = componentNames.includes('Layout') ? 'SiteLayout' : 'Layout';
+    if (layoutNames.size > 0) {
+      const componentsDir = path.join(projectPath, 'src', 'components');
+      fs.mkdirSync(componentsDir, { recursive: true });
+      layout.files.forEach(file => fs.copyFileSync(file, path.join(componentsDir, path.basename(file))));
+      console.log(`✅ Copied the shared Layout to: ${componentsDir}`);
+    }
+    
+    // The home page is mounted at / and the 404 page at *, the rest by URL hierarchy
+    const notFoundInLayout = hasNotFoundRoute ? layoutNames.has(notFoundPage) : layoutNames.size > 0;
+    const renderPageRoutes = inLayout => {
+      const names = componentNames.filter(name => layoutNames.has(name) === inLayout);
+      const routeTree = buildRouteTree(Object.fromEntries(names
+        // A main page that isn't the home route (which was refused) also keeps its own path
+        .filter(name => appPaths[name] !== '/' && appPaths[name] !== '*')
+        .map(name => [name, appPaths[name]])));
+      return [
+        ...(names.includes(mainComponentName) ? [`<Route path="/" element={<${mainComponentName} />} />`] : []),
+        ...renderRouteTree(routeTree.children, '', '/'),
+        ...(notFoundInLayout === inLayout ? [`<Route path="*" element={<${notFoundName} />} />`] : [])
+      ];
+    };
+    const notFoundComponent = hasNotFoundRoute ? '' : `
+function ${notFoundName}() {
+  return (
+    <main>
+      <h1>Page not found</h1>
+      <p><Link to="/">Go to the home page</Link></p>
+    </main>
+  );
+}
+`;
+    
     // Update App.js to use React Router and page components
     const appJsPath = path.join(projectPath, 'src', 'App.js');
-    const appJsContent = `import React from 'react';
-import { BrowserRouter, Routes, Route } from 'react-router-dom';
-${componentNames.map(name => `import ${name} from './pages/${name}';`).join('\n')}
-
+    // Pages are split into their own chunks and loaded when their route is first visited
+    const appJsContent = `import React, { lazy, Suspense } from 'react';
+import { BrowserRouter, Routes, Route${redirectRoutes.length > 0 ? ', Navigate' : ''}${hasNotFoundRoute ? '' : ', Link'} } from 'react-router-dom';
+${layoutNames.size > 0 ? `import ${layoutName} from './components/Layout';\n` : ''}${componentNames.map(name => `const ${name} = lazy(() => import('./pages/${name}'));`).join('\n')}
+${notFoundComponent}
 function App() {
   return (
     <BrowserRouter>
       <div className="App">
-        <Routes>
-          <Route path="/" element={<${mainComponentName} />} />
-          ${componentNames.filter(name => name !== mainComponentName)
-            .map(name => `<Route path="/${name.toLowerCase()}" element={<${name} />} />`)
-            .join('\n          ')}
-        </Routes>
+        <Suspense fallback={<div className="page-loading">Loading...</div>}>
+          <Routes>
+            ${[
+              ...(layoutNames.size > 0
+                ? [`<Route element={<${layoutName} />}>`, ...renderPageRoutes(true).map(line => `  ${line}`), '</Route>']
+                : []),
+              ...renderPageRoutes(false),
+              ...redirectRoutes.map(redirect => `<Route path="${redirect.from}" element={<Navigate to="${redirect.to}" replace />} />`)
+            ].join('\n            ')}
+          </Routes>
+        </Suspense>
       </div>
     </BrowserRouter>
   );
@@ -615,16 +818,97 @@ function fixFontPaths(cssContent) {
   return cssContent;
 }
 
+/**
+ * Run the login script (if any) and save the auth state (if requested) before discovery starts.
+ * A login script exports an async function receiving {page, browser, startUrl}; the cookies and
+ * localStorage the page ends up with are used for the rest of the run.
+ * @param {string} loginScript - Path of the login script, or null
+ * @param {string} startUrl - URL the run starts from
+ * @param {string} saveStatePath - Where to save the auth state as a storageState file, or null
+ * @returns {Promise<void>}
+ */
+async function prepareAuthState(loginScript, startUrl, saveStatePath) {
+  if (loginScript) {
+    console.log(`🔐 Running login script: ${loginScript}`);
+    const login = require(path.resolve(loginScript));
+    const browser = await createBrowserWithProxy({ headless: 'new' });
+    try {
+      const page = await createAuthenticatedPage(browser);
+      await login({ page, browser, startUrl });
+      await captureAuthState(page);
+      console.log('✅ Login script finished');
+    } finally {
+      await browser.close();
+    }
+  }
+  
+  if (saveStatePath) {
+    saveStorageState(saveStatePath);
+  }
+}
+
+/**
+ * Get the value that follows a command line flag
+ * @param {Array} args - Command line arguments
+ * @param {string} longFlag - Long form of the flag (e.g. --max-depth)
+ * @param {string} shortFlag - Optional short form of the flag
+ * @returns {string|undefined} - The flag value, or undefined if the flag is absent
+ */
+function getArgValue(args, longFlag, shortFlag = null) {
+  const index = args.findIndex(arg => arg === longFlag || (shortFlag && arg === shortFlag));
+  return index !== -1 && index + 1 < args.length ? args[index + 1] : undefined;
+}
+
+/**
+ * Get every value given for a repeatable command line flag
+ * @param {Array} args - Command line arguments
+ * @param {string} flag - The flag (e.g. --exclude)
+ * @returns {string[]} - All values that follow the flag
+ */
+function getArgValues(args, flag) {
+  return args
+    .map((arg, i) => (arg === flag && i + 1 < args.length ? args[i + 1] : undefined))
+    .filter(value => value !== undefined);
+}
+
+/**
+ * Get the number given for a command line flag; an invalid number ends the run with an error
+ * @param {Array} args - Command line arguments
+ * @param {string} flag - The flag (e.g. --max-depth)
+ * @param {*} defaultValue - Value when the flag isn't given
+ * @param {Object} options - Allowed values
+ * @param {number} options.min - Smallest allowed value (default: 0)
+ * @param {boolean} options.integer - Only whole numbers are allowed (default: true)
+ * @returns {number|*} - The number, or defaultValue
+ */
+function getNumberArg(args, flag, defaultValue, options = {}) {
+  const { min = 0, integer = true } = options;
+  const value = getArgValue(args, flag);
+  if (value === undefined) return defaultValue;
+  const number = Number(value);
+  if (!value.trim() || !Number.isFinite(number) || (integer && !Number.isInteger(number)) || number < min) {
+    console.error(`❌ Error: ${flag} must be ${integer ? 'a whole number' : 'a number'} of at least ${min}, got "${value}"`);
+    process.exit(1);
+  }
+  return number;
+}
+
 // Run if called directly
 if (require.main === module) {
   // Get URL and component name from command line
   const args = process.argv.slice(2);
-  const url = args[0];
+  // A local HTML file or folder is converted through file:// URLs
+  const localInput = isLocalInput(args[0]);
+  const url = localInput ? toFileUrl(toLocalPath(args[0])) : args[0];
+  if (localInput) {
+    configureLocalSite(url);
+  }
   const componentName = args[1] || 'ExtractedComponent';
   const createReactApp = args.includes('--create-app') || args.includes('-c');
   const includeComputedStyles = args.includes('--include-computed') || args.includes('-i');
   const setupTailwindCSS = args.includes('--tailwind') || args.includes('-t');
   const useHardcodedRoutes = args.includes('--hardcoded') || args.includes('-h');
+  const resume = args.includes('--resume');
   const reactAppName = args.find((arg, i) => 
     (arg === '--app-name' || arg === '-a') && i + 1 < args.length
   ) ? args[args.findIndex(arg => arg === '--app-name' || arg === '-a') + 1] : componentName.toLowerCase() + '-app';
@@ -635,6 +919,77 @@ if (require.main === module) {
   ) ? args[args.findIndex(arg => arg === '--strategy' || arg === '-s') + 1] : 'modular';
   const strategy = strategyArg.toLowerCase() === 'global' ? STRATEGIES.GLOBAL : STRATEGIES.MODULAR;
   
+  // Parse route discovery flags
+  const discoveryOptions = {
+    maxDepth: getNumberArg(args, '--max-depth', 1),
+    maxPages: getNumberArg(args, '--max-pages', 50, { min: 1 }),
+    pathPrefix: getArgValue(args, '--path-prefix') || null,
+    sameOrigin: !args.includes('--cross-origin'),
+    spaRoutes: args.includes('--spa'),
+    useSitemap: args.includes('--sitemap'),
+    sitemapUrls: getArgValue(args, '--sitemap-url') ? [getArgValue(args, '--sitemap-url')] : [],
+    include: getArgValues(args, '--include'),
+    exclude: getArgValues(args, '--exclude'),
+    useDefaultExcludes: !args.includes('--no-default-excludes'),
+    dynamicRoutes: args.includes('--dynamic-routes'),
+    minClusterSize: getNumberArg(args, '--dynamic-min-size', 3, { min: 2 })
+  };
+  
+  // Parse parallelism flags
+  const concurrency = getNumberArg(args, '--concurrency', 1, { min: 1 });
+  const rateLimit = getNumberArg(args, '--rate-limit', null, { integer: false });
+  
+  // Requests per host stay under --rate-limit (if given) and back off on 429/503 responses
+  configureHttpClient({ requestsPerSecond: rateLimit });
+  
+  // Network profile shared by the browser and asset downloads (defaults come from .env)
+  configureNetwork({
+    proxy: args.includes('--no-proxy') ? 'direct' : getArgValue(args, '--proxy'),
+    proxyRules: getArgValues(args, '--proxy-rule'),
+    userAgent: getArgValue(args, '--user-agent'),
+    headers: Object.fromEntries(getArgValues(args, '--header').map(header => {
+      const separator = header.indexOf(':');
+      return [header.slice(0, separator).trim(), header.slice(separator + 1).trim()];
+    }).filter(([name]) => name)),
+    locale: getArgValue(args, '--locale'),
+    timezone: getArgValue(args, '--timezone')
+  });
+  
+  // Session cookies and localStorage for sites behind a login
+  configureAuth({
+    cookieFiles: getArgValues(args, '--cookies'),
+    storageState: getArgValue(args, '--storage-state')
+  });
+  const loginScript = getArgValue(args, '--login-script');
+  const saveStatePath = getArgValue(args, '--save-storage-state');
+  
+  // When a loaded page is ready to be extracted; routes.json entries can override it with a "readiness" object
+  configureReadiness({
+    waitForSelector: getArgValue(args, '--wait-for'),
+    waitForFunction: getArgValue(args, '--wait-for-function'),
+    scroll: args.includes('--scroll') || undefined,
+    idleTimeMs: getNumberArg(args, '--idle-time', undefined),
+    idleConnections: getNumberArg(args, '--idle-connections', undefined),
+    maxWaitMs: getNumberArg(args, '--max-wait', undefined)
+  });
+  
+  // Cookie banners, consent walls and popups are dismissed before each page is captured
+  configureOverlays({
+    mode: getArgValue(args, '--overlays') || 'click',
+    ruleFiles: getArgValues(args, '--overlay-rules')
+  });
+  
+  // Record every response to a HAR file, or replay a recorded one offline
+  configureArchive({
+    record: getArgValue(args, '--record'),
+    replay: getArgValue(args, '--replay')
+  });
+  
+  // Saved pages (MHTML, WARC) are served from the snapshot, with no network access
+  if (localInput && isSnapshotFile(url)) {
+    discoveryOptions.snapshotRoutes = importSnapshot(toLocalPath(url));
+  }
+  
   const outputDir = path.resolve(__dirname, 'output');
   
   // Check if routes.json exists
@@ -649,9 +1004,38 @@ if (require.main === module) {
     includeComputedStyles, 
     setupTailwindCSS,
     strategy,
-    outputDir
+    outputDir,
+    concurrency,
+    allowNotFound: args.includes('--allow-not-found'),
+    sharedLayout: !args.includes('--no-layout'),
+    repeatedComponents: !args.includes('--no-components'),
+    splitSections: args.includes('--split-sections'),
+    // Convert only a region of every page, and write subtrees matching selectors to named components
+    boundaries: createBoundaries({
+      configFile: getArgValue(args, '--boundaries'),
+      region: getArgValues(args, '--region'),
+      components: getArgValues(args, '--component')
+    })
   };
 
+  // Checkpoints let an interrupted run continue with --resume, as long as pages are converted the same way
+  const checkpoint = url || hasRoutesFile
+    ? createCheckpoint(outputDir, {
+      resume,
+      startUrl: url && !useHardcodedRoutes ? url : null,
+      conversion: {
+        strategy,
+        overlays: getArgValue(args, '--overlays') || 'click',
+        allowNotFound: options.allowNotFound,
+        repeatedComponents: options.repeatedComponents,
+        splitSections: options.splitSections,
+        boundaries: options.boundaries
+      }
+    })
+    : null;
+  discoveryOptions.checkpoint = checkpoint;
+  options.checkpoint = checkpoint;
+  
   // Handle hardcoded routes flag
   if (useHardcodedRoutes) {
     if (!hasRoutesFile) {
@@ -660,7 +1044,9 @@ if (require.main === module) {
       process.exit(1);
     }
     console.log('🔄 Using hardcoded routes from existing routes.json (skipping route discovery)');
-    processRoutesFromJson(outputDir, options)
+    prepareAuthState(loginScript, null, saveStatePath)
+      .then(() => processRoutesFromJson(outputDir, options))
+      .finally(() => saveArchive())
       .then(() => console.log('✨ All hardcoded routes processed successfully!'))
       .catch(err => {
         console.error('❌ Error:', err);
@@ -671,13 +1057,15 @@ if (require.main === module) {
   else if (url) {
     console.log('🔄 Starting automated workflow with route discovery');
     
-    // First, discover routes and populate routes.json
-    discoverAndPopulateRoutes(url, outputDir)
+    // Log in first, then discover routes and populate routes.json
+    prepareAuthState(loginScript, url, saveStatePath)
+      .then(() => discoverAndPopulateRoutes(url, outputDir, discoveryOptions))
       .then(() => {
         // Then process all discovered routes
         console.log('🔄 Processing discovered routes');
         return processRoutesFromJson(outputDir, options);
       })
+      .finally(() => saveArchive())
       .then(() => console.log('✨ All routes processed successfully!'))
       .catch(err => {
         console.error('❌ Error:', err);
@@ -686,7 +1074,9 @@ if (require.main === module) {
   } else if (hasRoutesFile) {
     // Fallback: if no URL provided but routes.json exists, process existing routes
     console.log('🔄 Processing existing routes from routes.json (no URL provided)');
-    processRoutesFromJson(outputDir, options)
+    prepareAuthState(loginScript, null, saveStatePath)
+      .then(() => processRoutesFromJson(outputDir, options))
+      .finally(() => saveArchive())
       .then(() => console.log('✨ All routes processed successfully!'))
       .catch(err => {
         console.error('❌ Error:', err);
@@ -694,7 +1084,7 @@ if (require.main === module) {
       });
   } else {
     console.error('❌ Error: No URL provided and no routes.json found in output directory');
-    console.error('Usage: node html-to-react.js <url> [component-name] [OPTIONS]');
+    console.error('Usage: node html-to-react.js <url|file|folder> [component-name] [OPTIONS]');
     console.error('');
     console.error('Options:');
     console.error('  --create-app, -c              Create a complete React app');
@@ -703,6 +1093,49 @@ if (require.main === module) {
     console.error('  --tailwind, -t                Setup Tailwind CSS (modular strategy only)');
     console.error('  --strategy, -s <strategy>     CSS strategy: "modular" (default) or "global"');
     console.error('  --hardcoded, -h               Use existing routes.json instead of discovering routes');
+    console.error('  --resume                      Continue an interrupted run from output/checkpoint.json');
+    console.error('  --concurrency <n>             Number of routes processed in parallel (default: 1)');
+    console.error('  --rate-limit <n>              Maximum requests per second to each host (default: unlimited)');
+    console.error('  --proxy <url>                 Proxy for all requests (http://, https://, socks4:// or socks5://)');
+    console.error('  --no-proxy                    Connect directly, ignoring PROXY_* settings in .env');
+    console.error('  --proxy-rule <host>=<proxy>   Per-host proxy or "direct", host may use * (repeatable)');
+    console.error('  --user-agent <ua>             User agent for pages and downloads');
+    console.error('  --header "<Name>: <value>"    Extra request header (repeatable)');
+    console.error('  --locale <locale>             Browser locale and Accept-Language, e.g. de-DE');
+    console.error('  --timezone <tz>               Browser timezone, e.g. Europe/Berlin');
+    console.error('  --cookies <file>              Import session cookies (Netscape cookies.txt or JSON, repeatable)');
+    console.error('  --storage-state <file>        Load cookies and localStorage from a Playwright-style storageState file');
+    console.error('  --login-script <file>         Run a login flow (module exporting async ({page, browser, startUrl})) before discovery');
+    console.error('  --save-storage-state <file>   Save the resulting cookies and localStorage as a storageState file');
+    console.error('  --wait-for <selector>         Wait for a CSS selector before extracting each page');
+    console.error('  --wait-for-function <js>      Wait for a JavaScript expression to be truthy before extracting');
+    console.error('  --scroll                      Scroll each page to the bottom to trigger lazy loading');
+    console.error('  --idle-time <ms>              Quiet time after which the network counts as idle (default: 500)');
+    console.error('  --idle-connections <n>        Requests that may stay open when idle, e.g. long-polling (default: 0)');
+    console.error('  --max-wait <ms>               Maximum wait for a page to become ready after it loads (default: 30000)');
+    console.error('  --allow-not-found             Convert 404 pages into the NotFound (*) route instead of refusing them');
+    console.error('  --no-components               Keep repeated cards and tiles inline instead of extracting components');
+    console.error('  --split-sections              Split each page into section components (Hero, Features, ...)');
+    console.error('  --no-layout                   Keep the shared header and footer in every page instead of moving them to a Layout');
+    console.error('  --region <selector>           Convert only the elements matching a CSS selector (repeatable)');
+    console.error('  --component <Name>=<selector> Write the subtree matching a CSS selector to Name.jsx (repeatable)');
+    console.error('  --boundaries <file.json>      Region and named components from a file ({region, components})');
+    console.error('  --overlays <mode>             Cookie banners and popups: "click" through them (default), "remove" their DOM or "off"');
+    console.error('  --overlay-rules <file.json>   Extra overlay rules ({name, selector, accept, remove}, repeatable)');
+    console.error('  --record <file.har>           Record every network response of the run to a HAR archive');
+    console.error('  --replay <file.har>           Serve every request from a recorded HAR archive (offline)');
+    console.error('  --max-depth <n>               How many links deep to crawl from the start URL (default: 1)');
+    console.error('  --max-pages <n>               Maximum number of routes to discover (default: 50)');
+    console.error('  --path-prefix <prefix>        Only crawl URLs whose path starts with <prefix>');
+    console.error('  --cross-origin                Also follow links to other origins');
+    console.error('  --spa                         Record client-side (pushState and #/hash) route changes instead of reloading per click');
+    console.error('  --sitemap                     Seed discovery from robots.txt and sitemap.xml');
+    console.error('  --sitemap-url <url>           Seed discovery from a specific sitemap (or sitemap index)');
+    console.error('  --include <pattern>           Only discover routes matching a glob or re:<regex> (repeatable)');
+    console.error('  --exclude <pattern>           Skip routes matching a glob or re:<regex> (repeatable)');
+    console.error('  --no-default-excludes         Keep logout, cart, admin, file download and tracking URLs');
+    console.error('  --dynamic-routes              Collapse same-shaped URLs (/blog/a, /blog/b, ...) into one /blog/:slug route');
+    console.error('  --dynamic-min-size <n>        Minimum number of pages that form a dynamic route (default: 3)');
     console.error('');
     console.error('CSS Strategies:');
     console.error('  modular: Component-specific CSS files + Tailwind support (ideal for Tailwind/component-based sites)');
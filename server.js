@@ -4,6 +4,7 @@ const { spawn } = require('child_process');
 const fs = require('fs');
 const WebSocket = require('ws');
 const http = require('http');
+const { isLocalInput, toLocalPath } = require('./src/utils/localFiles');
 
 const app = express();
 const server = http.createServer(app);
@@ -20,8 +21,10 @@ app.use(express.static(path.join(__dirname, 'public')));
 // Utility function to extract domain name and generate project names from URL
 function generateProjectNames(url) {
     try {
-        const urlObj = new URL(url);
-        let domain = urlObj.hostname;
+        // Local files and folders are named after the file or folder
+        let domain = isLocalInput(url)
+            ? path.basename(toLocalPath(url)).replace(/\.html?$/i, '')
+            : new URL(url).hostname;
         
         // Remove 'www.' if present
         domain = domain.replace(/^www\./, '');
@@ -54,11 +57,29 @@ function generateProjectNames(url) {
     }
 }
 
-// Validate URL format
+// Folder the web UI may convert local files and sites from (LOCAL_SITES_DIR); without it only web URLs are accepted
+const localSitesDir = process.env.LOCAL_SITES_DIR ? fs.realpathSync(path.resolve(process.env.LOCAL_SITES_DIR)) : null;
+
+// Check that a local input lies inside LOCAL_SITES_DIR, following symlinks
+function isAllowedLocalInput(input) {
+    if (!localSitesDir || !isLocalInput(input)) {
+        return false;
+    }
+    try {
+        const realPath = fs.realpathSync(toLocalPath(input));
+        return realPath === localSitesDir || realPath.startsWith(localSitesDir + path.sep);
+    } catch (_) {
+        return false;
+    }
+}
+
+// Validate URL format (a local HTML file or folder inside LOCAL_SITES_DIR is accepted too)
 function isValidUrl(string) {
+    if (isLocalInput(string)) {
+        return isAllowedLocalInput(string);
+    }
     try {
-        new URL(string);
-        return true;
+        return /^https?:$/.test(new URL(string).protocol);
     } catch (_) {
         return false;
     }
@@ -0,0 +1,218 @@
+/**
+ * Selector-based component boundaries
+ *
+ * CSS selectors given on the command line, in a boundaries file or on a route
+ * in routes.json can (a) restrict a page to a region, such as only its pricing
+ * table, and (b) mark subtrees to emit as named components, such as `.navbar`
+ * as Navbar.jsx. The region is applied to the page's HTML before anything else
+ * is done with it. Named components are marked with an attribute that
+ * convertHTMLtoJSX turns into tokens around the subtree's JSX, so that the
+ * subtree can be written to its own file once the page is converted.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const cheerio = require('cheerio');
+
+/**
+ * Attribute that marks the root of a named component until it is converted
+ */
+const COMPONENT_ATTRIBUTE = 'data-wtr-component';
+
+/**
+ * Names the generated app already uses
+ */
+const RESERVED_NAMES = new Set(['React', 'Link', 'Fragment', 'Suspense', 'Outlet', 'App', 'Layout', 'Header', 'Footer', 'NotFound']);
+
+/**
+ * Create the tokens that delimit a named component in the converted JSX
+ * @param {string} name - Component name
+ * @returns {{start: string, end: string}}
+ */
+function createComponentTokens(name) {
+  return { start: `__WTR_COMPONENT_START_${name}__`, end: `__WTR_COMPONENT_END_${name}__` };
+}
+
+/**
+ * Checks that a selector can be parsed
+ * @param {string} selector - CSS selector
+ * @param {string} source - Where the selector comes from, for the error message
+ */
+function validateSelector(selector, source) {
+  if (typeof selector !== 'string' || !selector.trim()) {
+    throw new Error(`Empty selector in ${source}`);
+  }
+  try {
+    cheerio.load('')(selector);
+  } catch (error) {
+    throw new Error(`Invalid selector "${selector}" in ${source}: ${error.message}`);
+  }
+}
+
+/**
+ * Normalizes named components given as {Name: selector}, [{name, selector}] or ["Name=selector"]
+ * @param {Object|Array} components - Named components
+ * @param {string} source - Where they come from, for error messages
+ * @returns {Array} - [{name, selector}]
+ */
+function normalizeComponents(components, source) {
+  const entries = Array.isArray(components)
+    ? components.map(component => {
+      if (typeof component !== 'string') return [component && component.name, component && component.selector];
+      const separator = component.indexOf('=');
+      return separator === -1 ? [null, component] : [component.slice(0, separator).trim(), component.slice(separator + 1).trim()];
+    })
+    : Object.entries(components || {});
+  return entries.map(([name, selector]) => {
+    if (!/^[A-Z][A-Za-z0-9]*$/.test(name || '')) {
+      throw new Error(`Component name "${name}" in ${source} must be PascalCase (e.g. Navbar=.navbar)`);
+    }
+    if (RESERVED_NAMES.has(name)) {
+      throw new Error(`Component name "${name}" in ${source} is used by the generated app; pick another one (e.g. Site${name})`);
+    }
+    validateSelector(selector, source);
+    return { name, selector };
+  });
+}
+
+/**
+ * Builds the boundaries of the run from the command line and a boundaries file
+ * @param {Object} options - Boundary options
+ * @param {string} options.configFile - JSON file with {region, components}
+ * @param {string[]} options.region - Region selectors (--region)
+ * @param {string[]} options.components - Named components as Name=selector (--component)
+ * @returns {Object|null} - {region: string[], components: [{name, selector}]}, or null when none are set
+ */
+function createBoundaries(options = {}) {
+  const { configFile = null, region = [], components = [] } = options;
+  const config = configFile ? JSON.parse(fs.readFileSync(path.resolve(configFile), 'utf8')) : {};
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error(`Boundaries in ${configFile} must be a JSON object ({region, components})`);
+  }
+  [].concat(config.region || []).forEach(selector => validateSelector(selector, configFile));
+  [].concat(region).forEach(selector => validateSelector(selector, 'the command line'));
+  const boundaries = mergeBoundaries(
+    {
+      region: [].concat(config.region || []),
+      components: normalizeComponents(config.components, configFile)
+    },
+    { region, components: normalizeComponents(components, 'the command line') }
+  );
+  if (!boundaries) return null;
+  if (boundaries.region.length > 0) {
+    console.log(`✂️ Converting only the region ${boundaries.region.join(', ')} of every page`);
+  }
+  if (boundaries.components.length > 0) {
+    console.log(`🧩 Named components: ${boundaries.components.map(component => `${component.name} (${component.selector})`).join(', ')}`);
+  }
+  return boundaries;
+}
+
+/**
+ * Merges boundaries: a region of the override replaces the base one, named
+ * components are added (an override with the same name wins)
+ * @param {Object} base - Boundaries ({region, components})
+ * @param {Object} override - Boundaries overriding them (e.g. a route's)
+ * @returns {Object|null} - Merged boundaries, or null when none are set
+ */
+function mergeBoundaries(base, override) {
+  const region = [].concat((override && override.region) || []);
+  const overrideComponents = (override && override.components) || [];
+  const merged = {
+    region: region.length > 0 ? region : [].concat((base && base.region) || []),
+    components: [
+      ...((base && base.components) || []).filter(component => !overrideComponents.some(other => other.name === component.name)),
+      ...overrideComponents
+    ]
+  };
+  return merged.region.length > 0 || merged.components.length > 0 ? merged : null;
+}
+
+/**
+ * Returns the boundaries of a route: the run's, with the route's region and
+ * components from routes.json
+ * @param {Object} boundaries - Boundaries of the run
+ * @param {Object} route - Route ({region, components})
+ * @returns {Object|null}
+ */
+function getRouteBoundaries(boundaries, route) {
+  if (!route.region && !route.components) return boundaries || null;
+  const source = `routes.json (${route.componentName})`;
+  const region = [].concat(route.region || []);
+  region.forEach(selector => validateSelector(selector, source));
+  return mergeBoundaries(boundaries, { region, components: normalizeComponents(route.components, source) });
+}
+
+/**
+ * Restricts a page to its region and marks its named components
+ * @param {string} html - Page HTML
+ * @param {Object} boundaries - Boundaries ({region, components}), or null
+ * @param {string} pageName - Component name of the page, which a named component must not take
+ * @returns {{html: string, components: string[]}} - HTML, and the names of the components found
+ * @throws {Error} - With code ERR_REGION_NOT_FOUND when no element matches the region
+ */
+function applyBoundaries(html, boundaries, pageName = null) {
+  if (!boundaries) {
+    return { html, components: [] };
+  }
+  const $ = cheerio.load(html);
+  const root = $('body').length ? $('body') : $.root();
+
+  if (boundaries.region.length > 0) {
+    const matches = root.find(boundaries.region.join(', ')).toArray();
+    if (matches.length === 0) {
+      const error = new Error(`No element matches the region ${boundaries.region.join(', ')}`);
+      error.code = 'ERR_REGION_NOT_FOUND';
+      error.reason = `region ${boundaries.region.join(', ')} not found`;
+      throw error;
+    }
+    // Everything but the region and its ancestors goes; the ancestors keep the styles that depend on them
+    const kept = new Set();
+    matches.forEach(match => {
+      $(match).find('*').addBack().each((_, el) => kept.add(el));
+      $(match).parents().each((_, el) => kept.add(el));
+    });
+    const prune = node => {
+      (node.children || []).slice().forEach(child => {
+        if (kept.has(child)) {
+          if (!matches.includes(child)) prune(child);
+        } else if (child.type !== 'text' || !matches.some(match => match.parent === node)) {
+          $(child).remove();
+        }
+      });
+    };
+    prune(root[0]);
+    console.log(`✂️ Kept ${matches.length} element${matches.length !== 1 ? 's' : ''} matching ${boundaries.region.join(', ')}`);
+  }
+
+  const found = boundaries.components.filter(({ name, selector }) => {
+    if (name === pageName) {
+      console.warn(`⚠️ ${name} is the name of the page; the component for ${selector} is not extracted`);
+      return false;
+    }
+    const matches = root.find(selector);
+    if (matches.length === 0) {
+      console.warn(`⚠️ No element matches ${selector}; ${name} is not extracted`);
+      return false;
+    }
+    if (matches.length > 1) {
+      console.warn(`⚠️ ${selector} matches ${matches.length} elements; only the first becomes ${name}`);
+    }
+    if (matches.first().attr(COMPONENT_ATTRIBUTE)) {
+      console.warn(`⚠️ ${selector} is already the ${matches.first().attr(COMPONENT_ATTRIBUTE)} component; ${name} is not extracted`);
+      return false;
+    }
+    matches.first().attr(COMPONENT_ATTRIBUTE, name);
+    return true;
+  }).map(({ name }) => name);
+
+  return { html: $.html(), components: found };
+}
+
+module.exports = {
+  COMPONENT_ATTRIBUTE,
+  createComponentTokens,
+  createBoundaries,
+  getRouteBoundaries,
+  applyBoundaries
+};
@@ -1,4 +1,8 @@
+const crypto = require("crypto");
 const cheerio = require("htmlparser2");
+const { hasBindingToken } = require("./jsxBindings");
+const { COMPONENT_ATTRIBUTE, createComponentTokens } = require("./componentBoundaries");
+const { createElement, appendText, printJSX } = require("./jsxPrinter");
 
 /**
  * Maps HTML attributes to their React (JSX) equivalents.
@@ -128,9 +132,6 @@ function convertStyle(styleString) {
   };
 }
 
-let customClassCounter = 0;
-const cssVarMap = {};
-
 /**
  * Check if a value represents a boolean
  * @param {string} value - The attribute value
@@ -141,18 +142,39 @@ function isBooleanValue(value) {
   return lower === 'true' || lower === 'false' || lower === '';
 }
 
-// Replace the Set with a Map to track image imports
-let imageImportsMap = new Map();
-// Store mapping from original URLs to sanitized filenames from extractImages.js
-let sanitizedFilenameMap = {};
+/**
+ * Creates the per-conversion state of a converter
+ * @returns {{imageImportsMap: Map, sanitizedFilenameMap: Object, cssVarMap: Object}}
+ */
+function createConverterState() {
+  return {
+    // Image imports of the current conversion (sanitized filename -> import name)
+    imageImportsMap: new Map(),
+    // Mapping from original URLs to sanitized filenames from extractImages.js
+    sanitizedFilenameMap: {},
+    // CSS custom properties moved out of inline styles (class name -> variables)
+    cssVarMap: {},
+    // Link map of the run and URL of the page, for rewriting anchors to <Link>s (see routeLinks.js)
+    linkMap: null,
+    pageUrl: null,
+    // Links of the current conversion: app paths linked with <Link> and same-site URLs left as anchors
+    routeLinks: new Set(),
+    unconvertedLinks: new Set()
+  };
+}
+
+// State used by the module-level functions; parallel jobs use createConverter() instead
+const defaultState = createConverterState();
 
 /**
  * Convert absolute paths to import variables for HTML image sources
  * @param {string} src - The source attribute value
+ * @param {Object} state - Converter state
  * @returns {string} - Either an import variable reference or the original src
  */
-function fixHtmlImagePath(src) {
+function fixHtmlImagePath(src, state) {
   if (!src) return src;
+  const { sanitizedFilenameMap, imageImportsMap } = state;
   
   // Skip data URLs and external URLs
   if (src.startsWith('data:') || src.startsWith('http://') || src.startsWith('https://')) {
@@ -220,18 +242,85 @@ function generateImageImportName(filename) {
 }
 
 /**
- * Reset the image imports tracking before each conversion
+ * Set the sanitized filename mapping from extractImages.js
+ * @param {Object} mapping - The mapping from original URLs to sanitized filenames
+ * @param {Object} state - Converter state (defaults to the module-level state)
  */
-function resetImageImports() {
-  imageImportsMap = new Map();
+function setSanitizedFilenameMap(mapping, state = defaultState) {
+  state.sanitizedFilenameMap = mapping || {};
 }
 
 /**
- * Set the sanitized filename mapping from extractImages.js
- * @param {Object} mapping - The mapping from original URLs to sanitized filenames
+ * Set the link map used to rewrite anchors to converted routes as <Link>s
+ * @param {Object} linkMap - Link map from createLinkMap()
+ * @param {string} pageUrl - URL of the page, for resolving relative hrefs
+ * @param {Object} state - Converter state (defaults to the module-level state)
+ */
+function setLinkMap(linkMap, pageUrl, state = defaultState) {
+  state.linkMap = linkMap || null;
+  state.pageUrl = pageUrl || null;
+}
+
+/**
+ * Get the links found by the last conversion
+ * @param {Object} state - Converter state (defaults to the module-level state)
+ * @returns {{routeLinks: string[], unconvertedLinks: string[]}} - App paths rewritten to <Link>s and same-site URLs left as anchors
+ */
+function getLinks(state = defaultState) {
+  return {
+    routeLinks: Array.from(state.routeLinks),
+    unconvertedLinks: Array.from(state.unconvertedLinks)
+  };
+}
+
+/**
+ * Rewrites an anchor to a converted route as a <Link>
+ * @param {Object} attributes - Attributes of the <a> tag; links to unconverted pages get an absolute href
+ * @param {Object} state - Converter state
+ * @returns {Object|null} - Attributes of the <Link> (href replaced with to), or null to keep the anchor
+ */
+function toRouteLink(attributes, state) {
+  // Hrefs bound to a prop are resolved with the prop's values; the anchor is
+  // marked when every value is a converted route (see repeatedComponents.js)
+  const isRouteLinkProp = 'data-wtr-route-link' in attributes;
+  delete attributes['data-wtr-route-link'];
+  if (hasBindingToken(attributes.href)) {
+    return isRouteLinkProp
+      ? Object.fromEntries(Object.entries(attributes).map(([key, value]) => (key === 'href' ? ['to', value] : [key, value])))
+      : null;
+  }
+  // Links that open a new tab or download a file stay anchors
+  if (!state.linkMap || !attributes.href || attributes.target === '_blank' || 'download' in attributes) {
+    return null;
+  }
+  const resolved = state.linkMap.resolve(attributes.href, state.pageUrl);
+  if (!resolved) return null;
+  if (resolved.unconverted) {
+    // Pages that weren't converted are still reachable on the live site
+    state.unconvertedLinks.add(resolved.unconverted);
+    attributes.href = new URL(attributes.href.trim(), state.pageUrl).href;
+    return null;
+  }
+  state.routeLinks.add(resolved.to);
+  return Object.fromEntries(Object.entries(attributes)
+    .map(([key, value]) => (key === 'href' ? ['to', resolved.to] : [key, value])));
+}
+
+/**
+ * Resolves an href the way the converter writes it, recording the link
+ * @param {string} href - Value of the href attribute
+ * @param {Object} state - Converter state
+ * @returns {string} - App path of a converted route, absolute URL of an unconverted page, or the href as it is
  */
-function setSanitizedFilenameMap(mapping) {
-  sanitizedFilenameMap = mapping || {};
+function resolveLink(href, state = defaultState) {
+  const resolved = state.linkMap && href ? state.linkMap.resolve(href, state.pageUrl) : null;
+  if (!resolved) return href;
+  if (resolved.unconverted) {
+    state.unconvertedLinks.add(resolved.unconverted);
+    return new URL(href.trim(), state.pageUrl).href;
+  }
+  state.routeLinks.add(resolved.to);
+  return resolved.to;
 }
 
 /**
@@ -248,12 +337,13 @@ function escapeJSXText(text) {
 
 /**
  * Get the unique list of image imports as import statements
+ * @param {Object} state - Converter state (defaults to the module-level state)
  * @returns {string} - Import statements for all images
  */
-function getImageImports() {
-  if (imageImportsMap.size === 0) return '';
+function getImageImports(state = defaultState) {
+  if (state.imageImportsMap.size === 0) return '';
   
-  return Array.from(imageImportsMap.entries())
+  return Array.from(state.imageImportsMap.entries())
     .map(([filename, importName]) => 
       `import ${importName} from './images-flat/${filename}';`
     )
@@ -261,13 +351,26 @@ function getImageImports() {
 }
 
 /**
- * Converts HTML attributes to JSX-compatible attribute strings.
+ * Names the class that holds the CSS custom properties of an inline style. The
+ * name is derived from the properties, so it is the same on every run and the
+ * same properties on different pages share one class.
+ * @param {Object} cssVars - CSS custom properties
+ * @returns {string}
+ */
+function getCustomVarClass(cssVars) {
+  const hash = crypto.createHash('md5').update(JSON.stringify(cssVars)).digest('hex').slice(0, 8);
+  return `custom-var-${hash}`;
+}
+
+/**
+ * Converts HTML attributes to JSX attributes.
  * Also handles custom CSS properties by generating class names.
  * @param {Object} attrs - HTML attributes map
- * @returns {string} - JSX-compatible attributes string
+ * @param {Object} state - Converter state
+ * @returns {Array} - [name, value] pairs, the value printed as "text" or {expression}
  */
-function convertAttributes(attrs) {
-  let jsx = "";
+function convertAttributes(attrs, state) {
+  const jsx = [];
   let existingClass = null;
 
   for (const [key, value] of Object.entries(attrs)) {
@@ -291,13 +394,12 @@ function convertAttributes(attrs) {
       const { styleString, cssVars } = convertStyle(value);
 
       if (styleString !== null) {
-        jsx += ` style=${styleString}`;
+        jsx.push(["style", styleString]);
       }
 
       if (Object.keys(cssVars).length > 0) {
-        customClassCounter++;
-        const customClass = `custom-var-${customClassCounter}`;
-        cssVarMap[customClass] = cssVars;
+        const customClass = getCustomVarClass(cssVars);
+        state.cssVarMap[customClass] = cssVars;
 
         // Merge with any existing class
         existingClass = existingClass ? `${existingClass} ${customClass}` : customClass;
@@ -331,28 +433,32 @@ function convertAttributes(attrs) {
     // Fix src attributes that have absolute paths
     let attributeValue = value;
     if (keyLower === "src") {
-      attributeValue = fixHtmlImagePath(value);
+      attributeValue = fixHtmlImagePath(value, state);
     }
 
     // Check if the attribute value contains curly braces (likely a React variable)
     if (typeof attributeValue === 'string' && attributeValue.startsWith('{') && attributeValue.endsWith('}')) {
       // Output without quotes for JSX expressions
-      jsx += ` ${jsxKey}=${attributeValue}`;
-    } else if (booleanAttributes.has(keyLower) && (value === "true" || value === "false")) {
+      jsx.push([jsxKey, attributeValue]);
+    } else if (booleanAttributes.has(keyLower) && /^(true|false)$/i.test(value)) {
       // Only unquote pure boolean tokens for boolean attributes
-      jsx += ` ${jsxKey}={${value.toLowerCase()}}`;
+      jsx.push([jsxKey, `{${value.toLowerCase()}}`]);
     } else if (!keyLower.startsWith("aria-") && !keyLower.startsWith("data-") && /^\d+$/.test(String(value))) {
       // Only unquote pure numeric values, but not for aria-* or data-* attributes
-      jsx += ` ${jsxKey}={${value}}`;
+      jsx.push([jsxKey, `{${value}}`]);
+    } else if (/^on[a-z]/i.test(keyLower)) {
+      // Inline event handlers become functions
+      jsx.push([jsxKey, `{() => { ${attributeValue.replace(/"/g, '&quot;')} }}`]);
     } else {
       // Default to quoted strings for everything else
       const escapedValue = attributeValue.replace(/"/g, '&quot;');
-      jsx += ` ${jsxKey}="${escapedValue}"`;
+      jsx.push([jsxKey, `"${escapedValue}"`]);
     }
   }
 
   if (existingClass) {
-    jsx += ` className="${existingClass}"`;
+    // Class lists may span lines in the HTML
+    jsx.push(["className", `"${existingClass.replace(/\s+/g, ' ')}"`]);
   }
 
   return jsx;
@@ -465,22 +571,27 @@ Object.entries(svgAttributes).forEach(([key, value]) => {
  * Converts a full HTML string to a JSX-compatible string.
  * Extracts only content from within the body tag and skips html, head, and script tags.
  * If no body tag is found, processes the entire content as JSX.
+ * The HTML is parsed into a tree of elements and text, which is printed as
+ * indented JSX (see jsxPrinter.js).
  * @param {string} html - Raw HTML input
+ * @param {Object} state - Converter state (defaults to the module-level state)
  * @returns {string} - JSX output string
  */
-function convertHTMLtoJSX(html) {
-  // Reset image imports before each conversion
-  resetImageImports();
+function convertHTMLtoJSX(html, state = defaultState) {
+  // Reset image imports and links before each conversion
+  state.imageImportsMap = new Map();
+  state.routeLinks = new Set();
+  state.unconvertedLinks = new Set();
   
-  let output = "";
-  const stack = [];
+  // Content outside <body> is kept in case the HTML has no body tag
+  const fallbackRoot = createElement('');
+  let bodyRoot = null;
+  // Open elements; the last one receives the content
+  let stack = [fallbackRoot];
   let inBodyTag = false;
   let skipTag = false;
   let currentSkipTag = null;
   let depth = 0; // To track nested levels inside a skipped tag
-  let bodyTagFound = false;
-  let outputBeforeBodyTag = ""; // To store content in case no body tag is found
-  let bodyAttributes = null; // Store body attributes to apply to wrapper div
 
   // Tags that should be completely removed or handled specially in React
   const skipTags = new Set(['html', 'head', 'script', 'noscript', 'iframe']);
@@ -489,11 +600,11 @@ function convertHTMLtoJSX(html) {
     {
       onopentag(name, attributes) {
         // Remove namespace from tag name (e.g., svg:path -> path)
-        const tagName = name.toLowerCase().replace(/^.*?:/, '');
+        let tagName = name.toLowerCase().replace(/^.*?:/, '');
         
         // Handle image tags specifically to prepare for imports
         if (tagName === 'img' && attributes.src) {
-          attributes.src = fixHtmlImagePath(attributes.src);
+          attributes.src = fixHtmlImagePath(attributes.src, state);
         }
         
         // Skip problematic tags for React
@@ -510,12 +621,11 @@ function convertHTMLtoJSX(html) {
           return;
         }
 
-        // If we encounter a body tag, mark that we're inside it but don't output the tag itself
-        // Instead, store its attributes to apply to a wrapper div later
+        // The body becomes a wrapper div with the body's attributes
         if (tagName === 'body') {
           inBodyTag = true;
-          bodyTagFound = true;
-          bodyAttributes = {...attributes}; // Store body attributes
+          bodyRoot = createElement('div', convertAttributes({...attributes}, state));
+          stack = [bodyRoot];
           return;
         }
         
@@ -529,35 +639,41 @@ function convertHTMLtoJSX(html) {
           return;
         }
         
-        // If not in body tag, store content in case no body tag is found
-        if (!inBodyTag) {
-          const isSelfClosing = selfClosingTags.has(tagName);
-          const tag = `<${tagName}${convertAttributes(attributes)}${isSelfClosing ? " />" : ">"}`;
-          outputBeforeBodyTag += tag;
-          return;
+        // The root of a named component is delimited with tokens, to be cut out once the page is converted
+        const component = attributes[COMPONENT_ATTRIBUTE] || null;
+        if (component) {
+          attributes = { ...attributes };
+          delete attributes[COMPONENT_ATTRIBUTE];
         }
         
-        // Output tags if we're inside the body
-        const isSelfClosing = selfClosingTags.has(tagName);
-        const tag = `<${tagName}${convertAttributes(attributes)}${isSelfClosing ? " />" : ">"}`;
-        output += tag;
-        if (!isSelfClosing) stack.push({ tag: tagName, selfClosing: false });
-        else stack.push({ tag: tagName, selfClosing: true });
+        // Anchors to converted routes navigate inside the app
+        if (tagName === 'a') {
+          const linkAttributes = toRouteLink(attributes, state);
+          if (linkAttributes) {
+            tagName = 'Link';
+            attributes = linkAttributes;
+          }
+        }
+        
+        const parent = stack[stack.length - 1];
+        const element = createElement(tagName, convertAttributes(attributes, state), selfClosingTags.has(tagName));
+        element.component = component;
+        if (component) appendText(parent, createComponentTokens(component).start);
+        parent.children.push(element);
+        if (component && element.selfClosing) appendText(parent, createComponentTokens(component).end);
+        stack.push(element);
       },
 
       ontext(text) {
-        // Only output text if we're inside the body and not in a skipped tag
-        if (inBodyTag && !skipTag && text.trim()) {
-          output += escapeJSXText(text);
-        } else if (!inBodyTag && !skipTag && text.trim()) {
-          // If not in body tag, store text in case no body tag is found
-          outputBeforeBodyTag += escapeJSXText(text);
+        // Text inside skipped tags is dropped; whitespace-only text is dropped when printed
+        if (!skipTag) {
+          appendText(stack[stack.length - 1], escapeJSXText(text));
         }
       },
 
       onclosetag(tagname) {
         // Remove namespace prefix from closing tag
-        const tag = tagname.toLowerCase().replace(/^.*?:/, '');
+        let tag = tagname.toLowerCase().replace(/^.*?:/, '');
         
         // If we're closing a skipped tag
         if (skipTag && tag === currentSkipTag) {
@@ -575,25 +691,21 @@ function convertHTMLtoJSX(html) {
           return;
         }
         
-        // If we're closing the body tag, mark that we're no longer inside it
+        // Content after the body isn't part of the page
         if (tag === 'body') {
           inBodyTag = false;
+          stack = [createElement('')];
           return;
         }
         
-        // Only output closing tags if we're inside the body
-        if (!inBodyTag) {
-          outputBeforeBodyTag += `</${tag}>`;
-          return;
-        }
-        
+        if (stack.length <= 1) return;
         const last = stack.pop();
-        if (!last || last.selfClosing) return;
-
-        if (last.tag !== tag) {
-          console.warn(`Mismatched tag: expected </${last.tag}>, got </${tag}>`);
+        if (last.name !== tag && !(last.name === 'Link' && tag === 'a')) {
+          console.warn(`Mismatched tag: expected </${last.name}>, got </${tag}>`);
+        }
+        if (last.component && !last.selfClosing) {
+          appendText(stack[stack.length - 1], createComponentTokens(last.component).end);
         }
-        output += `</${tag}>`;
       },
 
       oncomment() {
@@ -606,64 +718,57 @@ function convertHTMLtoJSX(html) {
   parser.write(html);
   parser.end();
 
-  // Handle any unclosed tags within the body content
-  if (stack.length > 0) {
-    console.warn("Malformed HTML detected - unclosed tags:", stack.map(item => item.tag));
-    while (stack.length > 0) {
-      const last = stack.pop();
-      // Only close tags that aren't body or html (which we're skipping)
-      if (last.tag !== 'body' && last.tag !== 'html') {
-        output += `</${last.tag}>`;
-      }
-    }
+  // Elements left open are closed by the tree
+  if (inBodyTag && stack.length > 1) {
+    console.warn("Malformed HTML detected - unclosed tags:", stack.slice(1).map(element => element.name));
+    stack.slice(1).reverse()
+      .filter(element => element.component && !element.selfClosing)
+      .forEach(element => {
+        const index = stack.indexOf(element);
+        appendText(stack[index - 1], createComponentTokens(element.component).end);
+      });
   }
 
   // If no body tag was found, use the content that was collected
-  if (!bodyTagFound && outputBeforeBodyTag) {
-    console.log('No <body> tag found in HTML. Processing entire content as JSX.');
-    output = outputBeforeBodyTag;
-  } else if (bodyTagFound) {
-    console.log('Found <body> tag. Processing only body content as JSX.');
-  }
-
-  // Build a regex pattern for boolean attributes
-  const booleanAttrsPattern = Array.from(booleanAttributes).join('|');
-  const booleanAttrsRegex = new RegExp(`\\s(${booleanAttrsPattern})="(true|false)"`, 'gi');
-
-  // Clean up any React-incompatible attributes that might have been missed
-  output = output
-    // Convert inline event handlers (only attributes matching /^on[a-z]/i pattern)
-    .replace(/\s(on[a-z][a-zA-Z]*)="([^"]*)"/gi, (match, attr, handler) => {
-      const jsxEvent = attr.replace(/^on([a-z])/, (_, c) => `on${c.toUpperCase()}`);
-      return ` ${jsxEvent}={() => { ${handler} }}`;
-    })
-    // Convert class attributes that might have been missed
-    .replace(/\sclass="/g, ' className="')
-    // Fix boolean attributes with quoted true/false values to use JSX syntax
-    .replace(booleanAttrsRegex, (_, attr, value) => {
-      // Get the correct JSX attribute name
-      let jsxAttr = attr;
-      if (attributeRenameMap[attr.toLowerCase()]) {
-        jsxAttr = attributeRenameMap[attr.toLowerCase()];
-      } else if (attr.includes('-')) {
-        jsxAttr = attr.replace(/-([a-z])/g, (_, c) => c.toUpperCase());
-      }
-      return ` ${jsxAttr}={${value.toLowerCase()}}`;
-    });
-
-  // If body attributes were found, create a wrapper div with those attributes
-  if (bodyAttributes) {
-    const wrapperAttributes = convertAttributes(bodyAttributes);
-    return `<div${wrapperAttributes}>${output}</div>`;
+  if (!bodyRoot) {
+    if (fallbackRoot.children.length > 0) {
+      console.log('No <body> tag found in HTML. Processing entire content as JSX.');
+    }
+    return printJSX(fallbackRoot);
   }
+  console.log('Found <body> tag. Processing only body content as JSX.');
+  return printJSX(bodyRoot);
+}
 
-  return `<>${output}</>`;
+/**
+ * Creates a converter with its own image imports, filename mapping and CSS
+ * variables, so that routes converted in parallel don't share state
+ * @returns {Object} - Converter with convertHTMLtoJSX, getImageImports, setSanitizedFilenameMap, setLinkMap, getLinks,
+ *   resolveImageSource, resolveLink and cssVarMap
+ */
+function createConverter() {
+  const state = createConverterState();
+  return {
+    cssVarMap: state.cssVarMap,
+    convertHTMLtoJSX: html => convertHTMLtoJSX(html, state),
+    getImageImports: () => getImageImports(state),
+    setSanitizedFilenameMap: mapping => setSanitizedFilenameMap(mapping, state),
+    setLinkMap: (linkMap, pageUrl) => setLinkMap(linkMap, pageUrl, state),
+    getLinks: () => getLinks(state),
+    // Values of repeated components' data arrays, written like the converter writes attributes
+    resolveImageSource: src => fixHtmlImagePath(src, state),
+    resolveLink: href => resolveLink(href, state)
+  };
 }
 
 module.exports = {
   convertHTMLtoJSX,
   generateCSSFromVars,
-  cssVarMap,
+  cssVarMap: defaultState.cssVarMap,
   getImageImports,
-  setSanitizedFilenameMap
+  setSanitizedFilenameMap,
+  setLinkMap,
+  getLinks,
+  resolveLink,
+  createConverter
 };
@@ -0,0 +1,51 @@
+/**
+ * Placeholder tokens for values that become JSX expressions after conversion
+ *
+ * A token is written into the HTML (as text or as an attribute value) before it is
+ * converted, and replaced with a JSX expression in the converted output:
+ *   <h1>__WTR_BIND_text1__</h1>      -> <h1>{data.text1}</h1>
+ *   <img src="__WTR_BIND_image1__"> -> <img src={data.image1} />
+ *
+ * Dynamic routes bind page data (BIND tokens); repeated components bind their
+ * props (PROP tokens, <h3>__WTR_PROP_title__</h3> -> <h3>{title}</h3>).
+ */
+
+/**
+ * Create the placeholder token for a binding name
+ * @param {string} name - Alphanumeric binding name
+ * @param {string} kind - Token kind: BIND (page data) or PROP (component props)
+ * @returns {string} - Token to place in the HTML
+ */
+function createBindingToken(name, kind = 'BIND') {
+  return `__WTR_${kind}_${name}__`;
+}
+
+/**
+ * Checks whether a value contains a binding token of any kind
+ * @param {string} value - Text or attribute value
+ * @returns {boolean}
+ */
+function hasBindingToken(value) {
+  return /__WTR_(BIND|PROP)_[A-Za-z0-9]+__/.test(value || '');
+}
+
+/**
+ * Replace binding tokens in converted JSX with expressions
+ * @param {string} jsx - Converted JSX containing tokens
+ * @param {Function} toExpression - Maps a binding name to a JavaScript expression
+ * @param {string} kind - Token kind to replace (default: BIND)
+ * @returns {string} - JSX with tokens replaced
+ */
+function replaceBindingTokens(jsx, toExpression, kind = 'BIND') {
+  return jsx
+    // Quoted attribute values: src="__WTR_BIND_x__" -> src={expr}
+    .replace(new RegExp(`="__WTR_${kind}_([A-Za-z0-9]+)__"`, 'g'), (_, name) => `={${toExpression(name)}}`)
+    // Text content
+    .replace(new RegExp(`__WTR_${kind}_([A-Za-z0-9]+)__`, 'g'), (_, name) => `{${toExpression(name)}}`);
+}
+
+module.exports = {
+  createBindingToken,
+  hasBindingToken,
+  replaceBindingTokens
+};
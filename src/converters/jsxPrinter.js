@@ -0,0 +1,250 @@
+/**
+ * Prints converted JSX from a tree
+ *
+ * convertHTMLtoJSX builds a tree of elements and text instead of concatenating
+ * tags, and this module prints it: one element per line, indented by two
+ * spaces. Elements that fit on a line stay on it, long opening tags get one
+ * attribute per line and long text is wrapped at word boundaries. Attributes
+ * are printed in a fixed order, so converting the same page twice gives the
+ * same file.
+ *
+ * Structural tokens (layout regions, repeated items, sections, named
+ * components) are printed on lines of their own, so the JSX between two of
+ * them is a block of whole lines that can be cut out and re-indented with
+ * reindentJSX().
+ */
+
+/**
+ * Lines are wrapped after this many characters, indentation included
+ */
+const PRINT_WIDTH = 100;
+const INDENT = '  ';
+
+/**
+ * Attributes printed first, in this order; the others follow alphabetically
+ */
+const LEADING_ATTRIBUTES = ['key', 'id', 'className'];
+
+/**
+ * Elements whose text is printed as it is
+ */
+const PRESERVED_TAGS = new Set(['pre', 'textarea']);
+
+/**
+ * Tokens that delimit parts of the JSX cut out after conversion
+ */
+const STRUCTURAL_TOKEN = /(__WTR_(?:REGION|REPEAT|SECTION|COMPONENT)_(?:START|END)_[A-Za-z0-9]+(?:_\d+)?__)/;
+
+/**
+ * Create an element node
+ * @param {string} name - Tag or component name ('' for a fragment)
+ * @param {Array} attributes - [name, value] pairs; value is the printed value ("text" or {expression})
+ * @param {boolean} selfClosing - Printed as <name />
+ * @returns {Object}
+ */
+function createElement(name, attributes = [], selfClosing = false) {
+  return { type: 'element', name, attributes, selfClosing, children: [] };
+}
+
+/**
+ * Adds text to an element, merging it with the text before it
+ * @param {Object} parent - Element node
+ * @param {string} text - Escaped JSX text (may contain tokens)
+ */
+function appendText(parent, text) {
+  const last = parent.children[parent.children.length - 1];
+  if (last && last.type === 'text') {
+    last.value += text;
+  } else {
+    parent.children.push({ type: 'text', value: text });
+  }
+}
+
+/**
+ * @param {Array} attributes - [name, value] pairs
+ * @returns {Array} - Attributes in print order
+ */
+function sortAttributes(attributes) {
+  const rank = name => (LEADING_ATTRIBUTES.includes(name) ? LEADING_ATTRIBUTES.indexOf(name) : LEADING_ATTRIBUTES.length);
+  return attributes.slice().sort(([a], [b]) => rank(a) - rank(b) || (a < b ? -1 : a > b ? 1 : 0));
+}
+
+/**
+ * @param {Object} node - Element node
+ * @returns {string[]} - Printed attributes (name="value", name={value})
+ */
+function printAttributes(node) {
+  return sortAttributes(node.attributes).map(([name, value]) => `${name}=${value}`);
+}
+
+/**
+ * Splits the children of an element into the items printed in a block: tokens,
+ * text (with its surrounding whitespace) and elements. Whitespace-only text is dropped.
+ * @param {Object} node - Element node
+ * @returns {Array}
+ */
+function getItems(node) {
+  return node.children.flatMap(child => {
+    if (child.type !== 'text') return [{ kind: 'element', node: child }];
+    return child.value.split(STRUCTURAL_TOKEN)
+      .map((piece, index) => (index % 2 === 1
+        ? { kind: 'token', value: piece }
+        : { kind: 'text', value: piece.replace(/[ \t\n\r\f]+/g, ' ') }))
+      .filter(item => item.kind === 'token' || item.value.trim());
+  });
+}
+
+/**
+ * Prints an element on a single line
+ * @param {Object} node - Element node
+ * @param {boolean} preserve - Inside an element whose text is printed as it is
+ * @returns {string|null} - The line, or null when the element holds tokens
+ */
+function printInline(node, preserve = false) {
+  const keepText = preserve || PRESERVED_TAGS.has(node.name);
+  const open = [`<${node.name}`, ...printAttributes(node)].join(' ');
+  if (node.selfClosing) return `${open} />`;
+  const children = [];
+  for (const child of node.children) {
+    if (child.type === 'text') {
+      if (STRUCTURAL_TOKEN.test(child.value)) return null;
+      if (child.value.trim()) children.push(keepText ? child.value : child.value.replace(/[ \t\n\r\f]+/g, ' '));
+    } else {
+      const printed = printInline(child, keepText);
+      if (printed === null) return null;
+      children.push(printed);
+    }
+  }
+  return `${open}>${children.join('')}</${node.name}>`;
+}
+
+/**
+ * Wraps text at word boundaries; JSX joins the lines with a single space
+ * @param {string} text - Text without leading or trailing whitespace
+ * @param {string} indent - Indentation of the lines
+ * @returns {string[]}
+ */
+function wrapText(text, indent) {
+  const lines = [];
+  let line = '';
+  text.split(' ').forEach(word => {
+    if (line && indent.length + line.length + 1 + word.length > PRINT_WIDTH) {
+      lines.push(indent + line);
+      line = word;
+    } else {
+      line = line ? `${line} ${word}` : word;
+    }
+  });
+  if (line) lines.push(indent + line);
+  return lines;
+}
+
+/**
+ * Prints an element, on one line when it fits
+ * @param {Object} node - Element node
+ * @param {string} indent - Indentation of the element
+ * @returns {string[]} - Lines
+ */
+function printLines(node, indent) {
+  const inline = printInline(node);
+  if (inline !== null && indent.length + inline.length <= PRINT_WIDTH) {
+    return [indent + inline];
+  }
+  if (PRESERVED_TAGS.has(node.name) && inline !== null) {
+    return [indent + inline];
+  }
+
+  // Opening tag, one attribute per line when it is too long
+  const attributes = printAttributes(node);
+  const close = node.selfClosing ? ' />' : '>';
+  const openLine = [`<${node.name}`, ...attributes].join(' ');
+  const lines = indent.length + openLine.length + close.length <= PRINT_WIDTH || attributes.length === 0
+    ? [`${indent}${openLine}${close}`]
+    : [`${indent}<${node.name}`, ...attributes.map(attribute => `${indent}${INDENT}${attribute}`), `${indent}${close.trim()}`];
+  if (node.selfClosing) return lines;
+
+  const childIndent = indent + INDENT;
+  const items = getItems(node);
+  items.forEach((item, index) => {
+    if (item.kind === 'token') {
+      lines.push(childIndent + item.value);
+    } else if (item.kind === 'element') {
+      lines.push(...printLines(item.node, childIndent));
+    } else {
+      // Whitespace next to an element on another line is kept as {" "}
+      const previous = items[index - 1];
+      const next = items[index + 1];
+      const leading = /^ /.test(item.value) && previous && previous.kind !== 'token' ? '{" "}' : '';
+      const trailing = / $/.test(item.value) && next && next.kind !== 'token' ? '{" "}' : '';
+      lines.push(...wrapText(`${leading}${item.value.trim()}${trailing}`, childIndent));
+    }
+  });
+  lines.push(`${indent}</${node.name}>`);
+  return lines;
+}
+
+/**
+ * Prints a JSX tree
+ * @param {Object} node - Root element node
+ * @returns {string} - JSX, starting at column 0
+ */
+function printJSX(node) {
+  return printLines(node, '').join('\n');
+}
+
+/**
+ * Re-indents a block of printed JSX: blank lines around it are dropped and its
+ * least indented line starts at the given indentation
+ * @param {string} jsx - Printed JSX, such as the part between two structural tokens
+ * @param {string} indent - New indentation
+ * @returns {string}
+ */
+function reindentJSX(jsx, indent = '') {
+  const lines = jsx.split('\n');
+  while (lines.length > 0 && !lines[0].trim()) lines.shift();
+  while (lines.length > 0 && !lines[lines.length - 1].trim()) lines.pop();
+  if (lines.length === 0) return '';
+  const margin = Math.min(...lines.filter(line => line.trim()).map(line => /^ */.exec(line)[0].length));
+  return lines.map(line => (line.trim() ? indent + line.slice(margin) : '')).join('\n');
+}
+
+/**
+ * Finds the block of printed JSX between a start and an end token
+ * @param {string} jsx - Printed JSX
+ * @param {{start: string, end: string}} tokens - Tokens around the block
+ * @returns {{before: string, inner: string, after: string}|null} - The JSX before, between and
+ *   after the tokens, or null when they weren't printed in that order
+ */
+function findTokenBlock(jsx, tokens) {
+  const startIndex = jsx.indexOf(tokens.start);
+  const endIndex = jsx.indexOf(tokens.end);
+  if (startIndex === -1 || endIndex < startIndex) return null;
+  return {
+    before: jsx.slice(0, startIndex),
+    inner: jsx.slice(startIndex + tokens.start.length, endIndex),
+    after: jsx.slice(endIndex + tokens.end.length)
+  };
+}
+
+/**
+ * Removes tokens from printed JSX, along with the lines they were printed on.
+ * A block whose tokens findTokenBlock() couldn't pair up stays inline, so its
+ * tokens are removed once every block has been cut out.
+ * @param {string} jsx - Printed JSX
+ * @param {RegExp} pattern - Tokens to remove
+ * @returns {string}
+ */
+function removeTokens(jsx, pattern) {
+  return jsx
+    .replace(new RegExp(`^[ \\t]*(?:${pattern.source})[ \\t]*\\n?`, 'gm'), '')
+    .replace(new RegExp(pattern.source, 'g'), '');
+}
+
+module.exports = {
+  createElement,
+  appendText,
+  printJSX,
+  reindentJSX,
+  findTokenBlock,
+  removeTokens
+};
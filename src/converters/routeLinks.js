@@ -0,0 +1,129 @@
+/**
+ * Rewrites links between converted pages to react-router <Link>s
+ *
+ * A link map knows the app path of every route of the run and of the URLs that
+ * redirected to one. An anchor whose href resolves to one of them becomes
+ * <Link to="/about?tab=team#pricing">, keeping the query string and fragment;
+ * links to other pages of the same site stay anchors to the live site and are
+ * reported as unconverted.
+ */
+
+const { isHashRoute } = require('../extractors/findSpaRoutes');
+
+/**
+ * Files that are linked to but aren't pages
+ */
+const NON_PAGE_EXTENSIONS = /\.(pdf|zip|gz|rar|7z|docx?|xlsx?|pptx?|csv|txt|xml|json|rss|atom|png|jpe?g|gif|webp|avif|svg|ico|mp3|mp4|webm|mov|woff2?|ttf|otf|css|js)$/i;
+
+/**
+ * Returns the lookup key of a URL: no fragment (unless it is a hash route) and no trailing slash
+ * @param {URL} url - Parsed URL
+ * @param {boolean} withSearch - Keep the query string
+ * @returns {string}
+ */
+function getLinkKey(url, withSearch) {
+  const pathname = url.pathname.replace(/\/+$/, '') || '/';
+  const hash = isHashRoute(url.href) ? url.hash.replace(/\/+$/, '') : '';
+  return `${url.protocol === 'file:' ? 'file://' : url.host}${pathname}${withSearch ? url.search : ''}${hash}`;
+}
+
+/**
+ * Returns the paths the routes are mounted at in the generated app: the home
+ * page (the route at /, or else the first one) at /, every other route at its
+ * own path. A route whose path is already taken, such as a URL that only
+ * differs from another in its query string, is mounted at /<name>.
+ * @param {Array} routes - Routes of the run ({componentName, path}), in order
+ * @returns {string[]} - Mounted path of each route
+ */
+function getMountedPaths(routes) {
+  const homeIndex = Math.max(0, routes.findIndex(route => route.path === '/'));
+  const mountedBy = new Map();
+  return routes.map((route, index) => {
+    let mountedPath = index === homeIndex ? '/' : route.path || `/${route.componentName.toLowerCase()}`;
+    if (mountedBy.has(mountedPath)) {
+      console.warn(`⚠️ ${route.componentName} has the same path as ${mountedBy.get(mountedPath)} (${mountedPath}), mounting it at /${route.componentName.toLowerCase()}`);
+      mountedPath = `/${route.componentName.toLowerCase()}`;
+    }
+    mountedBy.set(mountedPath, route.componentName);
+    return mountedPath;
+  });
+}
+
+/**
+ * Creates the link map of a run
+ * @param {Array} routes - Routes of the run ({url, componentName, path, redirectedFrom})
+ * @param {string[]} mountedPaths - Mounted path of each route (default: getMountedPaths(routes))
+ * @returns {Object} - Link map with resolve()
+ */
+function createLinkMap(routes, mountedPaths = getMountedPaths(routes)) {
+  // Lookup key -> app path (null for dynamic routes, whose path is the link's own)
+  const pathsByKey = new Map();
+  // Dynamic routes (/blog/:slug) match by pattern
+  const dynamicPatterns = [];
+  const hosts = new Set();
+
+  const addUrl = (url, appPath) => {
+    try {
+      const parsed = new URL(url);
+      hosts.add(parsed.host);
+      if (!pathsByKey.has(getLinkKey(parsed, true))) {
+        pathsByKey.set(getLinkKey(parsed, true), appPath);
+      }
+    } catch (e) {
+      // Not a URL; no link can point at it
+    }
+  };
+
+  routes.forEach((route, index) => {
+    const appPath = mountedPaths[index];
+    const isDynamic = appPath.includes(':');
+    addUrl(route.url, isDynamic ? null : appPath);
+    (route.redirectedFrom || []).forEach(redirect => addUrl(redirect.url, isDynamic ? null : appPath));
+    if (isDynamic) {
+      const pattern = appPath.split('/').map(segment => (segment.startsWith(':') ? '[^/]+' : segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')));
+      dynamicPatterns.push(new RegExp(`^${pattern.join('/')}/?$`));
+    }
+  });
+
+  return {
+    /**
+     * Resolves an href found on a page
+     * @param {string} href - Value of the href attribute
+     * @param {string} pageUrl - URL of the page the link is on
+     * @returns {Object|null} - {to} for a converted route, {unconverted} (absolute URL) for
+     *   another page of the site, or null for external links, in-page anchors and files
+     */
+    resolve(href, pageUrl) {
+      if (!href || /^\s*(#|mailto:|tel:|javascript:|data:)/i.test(href)) return null;
+      let target;
+      try {
+        target = new URL(href.trim(), pageUrl);
+      } catch (e) {
+        return null;
+      }
+      const isSameSite = target.protocol === 'file:' || (/^https?:$/.test(target.protocol) && hosts.has(target.host));
+      if (!isSameSite || NON_PAGE_EXTENSIONS.test(target.pathname)) return null;
+
+      // A hash route is part of the route; any other fragment is kept on the link
+      const hash = isHashRoute(target.href) ? '' : target.hash;
+      if (pathsByKey.get(getLinkKey(target, true))) {
+        return { to: `${pathsByKey.get(getLinkKey(target, true))}${hash}` };
+      }
+      if (pathsByKey.get(getLinkKey(target, false))) {
+        return { to: `${pathsByKey.get(getLinkKey(target, false))}${target.search}${hash}` };
+      }
+      const pathname = target.pathname.replace(/\/+$/, '') || '/';
+      if (dynamicPatterns.some(pattern => pattern.test(pathname))) {
+        return { to: `${pathname}${target.search}${hash}` };
+      }
+
+      target.hash = '';
+      return { unconverted: target.href };
+    }
+  };
+}
+
+module.exports = {
+  createLinkMap,
+  getMountedPaths
+};
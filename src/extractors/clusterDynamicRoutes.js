@@ -0,0 +1,151 @@
+const cheerio = require('cheerio');
+const { toComponentName, claimName } = require('../utils/naming');
+
+/**
+ * Computes a text-independent structural signature of a page: the set of
+ * parent>child element pairs (tag plus sorted class list) inside <body>
+ *
+ * @param {string} html - Rendered HTML of the page
+ * @returns {string[]} - Sorted, de-duplicated structural shingles
+ */
+function computeStructureSignature(html) {
+  const $ = cheerio.load(html);
+  const shingles = new Set();
+
+  const describe = el => {
+    const classes = ($(el).attr('class') || '').split(/\s+/).filter(Boolean).sort();
+    return el.tagName.toLowerCase() + (classes.length ? `.${classes.join('.')}` : '');
+  };
+
+  $('body *').each((_, el) => {
+    const parent = el.parent && el.parent.type === 'tag' ? describe(el.parent) : 'root';
+    shingles.add(`${parent}>${describe(el)}`);
+  });
+
+  return Array.from(shingles).sort();
+}
+
+/**
+ * Jaccard similarity of two structural signatures
+ *
+ * @param {string[]} a - First signature
+ * @param {string[]} b - Second signature
+ * @returns {number} - Similarity between 0 and 1
+ */
+function structuralSimilarity(a, b) {
+  if (!a.length && !b.length) return 1;
+  const setA = new Set(a);
+  const intersection = b.filter(shingle => setA.has(shingle)).length;
+  return intersection / (setA.size + b.length - intersection);
+}
+
+/**
+ * Collapses routes that share a path template and a structurally similar DOM
+ * into a single parameterized route (e.g. /blog/post-a, /blog/post-b -> /blog/:slug).
+ *
+ * Only one path segment may vary, and it may not be the first one, so that
+ * unrelated top-level pages (/about, /contact) are never merged. Members whose
+ * DOM signature is less similar than the threshold to the cluster's first page
+ * stay as standalone routes.
+ *
+ * @param {Array} routes - Discovered routes ({url, componentName, ...})
+ * @param {Map} signatures - Map of route URL to computeStructureSignature() result
+ * @param {Object} options - Clustering options
+ * @param {number} options.minClusterSize - Minimum number of pages to form a dynamic route (default: 3)
+ * @param {number} options.similarityThreshold - Minimum structural similarity (default: 0.85)
+ * @returns {Array} - Routes with clustered pages replaced by dynamic route entries
+ */
+function clusterDynamicRoutes(routes, signatures, options = {}) {
+  const {
+    minClusterSize = 3,
+    similarityThreshold = 0.85
+  } = options;
+
+  // Build candidate groups: one per (template, varying segment position)
+  const candidates = new Map();
+  routes.forEach(route => {
+    if (route.depth === 0) return;
+
+    const segments = new URL(route.url).pathname.split('/').filter(Boolean);
+    for (let i = 1; i < segments.length; i++) {
+      const template = segments.map((segment, j) => (j === i ? '*' : segment)).join('/');
+      if (!candidates.has(template)) {
+        candidates.set(template, { segments, position: i, members: [] });
+      }
+      candidates.get(template).members.push({ route, value: segments[i] });
+    }
+  });
+
+  // Take the largest groups first; every route joins at most one cluster
+  const clusteredUrls = new Set();
+  const clusters = [];
+
+  Array.from(candidates.values())
+    .sort((a, b) => b.members.length - a.members.length)
+    .forEach(({ segments, position, members }) => {
+      let available = members.filter(({ route }) => !clusteredUrls.has(route.url));
+      if (available.length < minClusterSize) return;
+
+      // Keep only members that look like the first page of the group
+      const reference = available.find(({ route }) => signatures.has(route.url));
+      if (reference) {
+        const referenceSignature = signatures.get(reference.route.url);
+        available = available.filter(({ route }) => {
+          if (!signatures.has(route.url)) return true;
+          const similarity = structuralSimilarity(referenceSignature, signatures.get(route.url));
+          if (similarity < similarityThreshold) {
+            console.log(`ℹ️ Not collapsing ${route.url} into /${segments.slice(0, position).join('/')}/* (similarity ${similarity.toFixed(2)})`);
+            return false;
+          }
+          return true;
+        });
+      }
+      if (available.length < minClusterSize) return;
+
+      available.forEach(({ route }) => clusteredUrls.add(route.url));
+      clusters.push({ segments, position, members: available });
+    });
+
+  if (clusters.length === 0) {
+    return routes;
+  }
+
+  // Replace the first member of each cluster with the dynamic route and drop the rest
+  const dynamicRoutesByUrl = new Map();
+  // Names of the routes that stay; a cluster named like one of them or another cluster is named after its full path
+  const usedNames = new Set(routes.filter(route => !clusteredUrls.has(route.url)).map(route => route.componentName));
+  clusters.forEach(({ segments, position, members }) => {
+    const param = members.every(({ value }) => /^\d+$/.test(value)) ? 'id' : 'slug';
+    const routePath = '/' + segments.map((segment, j) => (j === position ? `:${param}` : segment)).join('/');
+    const preferred = `${toComponentName(segments[position - 1])}Detail`;
+    const componentName = claimName(usedNames.has(preferred)
+      ? `${toComponentName(segments.filter((segment, j) => j !== position))}Detail`
+      : preferred, usedNames);
+    const [first] = members;
+
+    console.log(`🧩 Collapsed ${members.length} routes into dynamic route ${routePath} => ${componentName}`);
+
+    // Redirects to any instance now lead to the dynamic route
+    const redirectedFrom = members.flatMap(({ route }) => route.redirectedFrom || []);
+    dynamicRoutesByUrl.set(first.route.url, {
+      ...first.route,
+      ...(redirectedFrom.length > 0 ? { redirectedFrom } : {}),
+      componentName,
+      path: routePath,
+      dynamic: {
+        param,
+        instances: members.map(({ route, value }) => ({ url: route.url, value }))
+      }
+    });
+  });
+
+  return routes
+    .filter(route => !clusteredUrls.has(route.url) || dynamicRoutesByUrl.has(route.url))
+    .map(route => dynamicRoutesByUrl.get(route.url) || route);
+}
+
+module.exports = {
+  computeStructureSignature,
+  structuralSimilarity,
+  clusterDynamicRoutes
+};
@@ -1,4 +1,4 @@
-const axios = require("axios");
+const { httpRequest } = require('../utils/httpClient');
 const fs = require("fs");
 const path = require("path");
 
@@ -20,7 +20,7 @@ async function downloadExternalCSS(href, baseUrl, outputDir) {
     const filename = path.basename(href.split('?')[0]) || "style.css";
     const filepath = path.join(outputDir, filename);
 
-    const { data: cssContent } = await axios.get(fullUrl);
+    const { data: cssContent } = await httpRequest({ method: 'get', url: fullUrl });
 
     // Create output directory
     fs.mkdirSync(outputDir, { recursive: true });
@@ -42,7 +42,7 @@ async function downloadExternalCSS(href, baseUrl, outputDir) {
           const fontFilepath = path.join(fontsDir, fontFilename);
           
           // Download font file
-          const response = await axios({
+          const response = await httpRequest({
             method: 'get',
             url: fullFontUrl,
             responseType: 'arraybuffer'
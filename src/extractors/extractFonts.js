@@ -1,6 +1,6 @@
 const fs = require('fs');
 const path = require('path');
-const axios = require('axios');
+const { fetchAsset } = require('../utils/httpClient');
 
 /**
  * Extracts font files from CSS content and downloads them
@@ -8,9 +8,12 @@ const axios = require('axios');
  * @param {string} baseUrl - Base URL of the website
  * @param {string} cssUrl - URL of the CSS file (for resolving relative paths)
  * @param {string} outputDir - Directory to save the font files
+ * @param {Object} options - Extraction options
+ * @param {Object} options.responseCapture - Responses of the page load; fonts the browser loaded are taken from it instead of downloaded again
  * @returns {Promise<Array>} Array of downloaded font paths
  */
-async function extractFontsFromCSS(cssContent, baseUrl, cssUrl, outputDir) {
+async function extractFontsFromCSS(cssContent, baseUrl, cssUrl, outputDir, options = {}) {
+  const { responseCapture = null } = options;
   const fontPaths = [];
   // Create flat fonts directory directly - no structured hierarchy
   const flatFontsDir = path.join(outputDir, 'fonts-flat');
@@ -63,7 +66,7 @@ async function extractFontsFromCSS(cssContent, baseUrl, cssUrl, outputDir) {
       const fontFilepath = path.join(flatFontsDir, fontFilename);
       
       // Download font file directly to fonts-flat
-      const response = await axios({
+      const response = await fetchAsset({
         method: 'get',
         url: fullFontUrl,
         responseType: 'arraybuffer',
@@ -73,10 +76,10 @@ async function extractFontsFromCSS(cssContent, baseUrl, cssUrl, outputDir) {
         httpsAgent: new (require('https').Agent)({
           rejectUnauthorized: false
         })
-      });
+      }, responseCapture);
       
       fs.writeFileSync(fontFilepath, response.data);
-      console.log(`✅ Downloaded font to flat directory: ${fontFilename}`);
+      console.log(`✅ ${response.fromCapture ? 'Saved font from page load' : 'Downloaded font'} to flat directory: ${fontFilename}`);
       
       // Store mapping of original URL to flat filename
       fontMapping.set(fontUrl, fontFilename);
@@ -321,9 +324,11 @@ function filterFontFaces(fontFaceBlocks, fontPaths) {
  * @param {Array} cssFiles - Array of {url, content, filename} objects
  * @param {string} baseUrl - Base URL of the website
  * @param {string} outputDir - Output directory
+ * @param {Object} options - Extraction options
+ * @param {Object} options.responseCapture - Responses of the page load (see extractFontsFromCSS)
  * @returns {Promise<Object>} - Object with fontPaths and fontFaceCssPath
  */
-async function extractFonts(html, cssFiles, baseUrl, outputDir) {
+async function extractFonts(html, cssFiles, baseUrl, outputDir, options = {}) {
   console.log('🔍 Extracting fonts from CSS files...');
   
   // Process each CSS file
@@ -351,7 +356,8 @@ async function extractFonts(html, cssFiles, baseUrl, outputDir) {
       content,
       baseUrl,
       url,
-      outputDir
+      outputDir,
+      options
     );
     
     allFontPaths.push(...fontPaths);
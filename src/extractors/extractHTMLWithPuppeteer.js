@@ -1,6 +1,7 @@
 const puppeteer = require('puppeteer');
 const fs = require('fs');
 const { createBrowserWithProxy, createAuthenticatedPage } = require('../utils/puppeteerConfig');
+const { loadPageWhenReady } = require('../utils/pageReadiness');
 
 /**
  * Extracts fully rendered HTML from a URL using Puppeteer
@@ -8,22 +9,21 @@ const { createBrowserWithProxy, createAuthenticatedPage } = require('../utils/pu
  * 
  * @param {string} url - The URL to extract HTML from
  * @param {string} outputPath - Optional path to save HTML to a file
+ * @param {Object} options - Extraction options
+ * @param {Page} options.page - Already loaded page to read from (e.g. from a browser session); it is left open
+ * @param {Object} options.readiness - Readiness options for loading the URL when no page is given (see pageReadiness)
  * @returns {Promise<string>} - The fully rendered HTML
  */
-async function extractRenderedHTML(url, outputPath = null) {
+async function extractRenderedHTML(url, outputPath = null, options = {}) {
   console.log(`📄 Extracting fully rendered HTML from: ${url}`);
-  const browser = await createBrowserWithProxy();
-  const page = await createAuthenticatedPage(browser);
+  const { page: sharedPage = null, readiness = {} } = options;
+  const browser = sharedPage ? null : await createBrowserWithProxy();
+  const page = sharedPage || await createAuthenticatedPage(browser);
   
   try {
-    // Wait until network is idle to ensure all resources are loaded
-    await page.goto(url, { 
-      waitUntil: ['load', 'networkidle0'],
-      timeout: 120000 // 120 second timeout
-    });
-    
-    // Optional wait to ensure JS frameworks have finished rendering
-    await page.waitForTimeout(1000);
+    if (!sharedPage) {
+      await loadPageWhenReady(page, url, readiness);
+    }
     
     // Get the fully rendered HTML
     const renderedHTML = await page.content();
@@ -36,7 +36,9 @@ async function extractRenderedHTML(url, outputPath = null) {
     
     return renderedHTML;
   } finally {
-    await browser.close();
+    if (browser) {
+      await browser.close();
+    }
   }
 }
 
@@ -1,6 +1,6 @@
 const fs = require('fs');
 const path = require('path');
-const axios = require('axios');
+const { fetchAsset } = require('../utils/httpClient');
 const cheerio = require('cheerio');
 
 /**
@@ -55,9 +55,12 @@ function sanitizeFilename(name) {
  * @param {Array} cssFiles - Array of {url, content, filename} objects
  * @param {string} baseUrl - Base URL of the website
  * @param {string} outputDir - Directory to save the images
+ * @param {Object} options - Extraction options
+ * @param {Object} options.responseCapture - Responses of the page load; images the browser loaded are taken from it instead of downloaded again
  * @returns {Promise<Array>} - Array of downloaded image information
  */
-async function extractImages(html, cssFiles, baseUrl, outputDir) {
+async function extractImages(html, cssFiles, baseUrl, outputDir, options = {}) {
+  const { responseCapture = null } = options;
   console.log('🔍 Extracting images from HTML and CSS...');
   
   // Create only flat images directory
@@ -209,13 +212,11 @@ async function extractImages(html, cssFiles, baseUrl, outputDir) {
       
       for (let attempt = 1; attempt <= maxRetries; attempt++) {
         try {
-          response = await axios({
+          response = await fetchAsset({
             method: 'get',
             url: fullImageUrl,
             responseType: 'arraybuffer',
             headers: {
-              // Add user agent to avoid bot detection
-              'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
               // Add referer to help with some auth issues
               'Referer': baseUrl
             },
@@ -226,7 +227,7 @@ async function extractImages(html, cssFiles, baseUrl, outputDir) {
             httpsAgent: new (require('https').Agent)({
               rejectUnauthorized: false
             })
-          });
+          }, responseCapture);
           break; // Success, exit retry loop
         } catch (err) {
           lastError = err;
@@ -244,7 +245,7 @@ async function extractImages(html, cssFiles, baseUrl, outputDir) {
       
       // Write to flat directory only
       fs.writeFileSync(flatPath, response.data);
-      console.log(`✅ Downloaded image: ${sanitizedFilename}`);
+      console.log(`✅ ${response.fromCapture ? 'Saved image from page load' : 'Downloaded image'}: ${sanitizedFilename}`);
       
       // Add to list of processed images - now with just flat path
       processedImages.push({
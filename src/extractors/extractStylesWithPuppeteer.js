@@ -1,9 +1,11 @@
 const puppeteer = require("puppeteer");
 const fs = require("fs");
 const path = require("path");
-const axios = require("axios");
+const { fetchAsset } = require('../utils/httpClient');
 const downloadExternalCSS = require("./downloadExternalCSS");
 const { createBrowserWithProxy, createAuthenticatedPage } = require('../utils/puppeteerConfig');
+const { attachResponseCapture, startResponseCapture, getResponseCapture } = require('../utils/responseCapture');
+const { loadPageWhenReady } = require('../utils/pageReadiness');
 
 /**
  * Fix all asset paths in CSS content to use the correct flat directories
@@ -96,18 +98,30 @@ function shouldSkipResource(url) {
  *
  * @param {string} url - URL of the website to extract styles from
  * @param {string} outputDir - Output directory for saving CSS files
+ * @param {Object} options - Extraction options
+ * @param {Page} options.page - Already loaded page to read from (e.g. from a browser session); it is left open.
+ *   Stylesheets are taken from its response capture when it has one
+ * @param {Object} options.readiness - Readiness options for loading the URL when no page is given (see pageReadiness)
  * @returns {Promise<Object>} - Object containing style information
  */
-async function extractStylesWithPuppeteer(url, outputDir = path.resolve(__dirname, "../../output/public")) {
-  const browser = await createBrowserWithProxy({ headless: "new" });
-  const page = await createAuthenticatedPage(browser);
+async function extractStylesWithPuppeteer(url, outputDir = path.resolve(__dirname, "../../output/public"), options = {}) {
+  const { page: sharedPage = null, readiness = {} } = options;
+  const browser = sharedPage ? null : await createBrowserWithProxy({ headless: "new" });
+  const page = sharedPage || await createAuthenticatedPage(browser);
   
   try {
     // Create output directory
     fs.mkdirSync(outputDir, { recursive: true });
     
-    // Navigate to the URL and wait until network is idle
-    await page.goto(url, { waitUntil: "networkidle0", timeout: 120000 });
+    // Navigate to the URL and wait until the page is ready
+    if (!sharedPage) {
+      attachResponseCapture(page);
+      startResponseCapture(page);
+      await loadPageWhenReady(page, url, readiness);
+    }
+    
+    // Stylesheets the browser loaded are read from its responses rather than downloaded again
+    const responseCapture = getResponseCapture(page);
     
     // Get the fully rendered HTML
     const renderedHTML = await page.content();
@@ -228,7 +242,7 @@ async function extractStylesWithPuppeteer(url, outputDir = path.resolve(__dirnam
             continue;
           }
 
-          const { data: cssContent } = await axios.get(fullUrl);
+          const { data: cssContent } = await fetchAsset({ method: 'get', url: fullUrl, responseType: 'text' }, responseCapture);
           fs.writeFileSync(filepath, cssContent);
           
           cssFiles.push({
@@ -288,7 +302,9 @@ async function extractStylesWithPuppeteer(url, outputDir = path.resolve(__dirnam
       cssFiles
     };
   } finally {
-    await browser.close();
+    if (browser) {
+      await browser.close();
+    }
   }
 }
 
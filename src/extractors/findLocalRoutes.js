@@ -0,0 +1,151 @@
+const fs = require('fs');
+const path = require('path');
+const { toLocalPath, toFileUrl } = require('../utils/localFiles');
+const { toComponentName, claimName } = require('../utils/naming');
+
+/**
+ * Folders that never contain pages of the site
+ */
+const IGNORED_DIRECTORIES = new Set(['node_modules', '.git']);
+
+/**
+ * Checks whether a folder holds the resources of a page saved with "Save Page As – complete"
+ * (page.html next to page_files/), whose HTML files are frames rather than pages
+ * @param {string} dir - Parent folder
+ * @param {string} name - Folder name
+ * @returns {boolean}
+ */
+function isSavedPageResourceFolder(dir, name) {
+  const match = /^(.+)_files$/.exec(name);
+  return Boolean(match) && ['.html', '.htm'].some(ext => fs.existsSync(path.join(dir, `${match[1]}${ext}`)));
+}
+
+/**
+ * @param {string} filePath - Path, possibly of a symlink
+ * @returns {boolean} - Whether it leads to a file
+ */
+function isFile(filePath) {
+  try {
+    return fs.statSync(filePath).isFile();
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Lists the .html/.htm files of a folder, recursively and in a stable order.
+ * Symlinked folders aren't followed and unreadable folders are skipped.
+ * @param {string} dir - Folder to search
+ * @returns {string[]} - Absolute file paths
+ */
+function listHtmlFiles(dir) {
+  let entries;
+  try {
+    entries = fs.readdirSync(dir, { withFileTypes: true });
+  } catch (error) {
+    console.warn(`⚠️ Skipping ${dir}: ${error.message}`);
+    return [];
+  }
+  return entries
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .flatMap(entry => {
+      const entryPath = path.join(dir, entry.name);
+      if (entry.isSymbolicLink()) {
+        return /\.html?$/i.test(entry.name) && isFile(entryPath) ? [entryPath] : [];
+      }
+      if (entry.isDirectory()) {
+        const skip = entry.name.startsWith('.') || IGNORED_DIRECTORIES.has(entry.name) || isSavedPageResourceFolder(dir, entry.name);
+        return skip ? [] : listHtmlFiles(entryPath);
+      }
+      return /\.html?$/i.test(entry.name) ? [entryPath] : [];
+    });
+}
+
+/**
+ * Derives the router path of a page from its location in the site folder:
+ * index.html -> /, about.html -> /about, blog/index.html -> /blog, blog/post.html -> /blog/post
+ * @param {string} relativePath - Path of the file relative to the site folder
+ * @returns {string} - Router path
+ */
+function getRoutePathFromFile(relativePath) {
+  const segments = relativePath.split(path.sep);
+  const last = segments.pop().replace(/\.html?$/i, '');
+  if (last.toLowerCase() !== 'index') {
+    segments.push(last);
+  }
+  return `/${segments.join('/')}`;
+}
+
+/**
+ * Builds routes from a local HTML file or a folder of HTML files. Routes follow the
+ * folder structure and point at the files through file:// URLs.
+ *
+ * @param {string} input - HTML file, site folder or file:// URL
+ * @param {string} outputPath - Optional path to save routes to a JSON file
+ * @returns {Array} - Array of route objects ({url, componentName, path, file, depth, source})
+ */
+function findLocalRoutes(input, outputPath = null) {
+  const inputPath = toLocalPath(input);
+  const isDirectory = fs.statSync(inputPath).isDirectory();
+  const siteRoot = isDirectory ? inputPath : path.dirname(inputPath);
+  const files = isDirectory ? listHtmlFiles(inputPath) : [inputPath];
+
+  console.log(`📂 Found ${files.length} HTML files in ${inputPath}`);
+
+  const usedNames = new Set();
+  const routes = files.map(file => {
+    const relativePath = path.relative(siteRoot, file);
+    // A single file is the home page whatever it is called
+    const routePath = isDirectory ? getRoutePathFromFile(relativePath) : '/';
+    const segments = routePath.split('/').filter(Boolean);
+
+    // Name after the last segment; fall back to the full path when that name is taken
+    const preferred = segments.length === 0 ? 'Home' : toComponentName(segments.slice(-1));
+    const componentName = claimName(usedNames.has(preferred) ? toComponentName(segments) : preferred, usedNames);
+
+    console.log(`✅ Local route: ${componentName} -> ${routePath} (${relativePath})`);
+    return {
+      url: toFileUrl(file),
+      componentName,
+      path: routePath,
+      file: relativePath,
+      depth: segments.length,
+      source: 'file'
+    };
+  });
+
+  // Home first, then by depth, keeping folder order within a level
+  routes.sort((a, b) => (a.path === '/' ? -1 : b.path === '/' ? 1 : a.depth - b.depth));
+
+  if (outputPath) {
+    fs.writeFileSync(outputPath, JSON.stringify(routes, null, 2));
+    console.log(`📁 Routes saved to: ${outputPath}`);
+  }
+
+  return routes;
+}
+
+// If this file is run directly (not imported)
+if (require.main === module) {
+  const input = process.argv[2];
+  const outputPath = process.argv[3] || 'discovered-routes.json';
+
+  if (!input) {
+    console.error('❌ Please provide an HTML file or a folder of HTML files as the first argument');
+    console.error('Usage: node findLocalRoutes.js <file-or-folder> [outputPath]');
+    process.exit(1);
+  }
+
+  try {
+    findLocalRoutes(input, outputPath);
+    console.log('✨ Done!');
+  } catch (err) {
+    console.error('❌ Error:', err);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  findLocalRoutes,
+  getRoutePathFromFile
+};
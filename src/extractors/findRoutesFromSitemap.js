@@ -0,0 +1,183 @@
+const { httpRequest } = require('../utils/httpClient');
+const zlib = require('zlib');
+const cheerio = require('cheerio');
+
+/**
+ * Downloads a sitemap or robots.txt resource, transparently gunzipping it when needed
+ *
+ * @param {string} url - URL of the resource
+ * @returns {Promise<string>} - The decoded text content
+ */
+async function fetchText(url) {
+  const response = await httpRequest({
+    method: 'get',
+    url,
+    responseType: 'arraybuffer',
+    timeout: 30000,
+    maxRedirects: 5,
+    validateStatus: status => status < 400
+  });
+
+  let buffer = Buffer.from(response.data);
+
+  // Gzipped sitemaps (.xml.gz) start with the gzip magic bytes 1f 8b
+  if (buffer.length > 2 && buffer[0] === 0x1f && buffer[1] === 0x8b) {
+    buffer = zlib.gunzipSync(buffer);
+  }
+
+  return buffer.toString('utf8');
+}
+
+/**
+ * Reads the Sitemap: entries from a site's robots.txt
+ *
+ * @param {string} origin - Site origin (e.g. https://example.com)
+ * @returns {Promise<string[]>} - Sitemap URLs listed in robots.txt
+ */
+async function getSitemapsFromRobots(origin) {
+  const robotsUrl = new URL('/robots.txt', origin).href;
+
+  try {
+    const robotsTxt = await fetchText(robotsUrl);
+    const sitemapUrls = robotsTxt
+      .split(/\r?\n/)
+      .map(line => line.match(/^\s*sitemap\s*:\s*(\S+)/i))
+      .filter(Boolean)
+      .map(match => new URL(match[1], origin).href);
+
+    console.log(`🤖 Found ${sitemapUrls.length} sitemap entries in ${robotsUrl}`);
+    return sitemapUrls;
+  } catch (err) {
+    console.warn(`⚠️ Could not read ${robotsUrl}: ${err.message}`);
+    return [];
+  }
+}
+
+/**
+ * Parses a sitemap XML document (either a <urlset> or a <sitemapindex>)
+ *
+ * @param {string} xml - Sitemap XML content
+ * @returns {{type: string, entries: Array}} - Parsed sitemap with {loc, lastmod, priority, changefreq} entries
+ */
+function parseSitemap(xml) {
+  const $ = cheerio.load(xml, { xmlMode: true });
+  const isIndex = $('sitemapindex').length > 0;
+  const entrySelector = isIndex ? 'sitemap' : 'url';
+
+  const entries = [];
+  $(entrySelector).each((_, el) => {
+    const loc = $(el).children('loc').first().text().trim();
+    if (!loc) return;
+
+    const lastmod = $(el).children('lastmod').first().text().trim();
+    const priority = $(el).children('priority').first().text().trim();
+    const changefreq = $(el).children('changefreq').first().text().trim();
+
+    entries.push({
+      loc,
+      lastmod: lastmod || null,
+      priority: priority ? parseFloat(priority) : null,
+      changefreq: changefreq || null
+    });
+  });
+
+  return { type: isIndex ? 'index' : 'urlset', entries };
+}
+
+/**
+ * Collects page URLs from a site's sitemaps.
+ *
+ * Sitemaps are taken from robots.txt (falling back to /sitemap.xml) unless explicit
+ * sitemap URLs are given. Sitemap indexes are followed recursively and gzipped
+ * sitemaps are decompressed.
+ *
+ * @param {string} startUrl - Any URL on the site
+ * @param {Object} options - Discovery options
+ * @param {string[]} options.sitemapUrls - Explicit sitemap URLs to read instead of robots.txt
+ * @param {boolean} options.useRobots - Read Sitemap: entries from robots.txt (default: true)
+ * @param {number} options.maxSitemaps - Maximum number of sitemap files to download (default: 50)
+ * @returns {Promise<Array>} - Array of {url, lastmod, priority, changefreq} objects
+ */
+async function findRoutesFromSitemap(startUrl, options = {}) {
+  const {
+    sitemapUrls = [],
+    useRobots = true,
+    maxSitemaps = 50
+  } = options;
+
+  const origin = new URL(startUrl).origin;
+
+  // Work out which sitemaps to start from
+  let pending = [...sitemapUrls];
+  if (pending.length === 0 && useRobots) {
+    pending = await getSitemapsFromRobots(origin);
+  }
+  if (pending.length === 0) {
+    pending = [new URL('/sitemap.xml', origin).href];
+  }
+
+  const visitedSitemaps = new Set();
+  const pages = new Map();
+
+  while (pending.length > 0 && visitedSitemaps.size < maxSitemaps) {
+    const sitemapUrl = pending.shift();
+    if (visitedSitemaps.has(sitemapUrl)) continue;
+    visitedSitemaps.add(sitemapUrl);
+
+    let sitemap;
+    try {
+      console.log(`🗺️ Reading sitemap: ${sitemapUrl}`);
+      sitemap = parseSitemap(await fetchText(sitemapUrl));
+    } catch (err) {
+      console.warn(`⚠️ Failed to read sitemap ${sitemapUrl}: ${err.message}`);
+      continue;
+    }
+
+    if (sitemap.type === 'index') {
+      console.log(`📚 Sitemap index with ${sitemap.entries.length} child sitemaps`);
+      sitemap.entries.forEach(entry => pending.push(new URL(entry.loc, sitemapUrl).href));
+      continue;
+    }
+
+    sitemap.entries.forEach(({ loc, lastmod, priority, changefreq }) => {
+      const url = new URL(loc, sitemapUrl).href;
+      if (!pages.has(url)) {
+        pages.set(url, { url, lastmod, priority, changefreq });
+      }
+    });
+  }
+
+  if (pending.length > 0) {
+    console.log(`⚠️ Stopped after ${maxSitemaps} sitemaps with ${pending.length} still pending`);
+  }
+  console.log(`🗺️ Found ${pages.size} URLs in ${visitedSitemaps.size} sitemaps`);
+
+  return Array.from(pages.values());
+}
+
+// If this file is run directly (not imported)
+if (require.main === module) {
+  const startUrl = process.argv[2];
+
+  if (!startUrl) {
+    console.error('❌ Please provide a site URL as the first argument');
+    console.error('Usage: node findRoutesFromSitemap.js <siteUrl> [sitemapUrl]');
+    process.exit(1);
+  }
+
+  findRoutesFromSitemap(startUrl, { sitemapUrls: process.argv[3] ? [process.argv[3]] : [] })
+    .then(pages => {
+      pages.forEach(page => console.log(`${page.url}${page.lastmod ? ` (lastmod ${page.lastmod})` : ''}`));
+      console.log('✨ Done!');
+    })
+    .catch(err => {
+      console.error('❌ Error:', err);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  findRoutesFromSitemap,
+  getSitemapsFromRobots,
+  parseSitemap
+};
@@ -1,6 +1,13 @@
 const puppeteer = require('puppeteer');
 const fs = require('fs');
 const { createBrowserWithProxy, createAuthenticatedPage } = require('../utils/puppeteerConfig');
+const { loadPageWhenReady } = require('../utils/pageReadiness');
+const { getPageHealth } = require('../utils/pageHealth');
+const { findRoutesFromSitemap } = require('./findRoutesFromSitemap');
+const { createUrlFilter } = require('../utils/urlFilters');
+const { toComponentName, claimName } = require('../utils/naming');
+const { computeStructureSignature, clusterDynamicRoutes } = require('./clusterDynamicRoutes');
+const { HASH_ROUTE_PATTERN, isHashRoute, installNavigationHooks, probeClientSideRoutes } = require('./findSpaRoutes');
 
 /**
  * Helper function to wait for a specified time
@@ -11,31 +18,6 @@ async function wait(page, ms) {
   }, ms);
 }
 
-/**
- * Counts nesting levels in a URL path
- * 
- * @param {string} urlStr - The URL to check
- * @returns {number} - The number of nesting levels
- */
-function countNestingLevels(urlStr) {
-  try {
-    const parsedUrl = new URL(urlStr);
-    // Get the pathname and remove leading/trailing slashes
-    const pathname = parsedUrl.pathname.replace(/^\/+|\/+$/g, '');
-    
-    // If pathname is empty, return 0
-    if (!pathname) {
-      return 0;
-    }
-    
-    // Split by slashes and count segments
-    const segments = pathname.split('/').filter(segment => segment.length > 0);
-    return segments.length;
-  } catch (e) {
-    return 0;
-  }
-}
-
 /**
  * Extracts route name from a URL path
  * 
@@ -73,9 +55,12 @@ function getRouteNameFromUrl(urlStr) {
  * Normalizes a URL by removing trailing slashes and standardizing the format
  * 
  * @param {string} urlStr - The URL to normalize
+ * @param {Object} options - Normalization options
+ * @param {boolean} options.keepHashRoutes - Keep hash fragments that are client-side routes (#/about)
  * @returns {string} - The normalized URL
  */
-function normalizeUrl(urlStr) {
+function normalizeUrl(urlStr, options = {}) {
+  const { keepHashRoutes = false } = options;
   try {
     const url = new URL(urlStr);
     // Remove trailing slash from pathname if it exists
@@ -84,8 +69,12 @@ function normalizeUrl(urlStr) {
     if (url.pathname === '') {
       url.pathname = '/';
     }
-    // Remove hash fragments
-    url.hash = '';
+    // Remove hash fragments, unless they are hash routes that should be kept
+    if (keepHashRoutes && HASH_ROUTE_PATTERN.test(url.hash)) {
+      url.hash = url.hash.replace(/\/+$/, '');
+    } else {
+      url.hash = '';
+    }
     
     return url.toString().replace(/\/$/, '');
   } catch (e) {
@@ -93,79 +82,338 @@ function normalizeUrl(urlStr) {
   }
 }
 
+/**
+ * Returns the router path of a URL: its pathname without the trailing slash, or
+ * the route in the hash for hash routes (#/about -> /about)
+ * 
+ * @param {string} urlStr - The URL to get the path of
+ * @returns {string} - The route path (e.g. /team/engineering)
+ */
+function getRoutePathFromUrl(urlStr) {
+  try {
+    const parsedUrl = new URL(urlStr);
+    const routePath = isHashRoute(urlStr)
+      ? parsedUrl.hash.replace(/^#!?/, '').split('?')[0]
+      : parsedUrl.pathname;
+    return `/${routePath.replace(/^\/+|\/+$/g, '')}`;
+  } catch (e) {
+    return '/';
+  }
+}
+
 /**
  * Generates a component name from a URL
  * 
  * @param {string} urlStr - The URL to extract the component name from
+ * @param {Object} options - Naming options
+ * @param {boolean} options.fullPath - Name after every path segment instead of the last one (/team/about -> TeamAbout)
  * @returns {string} - The component name in PascalCase
  */
-function getComponentNameFromUrl(urlStr) {
-  try {
-    const parsedUrl = new URL(urlStr);
-    // Get the pathname and remove leading/trailing slashes
-    const pathname = parsedUrl.pathname.replace(/^\/+|\/+$/g, '');
+function getComponentNameFromUrl(urlStr, options = {}) {
+  const { fullPath = false } = options;
+  // File extensions aren't part of the name (about-us.html -> AboutUs)
+  const parts = getRoutePathFromUrl(urlStr).split('/').filter(Boolean)
+    .map(part => part.replace(/\.[A-Za-z0-9]+$/, ''));
+  
+  // If pathname is empty, return 'Home'
+  if (parts.length === 0) {
+    return 'Home';
+  }
+  
+  return toComponentName(fullPath ? parts : parts.slice(-1));
+}
+
+/**
+ * Generates a component name that no other route uses yet: named after the
+ * last path segment, after the full path when that name is taken, and with a
+ * number suffix as a last resort
+ * 
+ * @param {string} urlStr - The URL of the route
+ * @param {Set<string>} usedNames - Component names already in use; the new name is added
+ * @returns {string} - The component name in PascalCase
+ */
+function getUniqueComponentName(urlStr, usedNames) {
+  const componentName = getComponentNameFromUrl(urlStr);
+  return claimName(usedNames.has(componentName) ? getComponentNameFromUrl(urlStr, { fullPath: true }) : componentName, usedNames);
+}
+
+/**
+ * Collects all navigable links and candidate buttons from the currently loaded page
+ * 
+ * @param {Page} page - Puppeteer page that has already been navigated
+ * @returns {Promise<Array>} - Array of {type, href, text, selector} objects
+ */
+async function collectClickableElements(page) {
+  return page.evaluate(() => {
+    // Find all <a> tags with href
+    const links = Array.from(document.querySelectorAll('a[href]'))
+      .map(a => ({ 
+        type: 'link',
+        href: a.href,
+        text: a.innerText.trim() || a.textContent.trim() || 'link',
+        selector: `a[href="${a.getAttribute('href')}"]`
+      }))
+      .filter(link => {
+        // Filter out non-http links (mailto:, tel:, etc)
+        return link.href.startsWith('http') || link.href.startsWith('/');
+      });
     
-    // If pathname is empty, return 'Home'
-    if (!pathname) {
-      return 'Home';
-    }
+    // Find buttons that might trigger navigation using event listeners
+    const buttons = Array.from(document.querySelectorAll('button, [role="button"], .btn, .button'))
+      .map((btn, index) => ({
+        type: 'button',
+        text: btn.innerText.trim() || btn.textContent.trim() || `button-${index}`,
+        selector: (() => {
+          // Try to create a unique selector for each button
+          if (btn.id) return `#${btn.id}`;
+          if (btn.className) {
+            const classes = Array.from(btn.classList).join('.');
+            return `.${classes}`;
+          }
+          // Fallback to a path selector
+          let path = '';
+          let el = btn;
+          while (el && el !== document.body) {
+            let sibCount = 0;
+            let sibIndex = 0;
+            for (let sib = el.previousSibling; sib; sib = sib.previousSibling) {
+              if (sib.nodeType === 1 && sib.tagName === el.tagName) {
+                sibCount++;
+              }
+            }
+            for (let sib = el; sib; sib = sib.previousSibling) {
+              if (sib.nodeType === 1 && sib.tagName === el.tagName) {
+                sibIndex++;
+              }
+            }
+            const tagName = el.tagName.toLowerCase();
+            path = sibCount > 0 ? `${tagName}:nth-of-type(${sibIndex})>${path}` : `${tagName}>${path}`;
+            el = el.parentNode;
+          }
+          return path.slice(0, -1); // remove trailing >
+        })()
+      }));
     
-    // Get the last part of the pathname (after the last slash)
-    const parts = pathname.split('/');
-    let routeName = parts[parts.length - 1];
+    // Also include navigation menus and common navigation elements
+    const navItems = Array.from(document.querySelectorAll('nav a, .nav a, .navbar a, .menu a, .navigation a, header a'))
+      .map(navLink => ({
+        type: 'nav-link',
+        href: navLink.href,
+        text: navLink.innerText.trim() || navLink.textContent.trim() || 'nav-item',
+        selector: `a[href="${navLink.getAttribute('href')}"]`
+      }))
+      .filter(link => {
+        return link.href.startsWith('http') || link.href.startsWith('/');
+      });
     
-    // Handle common patterns
-    if (routeName.includes('.')) {
-      // Remove file extensions if present
-      routeName = routeName.split('.')[0];
-    }
+    return [...links, ...buttons, ...navItems];
+  });
+}
 
-    // Convert hyphens to PascalCase
-    if (routeName.includes('-')) {
-      return routeName
-        .split('-')
-        .map(part => part.charAt(0).toUpperCase() + part.slice(1).toLowerCase())
-        .join('');
-    }
+/**
+ * Lists the URLs that redirected to the page a navigation ended on
+ * 
+ * @param {HTTPResponse} response - Response of the navigation
+ * @param {string} requestedUrl - Normalized URL that was visited
+ * @param {string} finalUrl - Normalized URL the page settled on
+ * @param {Function} normalize - URL normalizer of the crawl
+ * @returns {Array} - Array of {url, status, to}; status is null for redirects made by the page's JavaScript
+ */
+function getRedirectChain(response, requestedUrl, finalUrl, normalize) {
+  const hops = response
+    ? response.request().redirectChain().map(request => ({
+      url: normalize(request.url()),
+      status: request.response() ? request.response().status() : null
+    }))
+    : [];
+  // A redirect made by the page's JavaScript (location.href = ...) has no HTTP hop
+  if (requestedUrl !== finalUrl && !hops.some(hop => hop.url === requestedUrl)) {
+    hops.unshift({ url: requestedUrl, status: null });
+  }
+  
+  const seen = new Set([finalUrl]);
+  return hops
+    .filter(hop => !seen.has(hop.url) && seen.add(hop.url))
+    .map(hop => ({ ...hop, to: finalUrl }));
+}
 
-    // Handle underscores similarly
-    if (routeName.includes('_')) {
-      return routeName
-        .split('_')
-        .map(part => part.charAt(0).toUpperCase() + part.slice(1).toLowerCase())
-        .join('');
-    }
+/**
+ * Adds redirects to a route, skipping the ones it already has
+ * @param {Object} route - Route the redirects lead to
+ * @param {Array} redirects - Array of {url, status, to}
+ */
+function addRedirects(route, redirects) {
+  const known = new Set((route.redirectedFrom || []).map(redirect => redirect.url));
+  const added = redirects.filter(redirect => !known.has(redirect.url));
+  if (added.length > 0) {
+    route.redirectedFrom = [...(route.redirectedFrom || []), ...added];
+    added.forEach(redirect => console.log(`↪️ Redirect: ${redirect.url} -> ${route.url}${redirect.status ? ` (${redirect.status})` : ' (client-side)'}`));
+  }
+}
 
-    // Convert to PascalCase
-    return routeName.charAt(0).toUpperCase() + routeName.slice(1);
+/**
+ * Clicks each button on a page and reports the URLs that the clicks navigated to.
+ * A single probe page is reused; after every navigation it is returned to the
+ * source page with the back button, falling back to a direct navigation.
+ * 
+ * @param {Browser} browser - Puppeteer browser instance
+ * @param {string} pageUrl - URL of the page the buttons were found on
+ * @param {Array} buttons - Button descriptors from collectClickableElements
+ * @param {number} timeoutMs - Navigation timeout in milliseconds
+ * @param {number} returnHomeTimeoutMs - Timeout for returning to the source page
+ * @returns {Promise<string[]>} - Normalized URLs reached by clicking buttons
+ */
+async function probeButtonRoutes(browser, pageUrl, buttons, timeoutMs, returnHomeTimeoutMs) {
+  const reachedUrls = [];
+  if (buttons.length === 0) {
+    return reachedUrls;
+  }
+  
+  const probePage = await createAuthenticatedPage(browser);
+  await probePage.setViewport({ width: 1280, height: 800 });
+  
+  try {
+    // The page was already scrolled when it was crawled; only its initial view is clicked
+    await loadPageWhenReady(probePage, pageUrl, { timeoutMs, scroll: false });
+    
+    for (const button of buttons) {
+      try {
+        // Make sure we start every click from the source page
+        if (normalizeUrl(probePage.url()) !== normalizeUrl(pageUrl)) {
+          await loadPageWhenReady(probePage, pageUrl, { timeoutMs, scroll: false });
+        }
+        
+        console.log(`👆 Clicking element: ${button.text} (${button.type})`);
+        await probePage.waitForSelector(button.selector, { timeout: 5000 });
+        await probePage.click(button.selector);
+        await wait(probePage, 3000); // Wait for any navigation to complete
+      } catch (e) {
+        console.log(`⚠️ Failed to find or click: ${button.selector}`);
+        continue;
+      }
+      
+      const normalizedCurrentUrl = normalizeUrl(probePage.url());
+      if (normalizedCurrentUrl === normalizeUrl(pageUrl)) {
+        continue;
+      }
+      reachedUrls.push(normalizedCurrentUrl);
+      
+      // Try to go back to the source page
+      console.log(`🏠 Attempting to return to ${pageUrl} with ${returnHomeTimeoutMs}ms timeout...`);
+      try {
+        // First try to use browser back button
+        await Promise.race([
+          probePage.goBack({ waitUntil: 'load' }),
+          wait(probePage, returnHomeTimeoutMs)
+        ]);
+        
+        if (normalizeUrl(probePage.url()) !== normalizeUrl(pageUrl)) {
+          console.log(`⚠️ Could not return with back button, navigating directly...`);
+          await loadPageWhenReady(probePage, pageUrl, { timeoutMs, scroll: false });
+        }
+      } catch (e) {
+        console.log(`⚠️ Error returning to ${pageUrl}: ${e.message}`);
+      }
+    }
   } catch (e) {
-    return 'Page';
+    console.error(`❌ Error probing buttons on ${pageUrl}: ${e.message}`);
+  } finally {
+    await probePage.close();
   }
+  
+  return reachedUrls;
 }
 
 /**
- * Discovers all first-level routes of a website by clicking on links and buttons
+ * Discovers the routes of a website with a breadth-first crawl.
+ * 
+ * Every page in the queue is loaded once; its final (post-redirect) URL becomes a
+ * route and, while the page is shallower than maxDepth, its links and navigating
+ * buttons are queued one level deeper. When sitemap discovery is enabled, the
+ * sitemap URLs are queued at depth 1 and their lastmod/priority are kept on the route.
+ * 
+ * In SPA mode the History API is hooked and buttons are clicked inside the same
+ * page (see findSpaRoutes.js), so pushState-only navigation and hash routes
+ * (#/about) are discovered without a reload per click.
  * 
  * @param {string} startUrl - The URL to start the discovery from
  * @param {string} outputPath - Optional path to save routes to a JSON file
- * @param {number} timeoutMs - Timeout in milliseconds (default: 300000 - 5 minutes)
- * @param {number} returnHomeTimeoutMs - Timeout in milliseconds for returning to the home page (default: 5000ms)
- * @returns {Promise<Object>} - A map of route names to their URLs
+ * @param {Object} options - Crawl options
+ * @param {number} options.maxDepth - How many links away from startUrl to follow (default: 1)
+ * @param {number} options.maxPages - Maximum number of routes to collect (default: 50)
+ * @param {boolean} options.sameOrigin - Only follow links on the start URL's origin (default: true)
+ * @param {string} options.pathPrefix - Only follow links whose pathname starts with this prefix
+ * @param {boolean} options.clickButtons - Also click buttons to find JS-driven navigation (default: true)
+ * @param {boolean} options.spaRoutes - Record client-side History API and hash route transitions (default: false)
+ * @param {boolean} options.useSitemap - Seed the crawl from robots.txt and sitemap.xml (default: false)
+ * @param {string[]} options.sitemapUrls - Explicit sitemap URLs to use instead of robots.txt
+ * @param {string[]} options.include - Glob or /regex/ patterns a route must match (see urlFilters.js)
+ * @param {string[]} options.exclude - Glob or /regex/ patterns that reject a route
+ * @param {boolean} options.useDefaultExcludes - Reject logout, cart, admin, file and tracking URLs (default: true)
+ * @param {boolean} options.dynamicRoutes - Collapse same-shaped URLs into parameterized routes (default: false)
+ * @param {number} options.minClusterSize - Minimum number of pages that form a dynamic route (default: 3)
+ * @param {number} options.timeoutMs - Navigation timeout in milliseconds (default: 300000)
+ * @param {number} options.returnHomeTimeoutMs - Timeout for returning after a button click (default: 5000)
+ * @param {Object} options.checkpoint - Checkpoint store; progress is saved after every page and an unfinished crawl is resumed
+ * @returns {Promise<Array>} - Array of {url, componentName, path, depth, linkedFrom, source, httpStatus, redirectedFrom} route objects (source is start, link, button, sitemap, history or hash)
  */
-async function findFirstLevelRoutes(
-  startUrl, 
-  outputPath = null, 
-  timeoutMs = 300000, 
-  returnHomeTimeoutMs = 5000
-) {
+async function crawlRoutes(startUrl, outputPath = null, options = {}) {
+  const {
+    maxDepth = 1,
+    maxPages = 50,
+    sameOrigin = true,
+    pathPrefix = null,
+    clickButtons = true,
+    spaRoutes = false,
+    useSitemap = false,
+    sitemapUrls = [],
+    include = [],
+    exclude = [],
+    useDefaultExcludes = true,
+    dynamicRoutes = false,
+    minClusterSize = 3,
+    timeoutMs = 300000,
+    returnHomeTimeoutMs = 5000,
+    checkpoint = null
+  } = options;
+  
   console.log(`🔍 Discovering routes from: ${startUrl}`);
+  console.log(`🧭 Crawl limits: depth ${maxDepth}, max ${maxPages} pages${pathPrefix ? `, path prefix ${pathPrefix}` : ''}${sameOrigin ? ', same origin only' : ''}`);
+  if (spaRoutes) {
+    console.log('🧭 SPA mode: recording History API and hash route transitions');
+  }
   
-  // Normalize the starting URL
-  const normalizedStartUrl = normalizeUrl(startUrl);
+  // Hash routes are only distinct routes in SPA mode
+  const normalize = urlStr => normalizeUrl(urlStr, { keepHashRoutes: spaRoutes });
   
-  // Parse the base URL
+  // Normalize the starting URL
+  const normalizedStartUrl = normalize(startUrl);
   const parsedStartUrl = new URL(normalizedStartUrl);
-  const baseUrl = `${parsedStartUrl.protocol}//${parsedStartUrl.host}`;
+  
+  const urlFilter = createUrlFilter({ include, exclude, useDefaultExcludes });
+  
+  /**
+   * Checks a URL against the crawl scope and the include/exclude rules
+   * @returns {string|null} - The reason the URL is rejected, or null if it is allowed
+   */
+  function getRejectionReason(urlStr) {
+    let parsedUrl;
+    try {
+      parsedUrl = new URL(urlStr);
+    } catch (e) {
+      return 'invalid URL';
+    }
+    if (!parsedUrl.protocol.startsWith('http')) {
+      return `unsupported protocol ${parsedUrl.protocol}`;
+    }
+    if (sameOrigin && parsedUrl.origin !== parsedStartUrl.origin) {
+      return `external origin ${parsedUrl.origin}`;
+    }
+    if (pathPrefix && !parsedUrl.pathname.startsWith(pathPrefix)) {
+      return `outside path prefix ${pathPrefix}`;
+    }
+    return urlFilter(urlStr);
+  }
   
   const browser = await createBrowserWithProxy({
     headless: 'new',
@@ -173,229 +421,179 @@ async function findFirstLevelRoutes(
   });
   
   // Store discovered routes as an array of objects
-  const routes = [
-    {
-      url: normalizedStartUrl,
-      componentName: 'Home'
-    }
-  ];
+  let routes = [];
   
-  // Keep track of URLs we've already visited or queued
-  const visitedUrls = new Set([normalizedStartUrl]);
+  // Structural DOM signatures keyed by route URL, used to collapse dynamic routes
+  const signatures = new Map();
+  
+  // URLs that were queued or visited, keyed by normalized URL
+  const seenUrls = new Set([normalizedStartUrl]);
+  
+  // Breadth-first queue of pages still to visit
+  const queue = [{ url: normalizedStartUrl, depth: 0, linkedFrom: null, source: 'start' }];
+  
+  // Sitemap metadata (lastmod, priority, changefreq) keyed by normalized URL
+  const sitemapMetadata = new Map();
+  
+  // Pick up an unfinished crawl from the checkpoint
+  const savedDiscovery = checkpoint && checkpoint.resume ? checkpoint.getDiscovery() : null;
+  const resumingDiscovery = Boolean(savedDiscovery && savedDiscovery.status === 'in-progress' && savedDiscovery.startUrl === normalizedStartUrl);
+  if (resumingDiscovery) {
+    routes = savedDiscovery.routes;
+    queue.splice(0, queue.length, ...savedDiscovery.queue);
+    savedDiscovery.seenUrls.forEach(seenUrl => seenUrls.add(seenUrl));
+    Object.entries(savedDiscovery.signatures || {}).forEach(([routeUrl, signature]) => signatures.set(routeUrl, signature));
+    Object.entries(savedDiscovery.sitemapMetadata || {}).forEach(([routeUrl, metadata]) => sitemapMetadata.set(routeUrl, metadata));
+    console.log(`♻️ Resuming discovery with ${routes.length} routes found and ${queue.length} URLs queued`);
+  }
+  
+  /**
+   * Saves the crawl state to the checkpoint, if there is one
+   */
+  function saveProgress(status) {
+    if (!checkpoint) return;
+    checkpoint.saveDiscovery({
+      status,
+      startUrl: normalizedStartUrl,
+      routes,
+      queue,
+      seenUrls: Array.from(seenUrls),
+      signatures: Object.fromEntries(signatures),
+      sitemapMetadata: Object.fromEntries(sitemapMetadata)
+    });
+  }
+  
+  /**
+   * Queues a URL one level below its parent if it is new and in scope
+   */
+  function enqueue(urlStr, depth, linkedFrom, source) {
+    const normalized = normalize(urlStr);
+    if (seenUrls.has(normalized)) {
+      return;
+    }
+    seenUrls.add(normalized);
+    
+    const rejectionReason = getRejectionReason(normalized);
+    if (rejectionReason) {
+      console.log(`⛔ Rejected route ${normalized}: ${rejectionReason}`);
+      return;
+    }
+    queue.push({ url: normalized, depth, linkedFrom, source });
+  }
   
   try {
+    if (!resumingDiscovery && (useSitemap || sitemapUrls.length > 0)) {
+      const sitemapPages = await findRoutesFromSitemap(normalizedStartUrl, { sitemapUrls });
+      sitemapPages.forEach(({ url, lastmod, priority, changefreq }) => {
+        sitemapMetadata.set(normalize(url), { lastmod, priority, changefreq });
+        enqueue(url, 1, null, 'sitemap');
+      });
+    }
+    
     const page = await createAuthenticatedPage(browser);
     
     // Set viewport to a reasonable desktop size
     await page.setViewport({ width: 1280, height: 800 });
-    
-    // Disable navigation timeouts
     page.setDefaultNavigationTimeout(timeoutMs);
     
-    // Navigate to the starting URL
-    console.log(`⏳ Navigating to starting URL: ${startUrl}`);
-    await page.goto(startUrl, { 
-      waitUntil: ['load', 'networkidle0'],
-      timeout: timeoutMs
-    });
-    
-    // Wait for any post-load JavaScript
-    await wait(page, 3000);
-    
-    console.log('🔍 Finding all clickable elements...');
+    if (spaRoutes) {
+      await installNavigationHooks(page);
+    }
     
-    // Find all links on the page (first level)
-    const clickableElements = await page.evaluate(() => {
-      // Find all <a> tags with href
-      const links = Array.from(document.querySelectorAll('a[href]'))
-        .map(a => ({ 
-          type: 'link',
-          href: a.href,
-          text: a.innerText.trim() || a.textContent.trim() || 'link',
-          selector: `a[href="${a.getAttribute('href')}"]`
-        }))
-        .filter(link => {
-          // Filter out non-http links (mailto:, tel:, etc)
-          return link.href.startsWith('http') || link.href.startsWith('/');
-        });
-      
-      // Find buttons that might trigger navigation using event listeners
-      const buttons = Array.from(document.querySelectorAll('button, [role="button"], .btn, .button'))
-        .map((btn, index) => ({
-          type: 'button',
-          text: btn.innerText.trim() || btn.textContent.trim() || `button-${index}`,
-          selector: (() => {
-            // Try to create a unique selector for each button
-            if (btn.id) return `#${btn.id}`;
-            if (btn.className) {
-              const classes = Array.from(btn.classList).join('.');
-              return `.${classes}`;
-            }
-            // Fallback to a path selector
-            let path = '';
-            let el = btn;
-            while (el && el !== document.body) {
-              let sibCount = 0;
-              let sibIndex = 0;
-              for (let sib = el.previousSibling; sib; sib = sib.previousSibling) {
-                if (sib.nodeType === 1 && sib.tagName === el.tagName) {
-                  sibCount++;
-                }
-              }
-              for (let sib = el; sib; sib = sib.previousSibling) {
-                if (sib.nodeType === 1 && sib.tagName === el.tagName) {
-                  sibIndex++;
-                }
-              }
-              const tagName = el.tagName.toLowerCase();
-              path = sibCount > 0 ? `${tagName}:nth-of-type(${sibIndex})>${path}` : `${tagName}>${path}`;
-              el = el.parentNode;
-            }
-            return path.slice(0, -1); // remove trailing >
-          })()
-        }));
+    while (queue.length > 0 && routes.length < maxPages) {
+      // Saved before the page is taken off the queue, so a crash while visiting it retries it
+      saveProgress('in-progress');
+      const { url, depth, linkedFrom, source } = queue.shift();
       
-      // Also include navigation menus and common navigation elements
-      const navItems = Array.from(document.querySelectorAll('nav a, .nav a, .navbar a, .menu a, .navigation a, header a'))
-        .map(navLink => ({
-          type: 'nav-link',
-          href: navLink.href,
-          text: navLink.innerText.trim() || navLink.textContent.trim() || 'nav-item',
-          selector: `a[href="${navLink.getAttribute('href')}"]`
-        }))
-        .filter(link => {
-          return link.href.startsWith('http') || link.href.startsWith('/');
-        });
+      console.log(`⏳ [depth ${depth}] Visiting: ${url}`);
+      let response;
+      try {
+        // Give the start page's post-load JavaScript longer to run
+        response = await loadPageWhenReady(page, url, { timeoutMs, settleMs: depth === 0 ? 3000 : undefined });
+      } catch (e) {
+        console.error(`❌ Error loading ${url}: ${e.message}`);
+        continue;
+      }
       
-      return [...links, ...buttons, ...navItems];
-    });
-    
-    console.log(`🔗 Found ${clickableElements.length} clickable elements`);
-    
-    // Process each clickable element
-    for (let i = 0; i < clickableElements.length; i++) {
-      const element = clickableElements[i];
+      // Record the page under the URL it finally settled on (after redirects)
+      const finalUrl = normalize(page.url());
+      const redirectRejection = finalUrl !== url ? getRejectionReason(finalUrl) : null;
+      if (redirectRejection) {
+        console.log(`⛔ Rejected route ${url}: redirected to ${finalUrl} (${redirectRejection})`);
+        continue;
+      }
       
-      // Skip elements we've already checked
-      if (element.href && visitedUrls.has(element.href)) {
+      // Old URLs that redirect are kept on the route they lead to
+      const redirects = getRedirectChain(response, url, finalUrl, normalize);
+      const existingRoute = routes.find(route => route.url === finalUrl);
+      if (existingRoute) {
+        addRedirects(existingRoute, redirects);
         continue;
       }
+      seenUrls.add(finalUrl);
       
-      // Check URL nesting depth
-      if (element.href) {
-        const nestingLevels = countNestingLevels(element.href);
-        if (nestingLevels > 1) {
-          console.log(`⛔ Skipping deeply nested URL: ${element.href} (${nestingLevels} levels)`);
-          continue;
-        }
-        
-        // Blacklist specific routes (401 and 402 pages)
-        const urlPath = element.href.toLowerCase();
-        if (urlPath.includes('/401') || urlPath.includes('/402') || 
-            urlPath.includes('401') || urlPath.includes('402')) {
-          console.log(`⛔ Skipping blacklisted route: ${element.href}`);
-          continue;
-        }
+      // Error and challenge pages are still listed; conversion refuses them
+      const { httpStatus, challenge } = getPageHealth(page) || {};
+      if (challenge || httpStatus >= 400) {
+        console.log(`⚠️ ${finalUrl} answered with ${challenge || `HTTP ${httpStatus}`}`);
       }
       
-      // For each element, create a new page so we don't lose our place
-      const newPage = await createAuthenticatedPage(browser);
-      await newPage.setViewport({ width: 1280, height: 800 });
+      const componentName = depth === 0 ? 'Home' : getUniqueComponentName(finalUrl, new Set(routes.map(route => route.componentName)));
+      const route = {
+        url: finalUrl,
+        componentName,
+        path: getRoutePathFromUrl(finalUrl),
+        depth,
+        linkedFrom,
+        source,
+        ...(httpStatus ? { httpStatus } : {}),
+        ...(challenge ? { challenge } : {}),
+        ...(spaRoutes && isHashRoute(finalUrl) ? { hashRoute: true } : {}),
+        ...(sitemapMetadata.get(finalUrl) || sitemapMetadata.get(url) || {})
+      };
+      routes.push(route);
+      console.log(`✅ Discovered route: ${componentName} -> ${finalUrl}${linkedFrom ? ` (linked from ${linkedFrom})` : ''}`);
+      addRedirects(route, redirects);
       
-      try {
-        // First navigate to the starting URL
-        await newPage.goto(startUrl, { waitUntil: 'networkidle0', timeout: timeoutMs });
-        await wait(newPage, 1000); // Wait a bit for JS to initialize
-        
-        console.log(`👆 Clicking element: ${element.text} (${element.type})`);
-        
-        // Different handling based on element type
-        if (element.type === 'link' || element.type === 'nav-link') {
-          // For links, we can navigate directly to their href
-          if (element.href && (element.href.startsWith('http') || element.href.startsWith('/'))) {
-            // Only handle links to the same domain or relative paths
-            const targetUrl = new URL(element.href, baseUrl);
-            if (targetUrl.hostname === parsedStartUrl.hostname) {
-              await newPage.goto(element.href, { waitUntil: 'networkidle0', timeout: timeoutMs });
-            } else {
-              console.log(`⚠️ Skipping external link: ${element.href}`);
-              continue;
-            }
-          }
-        } else {
-          // Find and click the button
-          try {
-            await newPage.waitForSelector(element.selector, { timeout: 5000 });
-            await newPage.click(element.selector);
-            await wait(newPage, 3000); // Wait for any navigation to complete
-          } catch (e) {
-            console.log(`⚠️ Failed to find or click: ${element.selector}`);
-            continue;
-          }
-        }
-        
-        // Check if URL has changed
-        const currentUrl = await newPage.url();
-        const normalizedCurrentUrl = normalizeUrl(currentUrl);
-        
-        if (normalizedCurrentUrl !== normalizedStartUrl) {
-          visitedUrls.add(normalizedCurrentUrl);
-          
-          // Parse the URL to extract the path
-          const parsedUrl = new URL(normalizedCurrentUrl);
-          
-          // Only include URLs from the same domain
-          if (parsedUrl.hostname === parsedStartUrl.hostname) {
-            // Blacklist specific routes (401 and 402 pages)
-            const urlPath = normalizedCurrentUrl.toLowerCase();
-            if (urlPath.includes('/401') || urlPath.includes('/402') || 
-                urlPath.includes('401') || urlPath.includes('402')) {
-              console.log(`⛔ Skipping blacklisted discovered route: ${normalizedCurrentUrl}`);
-            } else {
-              const componentName = getComponentNameFromUrl(normalizedCurrentUrl);
-              console.log(`✅ Discovered route: ${componentName} -> ${normalizedCurrentUrl}`);
-              
-              // Add to routes array if not already present
-              const alreadyExists = routes.some(route => normalizeUrl(route.url) === normalizedCurrentUrl);
-              if (!alreadyExists) {
-                routes.push({
-                  url: normalizedCurrentUrl,
-                  componentName
-                });
-              }
-            }
-          }
-          
-          // Try to go back to the home page
-          console.log(`🏠 Attempting to return to home page with ${returnHomeTimeoutMs}ms timeout...`);
-          try {
-            // First try to use browser back button
-            await Promise.race([
-              newPage.goBack({ waitUntil: 'networkidle0' }),
-              wait(newPage, returnHomeTimeoutMs)
-            ]);
-            
-            // Check if we're back at the start URL
-            const afterBackUrl = await newPage.url();
-            if (afterBackUrl !== startUrl) {
-              console.log(`⚠️ Could not return to home page with back button, navigating directly...`);
-              await newPage.goto(startUrl, { waitUntil: 'networkidle0', timeout: timeoutMs });
-            }
-          } catch (e) {
-            console.log(`⚠️ Error returning to home page: ${e.message}`);
-            console.log(`🔄 Navigating directly to home page...`);
-            await newPage.goto(startUrl, { waitUntil: 'networkidle0', timeout: timeoutMs });
-          }
-        }
-      } catch (e) {
-        console.error(`❌ Error processing element ${i}: ${e.message}`);
-      } finally {
-        // Close the page when done
-        await newPage.close();
+      if (dynamicRoutes) {
+        signatures.set(finalUrl, computeStructureSignature(await page.content()));
+      }
+      
+      // Pages at the depth limit are recorded but not expanded
+      if (depth >= maxDepth) {
+        continue;
+      }
+      
+      console.log('🔍 Finding all clickable elements...');
+      const clickableElements = await collectClickableElements(page);
+      console.log(`🔗 Found ${clickableElements.length} clickable elements`);
+      
+      clickableElements
+        .filter(element => element.href)
+        .forEach(element => enqueue(element.href, depth + 1, finalUrl, 'link'));
+      
+      if (clickButtons && spaRoutes) {
+        const transitions = await probeClientSideRoutes(page, finalUrl, { timeoutMs });
+        transitions.forEach(({ url: reachedUrl, type }) => {
+          const transitionSource = type === 'navigation' ? 'button' : (type === 'hashchange' ? 'hash' : 'history');
+          enqueue(reachedUrl, depth + 1, finalUrl, transitionSource);
+        });
+      } else if (clickButtons) {
+        const buttons = clickableElements.filter(element => element.type === 'button');
+        const reachedUrls = await probeButtonRoutes(browser, finalUrl, buttons, timeoutMs, returnHomeTimeoutMs);
+        reachedUrls.forEach(reachedUrl => enqueue(reachedUrl, depth + 1, finalUrl, 'button'));
       }
     }
     
+    if (queue.length > 0) {
+      console.log(`⚠️ Reached the ${maxPages} page limit with ${queue.length} URLs still queued`);
+    }
+    if (dynamicRoutes) {
+      routes = clusterDynamicRoutes(routes, signatures, { minClusterSize });
+    }
+    
     console.log(`🎉 Discovery complete! Found ${routes.length} routes.`);
+    saveProgress('complete');
     
     // Save to file if outputPath is provided
     if (outputPath) {
@@ -412,20 +610,39 @@ async function findFirstLevelRoutes(
   }
 }
 
+/**
+ * Discovers all first-level routes of a website by clicking on links and buttons
+ * 
+ * @param {string} startUrl - The URL to start the discovery from
+ * @param {string} outputPath - Optional path to save routes to a JSON file
+ * @param {number} timeoutMs - Timeout in milliseconds (default: 300000 - 5 minutes)
+ * @param {number} returnHomeTimeoutMs - Timeout in milliseconds for returning to the home page (default: 5000ms)
+ * @returns {Promise<Array>} - Array of discovered route objects
+ */
+async function findFirstLevelRoutes(
+  startUrl, 
+  outputPath = null, 
+  timeoutMs = 300000, 
+  returnHomeTimeoutMs = 5000
+) {
+  return crawlRoutes(startUrl, outputPath, { maxDepth: 1, timeoutMs, returnHomeTimeoutMs });
+}
+
 // If this file is run directly (not imported)
 if (require.main === module) {
   const startUrl = process.argv[2];
   const outputPath = process.argv[3] || 'discovered-routes.json';
   const timeout = process.argv[4] ? parseInt(process.argv[4]) : 300000;
   const returnHomeTimeout = process.argv[5] ? parseInt(process.argv[5]) : 5000;
+  const maxDepth = process.argv[6] ? parseInt(process.argv[6]) : 1;
   
   if (!startUrl) {
     console.error('❌ Please provide a starting URL as the first argument');
-    console.error('Usage: node findRoutesWithPuppeteer.js <startUrl> [outputPath] [timeoutMs] [returnHomeTimeoutMs]');
+    console.error('Usage: node findRoutesWithPuppeteer.js <startUrl> [outputPath] [timeoutMs] [returnHomeTimeoutMs] [maxDepth]');
     process.exit(1);
   }
   
-  findFirstLevelRoutes(startUrl, outputPath, timeout, returnHomeTimeout)
+  crawlRoutes(startUrl, outputPath, { timeoutMs: timeout, returnHomeTimeoutMs: returnHomeTimeout, maxDepth })
     .then(() => console.log('✨ Done!'))
     .catch(err => {
       console.error('❌ Error:', err);
@@ -434,4 +651,9 @@ if (require.main === module) {
 } else {
   // Export for use in other files
   module.exports = findFirstLevelRoutes;
+  module.exports.crawlRoutes = crawlRoutes;
+  module.exports.normalizeUrl = normalizeUrl;
+  module.exports.getComponentNameFromUrl = getComponentNameFromUrl;
+  module.exports.getUniqueComponentName = getUniqueComponentName;
+  module.exports.getRoutePathFromUrl = getRoutePathFromUrl;
 }
@@ -0,0 +1,231 @@
+/**
+ * Client-side route discovery for single-page applications
+ *
+ * Instead of reloading the page for every clickable element, the History API and
+ * hashchange events are hooked before any page script runs. Candidate elements are
+ * then clicked one after another inside the same page and every client-side route
+ * transition (pushState, replaceState, popstate, hashchange) is recorded.
+ */
+
+const { loadPageWhenReady } = require('../utils/pageReadiness');
+
+/**
+ * Hash fragments that represent a route (#/about, #!/about) rather than an in-page anchor
+ */
+const HASH_ROUTE_PATTERN = /^#!?\/./;
+
+/**
+ * Elements that may trigger client-side navigation without being a regular link.
+ * Anchors with a real href are left out because they are followed as links anyway.
+ */
+const CANDIDATE_SELECTOR = [
+  'button',
+  '[role="button"]',
+  '[role="link"]',
+  '[role="menuitem"]',
+  '[role="tab"]',
+  '[onclick]',
+  '.btn',
+  '.button',
+  'a:not([href])',
+  'a[href="#"]',
+  'a[href^="javascript:"]'
+].join(', ');
+
+/**
+ * Checks whether a URL's hash is a client-side route
+ * @param {string} urlStr - URL to check
+ * @returns {boolean} - True for URLs such as https://example.com/#/about
+ */
+function isHashRoute(urlStr) {
+  try {
+    return HASH_ROUTE_PATTERN.test(new URL(urlStr).hash);
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Helper function to wait for a specified time without touching the page,
+ * which may be in the middle of a navigation
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Hooks history.pushState/replaceState, popstate and hashchange in every document
+ * the page loads. Transitions are appended to window.__wtrNavigationLog.
+ * Must be called before the page is navigated.
+ *
+ * @param {Page} page - Puppeteer page
+ * @returns {Promise<void>}
+ */
+async function installNavigationHooks(page) {
+  await page.evaluateOnNewDocument(() => {
+    window.__wtrNavigationLog = [];
+    const record = type => window.__wtrNavigationLog.push({ type, url: window.location.href });
+
+    ['pushState', 'replaceState'].forEach(method => {
+      const original = window.history[method];
+      window.history[method] = function (...args) {
+        const result = original.apply(this, args);
+        record(method);
+        return result;
+      };
+    });
+
+    window.addEventListener('popstate', () => record('popstate'));
+    window.addEventListener('hashchange', () => record('hashchange'));
+  });
+}
+
+/**
+ * Empties the page's navigation log and returns its entries
+ * @param {Page} page - Puppeteer page with navigation hooks installed
+ * @returns {Promise<Array>} - Array of {type, url} transitions
+ */
+async function drainNavigationLog(page) {
+  return page.evaluate(() => (window.__wtrNavigationLog || []).splice(0));
+}
+
+/**
+ * Tags the visible candidate elements of the current view with data-wtr-spa-probe
+ * indexes so they can be clicked one by one
+ *
+ * @param {Page} page - Puppeteer page
+ * @returns {Promise<Array>} - Array of {index, text, tag} candidates
+ */
+async function markCandidates(page) {
+  return page.evaluate(selector => {
+    const candidates = Array.from(document.querySelectorAll(selector))
+      .filter(el => {
+        // Skip hidden and disabled elements and buttons that would submit a form
+        if (el.disabled || el.getClientRects().length === 0) return false;
+        if (el.tagName === 'BUTTON' && el.type === 'submit' && el.closest('form')) return false;
+        return true;
+      });
+
+    return candidates.map((el, index) => {
+      el.setAttribute('data-wtr-spa-probe', String(index));
+      return {
+        index,
+        text: (el.innerText || el.textContent || '').trim().slice(0, 50) || `${el.tagName.toLowerCase()}-${index}`,
+        tag: el.tagName.toLowerCase()
+      };
+    });
+  }, CANDIDATE_SELECTOR);
+}
+
+/**
+ * Clicks every navigation candidate on an already loaded page and records the
+ * client-side route transitions they trigger. After each transition the page is
+ * returned to its original view with history.back(), falling back to reloading
+ * pageUrl when that does not restore it or when the click caused a full document
+ * navigation.
+ *
+ * @param {Page} page - Puppeteer page with navigation hooks installed, showing pageUrl
+ * @param {string} pageUrl - URL of the view the candidates are clicked from
+ * @param {Object} options - Probe options
+ * @param {number} options.settleMs - Time to wait after a click for the router to update (default: 1000)
+ * @param {number} options.timeoutMs - Timeout for reloading pageUrl (default: 30000)
+ * @param {number} options.maxClicks - Maximum number of elements to click (default: 100)
+ * @returns {Promise<Array>} - Array of {url, type} transitions, type being pushState, replaceState, popstate, hashchange or navigation
+ */
+async function probeClientSideRoutes(page, pageUrl, options = {}) {
+  const {
+    settleMs = 1000,
+    timeoutMs = 30000,
+    maxClicks = 100
+  } = options;
+
+  const transitions = new Map();
+  const startHref = page.url();
+
+  const reload = async () => {
+    await loadPageWhenReady(page, pageUrl, { timeoutMs, settleMs, scroll: false });
+  };
+
+  let candidates;
+  try {
+    await drainNavigationLog(page);
+    candidates = await markCandidates(page);
+  } catch (e) {
+    console.error(`❌ Error collecting SPA navigation candidates on ${pageUrl}: ${e.message}`);
+    return [];
+  }
+
+  if (candidates.length > maxClicks) {
+    console.log(`⚠️ Only clicking the first ${maxClicks} of ${candidates.length} candidates on ${pageUrl}`);
+    candidates = candidates.slice(0, maxClicks);
+  }
+  console.log(`🧭 Probing ${candidates.length} elements for client-side navigation on ${pageUrl}`);
+
+  for (const candidate of candidates) {
+    try {
+      // Views may re-render after returning, so tag the candidates again before every click
+      await markCandidates(page);
+      const selector = `[data-wtr-spa-probe="${candidate.index}"]`;
+      if (!(await page.$(selector))) {
+        continue;
+      }
+
+      await page.evaluate(() => { window.__wtrProbeMarker = true; });
+      await page.evaluate(sel => document.querySelector(sel).click(), selector);
+      await sleep(settleMs);
+
+      // A missing marker means the click loaded a new document instead of routing client-side
+      let fullNavigation;
+      try {
+        fullNavigation = !(await page.evaluate(() => window.__wtrProbeMarker === true));
+      } catch (e) {
+        fullNavigation = true;
+      }
+
+      if (fullNavigation) {
+        const reachedUrl = page.url();
+        if (reachedUrl !== startHref && !transitions.has(reachedUrl)) {
+          transitions.set(reachedUrl, { url: reachedUrl, type: 'navigation' });
+          console.log(`👆 ${candidate.text} (${candidate.tag}) -> ${reachedUrl} (full navigation)`);
+        }
+        await reload();
+        continue;
+      }
+
+      const entries = await drainNavigationLog(page);
+      entries
+        .filter(entry => entry.url !== startHref && !transitions.has(entry.url))
+        .forEach(entry => {
+          transitions.set(entry.url, entry);
+          console.log(`👆 ${candidate.text} (${candidate.tag}) -> ${entry.url} (${entry.type})`);
+        });
+
+      if (page.url() !== startHref) {
+        await page.evaluate(() => window.history.back());
+        await sleep(settleMs);
+        await drainNavigationLog(page);
+        if (page.url() !== startHref) {
+          console.log(`⚠️ Could not return with history.back(), reloading ${pageUrl}...`);
+          await reload();
+        }
+      }
+    } catch (e) {
+      console.log(`⚠️ Failed to probe ${candidate.text} (${candidate.tag}): ${e.message}`);
+      try {
+        await reload();
+      } catch (reloadError) {
+        console.error(`❌ Error reloading ${pageUrl}: ${reloadError.message}`);
+        break;
+      }
+    }
+  }
+
+  return Array.from(transitions.values());
+}
+
+module.exports = {
+  HASH_ROUTE_PATTERN,
+  isHashRoute,
+  installNavigationHooks,
+  probeClientSideRoutes
+};
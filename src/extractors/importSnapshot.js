@@ -0,0 +1,289 @@
+const fs = require('fs');
+const zlib = require('zlib');
+const { loadReplayEntries } = require('../utils/harArchive');
+const { getUniqueComponentName, getRoutePathFromUrl } = require('./findRoutesWithPuppeteer');
+
+/**
+ * Saved-page formats that can be converted instead of a live site
+ */
+const SNAPSHOT_PATTERN = /\.(mhtml|mht|warc|warc\.gz)$/i;
+
+/**
+ * Checks whether a path or file:// URL is an MHTML or WARC snapshot
+ * @param {string} input - Path or file:// URL
+ * @returns {boolean}
+ */
+function isSnapshotFile(input) {
+  return Boolean(input) && SNAPSHOT_PATTERN.test(input.split(/[?#]/)[0]);
+}
+
+/**
+ * Parses a MIME/HTTP header block (folded lines are joined)
+ * @param {string} text - Header lines
+ * @returns {Object} - Header map with lower-case names; repeated headers become arrays
+ */
+function parseHeaderBlock(text) {
+  return text
+    .replace(/\r?\n[ \t]+/g, ' ')
+    .split(/\r?\n/)
+    .reduce((headers, line) => {
+      const separator = line.indexOf(':');
+      if (separator <= 0) return headers;
+      const name = line.slice(0, separator).trim().toLowerCase();
+      const value = line.slice(separator + 1).trim();
+      headers[name] = headers[name] !== undefined ? [].concat(headers[name], value) : value;
+      return headers;
+    }, {});
+}
+
+/**
+ * Returns the first value of a header
+ * @param {Object} headers - Header map
+ * @param {string} name - Lower-case header name
+ * @returns {string} - Header value or ''
+ */
+function headerValue(headers, name) {
+  const value = headers[name];
+  return Array.isArray(value) ? value[0] : value || '';
+}
+
+/**
+ * Decodes a quoted-printable body
+ * @param {string} text - Encoded body (latin1 string)
+ * @returns {Buffer} - Decoded bytes
+ */
+function decodeQuotedPrintable(text) {
+  const decoded = text
+    .replace(/=\r?\n/g, '')
+    .replace(/=([0-9A-F]{2})/gi, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+  return Buffer.from(decoded, 'latin1');
+}
+
+/**
+ * Parses an MHTML file (as saved by Chrome, Edge or Firefox extensions) into
+ * its documents and resources
+ * @param {Buffer} buffer - File content
+ * @returns {{mainUrl: string, resources: Array}} - Main page URL and {url, status, headers, body} resources
+ */
+function parseMhtml(buffer) {
+  const text = buffer.toString('latin1');
+  const headerEnd = text.search(/\r?\n\r?\n/);
+  const headers = parseHeaderBlock(text.slice(0, headerEnd));
+  const boundaryMatch = /boundary="?([^";\r\n]+)"?/i.exec(headerValue(headers, 'content-type'));
+  if (!boundaryMatch) {
+    throw new Error('Not an MHTML file (no multipart boundary)');
+  }
+
+  const resources = [];
+  const parts = text.slice(headerEnd).split(`--${boundaryMatch[1]}`).slice(1);
+  for (const part of parts) {
+    // The closing boundary is followed by "--"
+    if (part.startsWith('--')) break;
+
+    const content = part.replace(/^\r?\n/, '');
+    const partHeaderEnd = content.search(/\r?\n\r?\n/);
+    if (partHeaderEnd === -1) continue;
+    const partHeaders = parseHeaderBlock(content.slice(0, partHeaderEnd));
+    const rawBody = content.slice(partHeaderEnd).replace(/^\r?\n\r?\n/, '').replace(/\r?\n$/, '');
+
+    const encoding = headerValue(partHeaders, 'content-transfer-encoding').toLowerCase();
+    let body;
+    if (encoding === 'base64') {
+      body = Buffer.from(rawBody.replace(/\s+/g, ''), 'base64');
+    } else if (encoding === 'quoted-printable') {
+      body = decodeQuotedPrintable(rawBody);
+    } else {
+      body = Buffer.from(rawBody, 'latin1');
+    }
+
+    const contentType = headerValue(partHeaders, 'content-type') || 'application/octet-stream';
+    const location = headerValue(partHeaders, 'content-location');
+    const contentId = headerValue(partHeaders, 'content-id').replace(/^<|>$/g, '');
+    const url = location || (contentId ? `cid:${contentId}` : null);
+    if (url) {
+      resources.push({ url, status: 200, headers: { 'content-type': contentType }, body });
+    }
+  }
+
+  const mainResource = resources.find(resource => /html/i.test(resource.headers['content-type']));
+  const mainUrl = headerValue(headers, 'snapshot-content-location') || (mainResource && mainResource.url);
+  if (!mainUrl) {
+    throw new Error('MHTML file contains no HTML document');
+  }
+  return { mainUrl, resources };
+}
+
+/**
+ * Removes HTTP chunked transfer encoding
+ * @param {Buffer} body - Chunked body
+ * @returns {Buffer} - Decoded body
+ */
+function decodeChunked(body) {
+  const chunks = [];
+  let offset = 0;
+  while (offset < body.length) {
+    const lineEnd = body.indexOf('\r\n', offset);
+    if (lineEnd === -1) break;
+    const size = parseInt(body.slice(offset, lineEnd).toString('latin1'), 16);
+    if (Number.isNaN(size)) throw new Error('Invalid chunk size');
+    if (size === 0) break;
+    chunks.push(body.slice(lineEnd + 2, lineEnd + 2 + size));
+    offset = lineEnd + 2 + size + 2;
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Parses the HTTP response stored in a WARC response record
+ * @param {Buffer} block - Record content block
+ * @returns {{status: number, statusText: string, headers: Object, body: Buffer}|null}
+ */
+function parseHttpResponse(block) {
+  const headerEnd = block.indexOf('\r\n\r\n');
+  if (headerEnd === -1) return null;
+
+  const [statusLine, ...headerLines] = block.slice(0, headerEnd).toString('latin1').split('\r\n');
+  const statusMatch = /^HTTP\/[\d.]+\s+(\d{3})\s*(.*)$/.exec(statusLine);
+  if (!statusMatch) return null;
+
+  const headers = parseHeaderBlock(headerLines.join('\r\n'));
+  let body = block.slice(headerEnd + 4);
+
+  // Archivers differ in whether they store the body as sent or already decoded; keep it raw when decoding fails
+  if (/chunked/i.test(headerValue(headers, 'transfer-encoding'))) {
+    try {
+      body = decodeChunked(body);
+    } catch (e) {
+      // Stored without chunk framing
+    }
+    delete headers['transfer-encoding'];
+  }
+  const contentEncoding = headerValue(headers, 'content-encoding').toLowerCase();
+  try {
+    if (contentEncoding === 'gzip' || contentEncoding === 'x-gzip') body = zlib.gunzipSync(body);
+    else if (contentEncoding === 'deflate') body = zlib.inflateSync(body);
+    else if (contentEncoding === 'br') body = zlib.brotliDecompressSync(body);
+  } catch (e) {
+    // Stored decoded
+  }
+
+  return { status: parseInt(statusMatch[1], 10), statusText: statusMatch[2], headers, body };
+}
+
+/**
+ * Parses a WARC (or gzipped .warc.gz) capture into the HTTP responses it contains
+ * @param {Buffer} buffer - File content
+ * @returns {{mainUrl: string, resources: Array}} - First archived page URL and {url, status, statusText, headers, body} resources
+ */
+function parseWarc(buffer) {
+  // .warc.gz files are a series of gzip members, one per record
+  const data = buffer[0] === 0x1f && buffer[1] === 0x8b ? zlib.gunzipSync(buffer) : buffer;
+
+  const resources = [];
+  let offset = 0;
+  while (offset < data.length) {
+    // Records are separated by blank lines
+    while (offset < data.length && (data[offset] === 0x0d || data[offset] === 0x0a)) offset++;
+    if (offset >= data.length) break;
+
+    const headerEnd = data.indexOf('\r\n\r\n', offset);
+    if (headerEnd === -1) break;
+    const [versionLine, ...headerLines] = data.slice(offset, headerEnd).toString('utf8').split('\r\n');
+    if (!versionLine.startsWith('WARC/')) {
+      throw new Error(`Invalid WARC record at byte ${offset}`);
+    }
+    const headers = parseHeaderBlock(headerLines.join('\r\n'));
+    const length = parseInt(headerValue(headers, 'content-length'), 10) || 0;
+    const block = data.slice(headerEnd + 4, headerEnd + 4 + length);
+    offset = headerEnd + 4 + length;
+
+    // Only full responses carry content; revisit records point at earlier ones
+    if (headerValue(headers, 'warc-type') !== 'response') continue;
+    const url = headerValue(headers, 'warc-target-uri').replace(/^<|>$/g, '');
+    const response = url && parseHttpResponse(block);
+    if (response) {
+      resources.push({ url, ...response });
+    }
+  }
+
+  const mainResource = resources.find(resource => isHtmlPage(resource));
+  if (!mainResource) {
+    throw new Error('WARC file contains no HTML page');
+  }
+  return { mainUrl: mainResource.url, resources };
+}
+
+/**
+ * Checks whether an archived resource is a successfully loaded HTML page
+ * @param {Object} resource - Archived resource
+ * @returns {boolean}
+ */
+function isHtmlPage(resource) {
+  return resource.status >= 200 && resource.status < 300 &&
+    /text\/html|application\/xhtml/i.test(headerValue(resource.headers, 'content-type'));
+}
+
+/**
+ * Unpacks an MHTML or WARC snapshot so that the conversion runs from it without
+ * network access: every archived response is loaded into the replay archive (the
+ * browser and asset downloads are answered from it) and the archived pages become
+ * routes. An MHTML file holds one page; a WARC capture may hold many, the first
+ * of which is the home page.
+ *
+ * @param {string} filePath - Path of the .mhtml/.mht/.warc/.warc.gz file
+ * @param {string} outputPath - Optional path to save routes to a JSON file
+ * @returns {Array} - Array of route objects ({url, componentName, path, depth, source})
+ */
+function importSnapshot(filePath, outputPath = null) {
+  const buffer = fs.readFileSync(filePath);
+  const isMhtml = /\.mht(ml)?$/i.test(filePath);
+  const { mainUrl, resources } = isMhtml ? parseMhtml(buffer) : parseWarc(buffer);
+
+  loadReplayEntries(resources, filePath);
+
+  const pageUrls = isMhtml
+    ? [mainUrl]
+    : [mainUrl, ...resources.filter(isHtmlPage).map(resource => resource.url).filter(url => url !== mainUrl)];
+  const usedNames = new Set();
+  const routes = Array.from(new Set(pageUrls)).map((url, index) => {
+    const componentName = index === 0 ? 'Home' : getUniqueComponentName(url, usedNames);
+    usedNames.add(componentName);
+    console.log(`✅ Snapshot route: ${componentName} -> ${url}`);
+    return { url, componentName, path: getRoutePathFromUrl(url), depth: index === 0 ? 0 : 1, source: 'snapshot' };
+  });
+
+  console.log(`📦 Imported ${resources.length} resources and ${routes.length} pages from ${filePath}`);
+
+  if (outputPath) {
+    fs.writeFileSync(outputPath, JSON.stringify(routes, null, 2));
+    console.log(`📁 Routes saved to: ${outputPath}`);
+  }
+
+  return routes;
+}
+
+// If this file is run directly (not imported)
+if (require.main === module) {
+  const filePath = process.argv[2];
+
+  if (!filePath || !isSnapshotFile(filePath)) {
+    console.error('❌ Please provide an .mhtml, .mht, .warc or .warc.gz file as the first argument');
+    console.error('Usage: node importSnapshot.js <snapshot-file> [outputPath]');
+    process.exit(1);
+  }
+
+  try {
+    importSnapshot(filePath, process.argv[3] || null);
+    console.log('✨ Done!');
+  } catch (err) {
+    console.error('❌ Error:', err);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  isSnapshotFile,
+  parseMhtml,
+  parseWarc,
+  importSnapshot
+};
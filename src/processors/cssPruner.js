@@ -0,0 +1,210 @@
+/**
+ * Keeps only the CSS and assets a region of a page uses
+ *
+ * When a page is restricted to a region (see componentBoundaries.js), the
+ * stylesheets extracted from the full page are pruned to the rules whose
+ * selectors still match an element of the region, the @media, @supports and
+ * @layer blocks that keep any of them, and the @font-face and @keyframes that
+ * the remaining rules refer to. The images and fonts the region doesn't use are
+ * left out of the app.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const cheerio = require('cheerio');
+
+/**
+ * At-rules whose blocks hold rules, which are pruned in turn
+ */
+const GROUPING_AT_RULES = /^@(media|supports|layer|container|document|-moz-document)\b/i;
+
+/**
+ * Splits CSS into its top-level statements: rules, at-rule blocks and ; terminated at-rules
+ * @param {string} css - CSS source
+ * @returns {Array} - Statements ({prelude, block}); block is null for statements without one
+ */
+function splitStatements(css) {
+  const statements = [];
+  let start = 0;
+  let depth = 0;
+  let blockStart = -1;
+  for (let i = 0; i < css.length; i++) {
+    const char = css[i];
+    if (char === '/' && css[i + 1] === '*') {
+      const end = css.indexOf('*/', i + 2);
+      i = end === -1 ? css.length : end + 1;
+    } else if (char === '"' || char === "'") {
+      for (i++; i < css.length && css[i] !== char; i++) {
+        if (css[i] === '\\') i++;
+      }
+    } else if (char === '{') {
+      if (depth === 0) blockStart = i;
+      depth++;
+    } else if (char === '}' && depth > 0) {
+      depth--;
+      if (depth === 0) {
+        statements.push({ prelude: css.slice(start, blockStart).trim(), block: css.slice(blockStart + 1, i) });
+        start = i + 1;
+      }
+    } else if (char === ';' && depth === 0) {
+      statements.push({ prelude: css.slice(start, i + 1).trim(), block: null });
+      start = i + 1;
+    }
+  }
+  return statements.map(statement => ({ ...statement, prelude: statement.prelude.replace(/\/\*[\s\S]*?\*\//g, '').trim() }))
+    .filter(statement => statement.prelude || statement.block !== null);
+}
+
+/**
+ * Splits a selector list on its top-level commas
+ * @param {string} selectorList - Selector list of a rule
+ * @returns {string[]}
+ */
+function splitSelectors(selectorList) {
+  const selectors = [];
+  let depth = 0;
+  let current = '';
+  for (const char of selectorList) {
+    if (char === '(' || char === '[') depth++;
+    if (char === ')' || char === ']') depth--;
+    if (char === ',' && depth === 0) {
+      selectors.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  return [...selectors, current.trim()].filter(Boolean);
+}
+
+/**
+ * Checks whether a selector matches an element of the document. Pseudo-classes
+ * and pseudo-elements depend on state the HTML doesn't have (:hover, ::before),
+ * so they are left out; a selector that can't be checked is kept.
+ * @param {string} selector - CSS selector
+ * @param {CheerioAPI} $ - Loaded document
+ * @returns {boolean}
+ */
+function selectorMatches(selector, $) {
+  const simplified = selector
+    .replace(/::?[a-zA-Z-]+(\((?:[^()]|\([^()]*\))*\))?/g, '')
+    .replace(/\s*([>+~])\s*(?=[>+~]|$)/g, '')
+    .trim();
+  if (!simplified || simplified === '*') return true;
+  try {
+    return $(simplified).length > 0;
+  } catch (e) {
+    return true;
+  }
+}
+
+/**
+ * Prunes statements to those the document uses; @font-face and @keyframes are decided afterwards
+ * @param {Array} statements - Statements from splitStatements()
+ * @param {CheerioAPI} $ - Loaded document
+ * @returns {Array} - Kept statements
+ */
+function pruneStatements(statements, $) {
+  return statements.flatMap(statement => {
+    const { prelude, block } = statement;
+    if (block === null || /^@(font-face|(-\w+-)?keyframes)\b/i.test(prelude)) return [statement];
+    if (GROUPING_AT_RULES.test(prelude)) {
+      const inner = pruneStatements(splitStatements(block), $);
+      return inner.length > 0 ? [{ prelude, block: serialize(inner), inner }] : [];
+    }
+    // Other at-rules (@page, @property, @counter-style, ...) are kept as they are
+    if (prelude.startsWith('@')) return [statement];
+    return splitSelectors(prelude).some(selector => selectorMatches(selector, $)) ? [statement] : [];
+  });
+}
+
+/**
+ * @param {Array} statements - Statements
+ * @returns {string} - CSS of the statements
+ */
+function serialize(statements) {
+  return statements
+    .map(({ prelude, block }) => (block === null ? prelude : `${prelude} {${block}}`))
+    .join('\n');
+}
+
+/**
+ * Prunes a stylesheet to the rules that match elements of an HTML document
+ * @param {string} css - CSS source
+ * @param {string|CheerioAPI} html - HTML the CSS is for, or the loaded document
+ * @returns {string} - Pruned CSS
+ */
+function pruneCss(css, html) {
+  const $ = typeof html === 'string' ? cheerio.load(html) : html;
+  const kept = pruneStatements(splitStatements(css), $);
+
+  // Font faces and keyframes stay when a remaining rule refers to them
+  const flatten = statements => statements.flatMap(statement => (statement.inner ? flatten(statement.inner) : [statement]));
+  const usedText = flatten(kept)
+    .filter(({ prelude, block }) => block !== null && !/^@(font-face|(-\w+-)?keyframes)\b/i.test(prelude))
+    .map(({ block }) => block)
+    .join('\n');
+  const isUsed = name => {
+    const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(^|[\\s,:"'(])${escaped}($|[\\s,;"')!])`, 'm').test(usedText);
+  };
+  const keepReferenced = statements => statements.flatMap(statement => {
+    if (statement.inner) {
+      const inner = keepReferenced(statement.inner);
+      return inner.length > 0 ? [{ ...statement, block: serialize(inner), inner }] : [];
+    }
+    if (/^@font-face\b/i.test(statement.prelude)) {
+      const family = /font-family\s*:\s*(["']?)([^;"']+)\1/i.exec(statement.block);
+      return !family || isUsed(family[2].trim()) ? [statement] : [];
+    }
+    const keyframes = /^@(?:-\w+-)?keyframes\s+(["']?)([^\s"']+)\1/i.exec(statement.prelude);
+    if (keyframes) return isUsed(keyframes[2]) ? [statement] : [];
+    return [statement];
+  });
+  return serialize(keepReferenced(kept));
+}
+
+/**
+ * Lists the images and fonts of a page that its CSS or code refers to
+ * @param {string} stylesDir - Directory of the page's assets (images-flat, fonts-flat)
+ * @param {string[]} sources - CSS and code of the page and its components
+ * @returns {{images: string[], fonts: string[]}} - Files of images-flat and fonts-flat that are used
+ */
+function listUsedAssets(stylesDir, sources) {
+  const referenced = sources.join('\n');
+  const listUsed = dir => {
+    const assetDir = path.join(stylesDir, dir);
+    return fs.existsSync(assetDir)
+      ? fs.readdirSync(assetDir).filter(file => referenced.includes(`${dir}/${file}`))
+      : [];
+  };
+  const used = { images: listUsed('images-flat'), fonts: listUsed('fonts-flat') };
+  console.log(`🖼️ The region uses ${used.images.length} images and ${used.fonts.length} fonts`);
+  return used;
+}
+
+/**
+ * Prunes the stylesheets of a page to its region and lists the assets the region uses
+ * @param {string[]} cssPaths - Stylesheets to prune in place
+ * @param {string} html - HTML of the region (see componentBoundaries.js)
+ * @param {string} stylesDir - Directory of the page's assets (images-flat, fonts-flat)
+ * @param {string[]} code - Code of the page and its components, whose image imports are kept
+ * @returns {{images: string[], fonts: string[]}} - Files of images-flat and fonts-flat the region uses
+ */
+function pruneRegionStyles(cssPaths, html, stylesDir, code) {
+  const $ = cheerio.load(html);
+  const prunedCss = cssPaths.filter(cssPath => fs.existsSync(cssPath)).map(cssPath => {
+    const css = fs.readFileSync(cssPath, 'utf8');
+    const pruned = pruneCss(css, $);
+    fs.writeFileSync(cssPath, pruned);
+    console.log(`✂️ Pruned ${path.basename(cssPath)} to the region: ${css.length} -> ${pruned.length} characters`);
+    return pruned;
+  });
+  return listUsedAssets(stylesDir, [...prunedCss, ...code]);
+}
+
+module.exports = {
+  pruneCss,
+  listUsedAssets,
+  pruneRegionStyles
+};
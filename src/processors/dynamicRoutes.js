@@ -0,0 +1,196 @@
+/**
+ * Support for parameterized (dynamic) routes such as /blog/:slug
+ *
+ * A dynamic route is rendered by one component built from the first instance's
+ * HTML. The text and images that differ between instances are replaced by
+ * bindings, and each instance's values are written to a JSON data file that the
+ * component looks up with useParams().
+ */
+
+const path = require('path');
+const fs = require('fs');
+const cheerio = require('cheerio');
+const extractRenderedHTML = require('../extractors/extractHTMLWithPuppeteer');
+const { createBindingToken } = require('../converters/jsxBindings');
+
+/**
+ * Walk the body of a document and call visit(node, key) for every element and
+ * non-empty text node. Keys are structural paths (e.g. /div[2]/h1[1]/#text0)
+ * so that the same position can be found in other instances of the page.
+ * @param {CheerioAPI} $ - Loaded document
+ * @param {Function} visit - Callback receiving (node, key)
+ */
+function walkBody($, visit) {
+  const root = $('body').length ? $('body')[0] : $.root()[0];
+
+  const walk = (node, nodePath) => {
+    const tagCounts = {};
+    let textIndex = 0;
+
+    (node.children || []).forEach(child => {
+      if (child.type === 'text') {
+        if (child.data.trim()) {
+          visit(child, `${nodePath}/#text${textIndex++}`);
+        }
+      } else if (child.type === 'tag') {
+        tagCounts[child.name] = (tagCounts[child.name] || 0) + 1;
+        const childPath = `${nodePath}/${child.name}[${tagCounts[child.name]}]`;
+        visit(child, childPath);
+        walk(child, childPath);
+      }
+    });
+  };
+
+  walk(root, '');
+}
+
+/**
+ * Collect the bindable values of a page: text content and image src/alt
+ * @param {string} html - Page HTML
+ * @returns {Map} - Map of structural key to {kind, attr, value}
+ */
+function collectBindableValues(html) {
+  const $ = cheerio.load(html);
+  const values = new Map();
+
+  walkBody($, (node, key) => {
+    if (node.type === 'text') {
+      values.set(key, { kind: 'text', value: node.data.trim() });
+    } else if (node.name === 'img') {
+      ['src', 'alt'].forEach(attr => {
+        const value = $(node).attr(attr);
+        if (value !== undefined) {
+          values.set(`${key}@${attr}`, { kind: attr === 'src' ? 'image' : 'imageAlt', attr, value });
+        }
+      });
+    }
+  });
+
+  return values;
+}
+
+/**
+ * Work out which values differ between instances of a dynamic route
+ *
+ * @param {string} templateHtml - HTML of the instance used as the component template
+ * @param {Array} instances - Array of {value, url, html} for every instance (including the template)
+ * @returns {{bindings: Array, data: Object}} - Bindings ({key, name, attr}) and per-instance data keyed by param value
+ */
+function buildDynamicBindings(templateHtml, instances) {
+  const templateValues = collectBindableValues(templateHtml);
+  const instanceValues = instances.map(instance => ({
+    ...instance,
+    values: collectBindableValues(instance.html)
+  }));
+
+  const bindings = [];
+  const counters = {};
+
+  templateValues.forEach(({ kind, attr, value }, key) => {
+    const differs = instanceValues.some(instance => {
+      const instanceValue = instance.values.get(key);
+      return !instanceValue || instanceValue.value !== value;
+    });
+    if (!differs) return;
+
+    counters[kind] = (counters[kind] || 0) + 1;
+    bindings.push({ key, name: `${kind}${counters[kind]}`, kind, attr });
+  });
+
+  const data = {};
+  instanceValues.forEach(instance => {
+    const entry = {};
+    bindings.forEach(({ key, name, kind }) => {
+      const instanceValue = instance.values.get(key);
+      let value = instanceValue ? instanceValue.value : '';
+
+      // Differing images are referenced remotely, resolved against the instance's URL
+      if (kind === 'image' && value && !value.startsWith('data:')) {
+        try {
+          value = new URL(value, instance.url).href;
+        } catch (e) {
+          // Keep the original value if it cannot be resolved
+        }
+      }
+      entry[name] = value;
+    });
+    data[instance.value] = entry;
+  });
+
+  return { bindings, data };
+}
+
+/**
+ * Replace the bound text and attributes of a page with binding tokens
+ * @param {string} html - HTML of the template instance (may have rewritten image paths)
+ * @param {Array} bindings - Bindings from buildDynamicBindings
+ * @returns {string} - HTML containing binding tokens
+ */
+function applyDynamicBindings(html, bindings) {
+  if (!bindings || bindings.length === 0) return html;
+
+  const bindingsByKey = new Map(bindings.map(binding => [binding.key, binding]));
+  const $ = cheerio.load(html);
+
+  walkBody($, (node, key) => {
+    if (node.type === 'text') {
+      const binding = bindingsByKey.get(key);
+      if (binding) node.data = createBindingToken(binding.name);
+    } else if (node.name === 'img') {
+      ['src', 'alt'].forEach(attr => {
+        const binding = bindingsByKey.get(`${key}@${attr}`);
+        if (binding) $(node).attr(attr, createBindingToken(binding.name));
+      });
+    }
+  });
+
+  return $.html();
+}
+
+/**
+ * Extract every instance of a dynamic route, compute its bindings and write the data file
+ *
+ * @param {string} templateUrl - URL of the template instance
+ * @param {string} templateHtml - Rendered HTML of the template instance
+ * @param {Object} dynamic - The route's dynamic descriptor ({param, instances: [{url, value}]})
+ * @param {string} componentName - Component name
+ * @param {string} pageDir - Page directory the data file is written to
+ * @param {Object} session - Optional browser session the instances are loaded in
+ * @param {Object} readiness - Readiness options of the route (see pageReadiness)
+ * @returns {Promise<{bindings: Array, dataFilename: string}>}
+ */
+async function prepareDynamicRoute(templateUrl, templateHtml, dynamic, componentName, pageDir, session = null, readiness = {}) {
+  console.log(`🧩 Extracting ${dynamic.instances.length} instances of dynamic route ${componentName}...`);
+
+  const instances = [];
+  for (const instance of dynamic.instances) {
+    if (instance.url === templateUrl) {
+      instances.push({ ...instance, html: templateHtml });
+      continue;
+    }
+    let page = null;
+    try {
+      page = session ? await session.loadPage(instance.url, readiness) : null;
+      const html = await extractRenderedHTML(instance.url, null, { page, readiness });
+      instances.push({ ...instance, html });
+    } catch (error) {
+      console.warn(`⚠️ Failed to extract dynamic route instance ${instance.url}: ${error.message}`);
+    } finally {
+      if (page) session.releasePage(page);
+    }
+  }
+
+  const { bindings, data } = buildDynamicBindings(templateHtml, instances);
+
+  const dataFilename = `${componentName}.data.json`;
+  fs.writeFileSync(path.join(pageDir, dataFilename), JSON.stringify(data, null, 2));
+  console.log(`✅ Wrote ${Object.keys(data).length} instances with ${bindings.length} bound values to ${dataFilename}`);
+
+  return { bindings, dataFilename };
+}
+
+module.exports = {
+  buildDynamicBindings,
+  applyDynamicBindings,
+  prepareDynamicRoute
+};
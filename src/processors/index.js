@@ -7,7 +7,18 @@
  */
 
 const processRouteModular = require('./processRouteModular');
-const { processRoute: processRouteGlobal, writeGlobalCSS, resetGlobalCSS } = require('./processRouteGlobal');
+const {
+  processRoute: processRouteGlobal,
+  createGlobalCssAccumulator,
+  writeGlobalCSS,
+  resetGlobalCSS
+} = require('./processRouteGlobal');
+const path = require('path');
+const fs = require('fs');
+const { createBrowserSession } = require('../utils/browserSession');
+const { createLinkMap, getMountedPaths } = require('../converters/routeLinks');
+const { getRouteBoundaries } = require('../converters/componentBoundaries');
+const { extractSharedLayout } = require('./sharedLayout');
 
 /**
  * Available processing strategies
@@ -47,47 +58,198 @@ async function detectStrategy(url) {
 }
 
 /**
- * Process multiple routes with the specified strategy
- * @param {Array} routes - Array of route objects with {url, componentName}
+ * Outcome of a route: its HTTP status, final URL and, when it was refused or
+ * failed, why. Fields that don't apply are undefined so that they are dropped
+ * from the JSON.
+ * @param {Object} result - Processing result (undefined when the route failed)
+ * @param {Error} error - Error the route failed with
+ * @returns {Object} - {status, httpStatus, finalUrl, challenge, failureReason}
+ */
+function getRouteStatus(result, error) {
+  const health = (result && result.health) || (error && error.health) || {};
+  return {
+    status: result ? 'converted' : 'failed',
+    httpStatus: health.httpStatus || undefined,
+    finalUrl: health.finalUrl || undefined,
+    challenge: health.challenge || undefined,
+    failureReason: error ? error.reason || error.message : undefined
+  };
+}
+
+/**
+ * Writes output/report.json: what happened to every route of the run
+ * @param {string} outputDir - Output directory
+ * @param {Array} routes - Routes of the run
+ * @param {Array} resultsByIndex - Processing result of each route (undefined when it failed)
+ * @param {Array} errorsByIndex - Error of each failed route
+ * @param {string[]} mountedPaths - Path each route is mounted at in the app (see getMountedPaths())
+ * @returns {string} - Path of the report
+ */
+function writeRunReport(outputDir, routes, resultsByIndex, errorsByIndex, mountedPaths = getMountedPaths(routes)) {
+  // <Link>s to routes that failed lead to the app's NotFound page; they are reported with the unconverted links
+  const failedUrlsByPath = new Map(routes
+    .map((route, i) => [mountedPaths[i], route.url, resultsByIndex[i]])
+    .filter(([, , result]) => !result)
+    .map(([appPath, url]) => [appPath, url]));
+  const getUnconvertedLinks = result => [
+    ...(result.unconvertedLinks || []),
+    ...(result.routeLinks || [])
+      .map(to => failedUrlsByPath.get(to.split(/[?#]/)[0]))
+      .filter(Boolean)
+  ];
+  
+  const report = {
+    generatedAt: new Date().toISOString(),
+    routes: routes.map((route, i) => {
+      const result = resultsByIndex[i];
+      return {
+        componentName: route.componentName,
+        url: route.url,
+        ...getRouteStatus(result, errorsByIndex[i]),
+        notFound: Boolean(result && result.notFound && result.routePath === '*'),
+        dismissedOverlays: (result && result.dismissedOverlays) || [],
+        unconvertedLinks: result ? Array.from(new Set(getUnconvertedLinks(result))) : []
+      };
+    })
+  };
+  
+  const reportPath = path.join(outputDir, 'report.json');
+  fs.mkdirSync(outputDir, { recursive: true });
+  fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
+  
+  const withOverlays = report.routes.filter(route => route.dismissedOverlays.length > 0);
+  if (withOverlays.length > 0) {
+    console.log(`🍪 Dismissed overlays on ${withOverlays.length} routes: ${withOverlays.map(route => `${route.componentName} (${route.dismissedOverlays.map(overlay => overlay.name).join(', ')})`).join('; ')}`);
+  }
+  const unconvertedLinks = new Set(report.routes.flatMap(route => route.unconvertedLinks));
+  if (unconvertedLinks.size > 0) {
+    console.log(`🔗 ${unconvertedLinks.size} linked pages of the site weren't converted and stay links to the live site (see unconvertedLinks)`);
+  }
+  const refused = report.routes.filter(route => route.status === 'failed');
+  if (refused.length > 0) {
+    console.log(`🚫 ${refused.length} routes not converted: ${refused.map(route => `${route.componentName} (${route.failureReason})`).join('; ')}`);
+  }
+  console.log(`📋 Run report saved to: ${reportPath}`);
+  return reportPath;
+}
+
+/**
+ * Process multiple routes with the specified strategy.
+ * All routes share one browser session; each route's page is loaded once and
+ * reused by every extractor. Up to `concurrency` routes are processed at the
+ * same time, while requests to each host stay within the shared rate limit.
+ * What happened to every route is written to output/report.json, and each route
+ * object gets its outcome ({status, httpStatus, finalUrl, challenge, failureReason}).
+ * Each result gets the path the app mounts it at (appPath), which links to it use.
+ * @param {Array} routes - Array of route objects with {url, componentName} and optional {path, dynamic, readiness, region, components}
  * @param {string} strategy - Processing strategy
  * @param {string} outputDir - Output directory
  * @param {Object} options - Additional options
- * @returns {Promise<Array>} Array of processed results
+ * @param {Object} options.checkpoint - Checkpoint store used to skip stages completed by a previous run
+ * @param {number} options.concurrency - Number of routes processed in parallel (default: 1)
+ * @param {boolean} options.allowNotFound - Convert a 404 page as the NotFound route instead of refusing it
+ * @param {boolean} options.repeatedComponents - Turn repeated subtrees into components (default: true)
+ * @param {boolean} options.splitSections - Split pages into section components (default: false)
+ * @param {Object} options.boundaries - Region to convert and named components of every page (see componentBoundaries.js)
+ * @returns {Promise<Array>} Array of processed results, in route order
  */
 async function processMultipleRoutes(routes, strategy = STRATEGIES.MODULAR, outputDir, options = {}) {
   const processor = getProcessor(strategy);
-  const results = [];
+  // Anything but a positive whole number (e.g. NaN from a bad flag) means one route at a time
+  const requested = Number.isInteger(options.concurrency) && options.concurrency > 0 ? options.concurrency : 1;
+  const concurrency = Math.min(requested, routes.length || 1);
   
-  // Reset global CSS if using global strategy
-  if (strategy === STRATEGIES.GLOBAL) {
-    resetGlobalCSS();
+  // Each run collects its own global CSS, so its order doesn't depend on which route finishes first
+  const cssAccumulator = strategy === STRATEGIES.GLOBAL ? createGlobalCssAccumulator() : null;
+  if (cssAccumulator) {
     console.log(`🌐 Using Global CSS strategy for ${routes.length} routes`);
   } else {
     console.log(`📦 Using Modular CSS strategy for ${routes.length} routes`);
   }
+  if (concurrency > 1) {
+    console.log(`⚡ Processing up to ${concurrency} routes in parallel`);
+  }
   
-  // Process each route
-  for (let i = 0; i < routes.length; i++) {
-    const route = routes[i];
-    console.log(`\n📄 Processing route ${i + 1}/${routes.length}: ${route.url} => ${route.componentName}`);
-    
-    try {
-      const result = await processor(route.url, route.componentName, false, true, outputDir);
-      results.push(result);
-    } catch (error) {
-      console.error(`❌ Error processing route ${route.url}: ${error.message}`);
-      // Continue with next route even if this one failed
+  const session = createBrowserSession();
+  // Links between the routes of the run become <Link>s to the paths the app mounts them at
+  const mountedPaths = getMountedPaths(routes);
+  const linkMap = createLinkMap(routes, mountedPaths);
+  const resultsByIndex = new Array(routes.length);
+  const errorsByIndex = new Array(routes.length);
+  let nextIndex = 0;
+  
+  // Each worker takes the next unprocessed route until none are left
+  const worker = async () => {
+    while (nextIndex < routes.length) {
+      const i = nextIndex++;
+      const route = routes[i];
+      console.log(`\n📄 Processing route ${i + 1}/${routes.length}: ${route.url} => ${route.componentName}`);
+      
+      try {
+        resultsByIndex[i] = await processor(route.url, route.componentName, false, true, outputDir, {
+          dynamic: route.dynamic,
+          routePath: route.path,
+          readiness: route.readiness,
+          allowNotFound: options.allowNotFound,
+          linkMap,
+          repeatedComponents: options.repeatedComponents !== false,
+          splitSections: Boolean(options.splitSections),
+          // A route's region and components in routes.json override the run's
+          boundaries: getRouteBoundaries(options.boundaries, route),
+          checkpoint: options.checkpoint,
+          session,
+          cssAccumulator
+        });
+      } catch (error) {
+        console.error(`❌ Error processing route ${route.url}: ${error.message}`);
+        errorsByIndex[i] = error;
+        // Continue with next route even if this one failed
+      }
     }
+  };
+  
+  try {
+    await Promise.all(Array.from({ length: concurrency }, worker));
+  } finally {
+    await session.close();
   }
   
+  // Only one converted 404 page can catch unknown paths; the others keep their own path
+  const notFoundIndex = resultsByIndex.findIndex(result => result && result.notFound);
+  resultsByIndex.forEach((result, i) => {
+    if (result && result.notFound && i !== notFoundIndex) {
+      result.routePath = routes[i].path || null;
+      console.log(`⚠️ ${routes[i].componentName} is another 404 page; ${routes[notFoundIndex].componentName} is the NotFound route`);
+    }
+  });
+  
+  // The app mounts each page where the links to it point
+  resultsByIndex.forEach((result, i) => {
+    if (result) result.appPath = mountedPaths[i];
+  });
+  
+  // Record the outcome on each route so routes.json shows which ones were refused
+  routes.forEach((route, i) => Object.assign(route, getRouteStatus(resultsByIndex[i], errorsByIndex[i])));
+  
+  const results = resultsByIndex.filter(Boolean);
+  
   // Write global CSS file if using global strategy
-  if (strategy === STRATEGIES.GLOBAL && results.length > 0) {
+  if (cssAccumulator && results.length > 0) {
     console.log(`\n🌐 Writing consolidated global CSS file...`);
-    const globalCssPath = writeGlobalCSS(outputDir);
+    const globalCssPath = cssAccumulator.write(outputDir, routes.map(route => route.componentName));
     console.log(`✅ Global CSS consolidation complete: ${globalCssPath}`);
   }
   
   console.log(`\n✅ Processed ${results.length}/${routes.length} routes successfully using ${strategy} strategy`);
+  writeRunReport(outputDir, routes, resultsByIndex, errorsByIndex, mountedPaths);
+  
+  if (options.checkpoint) {
+    const { failed } = options.checkpoint.getSummary();
+    if (failed.length > 0) {
+      console.log(`♻️ ${failed.length} routes failed (${failed.join(', ')}); run again with --resume to retry only the failed stages`);
+    }
+    console.log(`📁 Checkpoint saved to: ${options.checkpoint.manifestPath}`);
+  }
   return results;
 }
 
@@ -96,9 +258,11 @@ module.exports = {
   getProcessor,
   detectStrategy,
   processMultipleRoutes,
+  extractSharedLayout,
   // Export individual processors for direct use
   processRouteModular,
   processRouteGlobal,
+  createGlobalCssAccumulator,
   writeGlobalCSS,
   resetGlobalCSS
 };
\ No newline at end of file
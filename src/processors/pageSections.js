@@ -0,0 +1,229 @@
+/**
+ * Splits long pages into section components
+ *
+ * Before a page is converted, the top-level parts of its content are marked
+ * with tokens: the children of <body>, with <main> and wrapper elements opened
+ * up so that the <section>s, <header>s and <footer>s inside them count as
+ * top-level too. Each part big enough to be a section is named after its
+ * landmark, its id or classes (hero, features, testimonials, ...) or its first
+ * heading. Once the page is converted, the JSX of every section is written to
+ * its own file under the page folder, with the imports and data arrays it uses,
+ * and the page renders the sections in order.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const cheerio = require('cheerio');
+const { getLandmarkSlot } = require('./sharedLayout');
+const { countElements } = require('./repeatedComponents');
+const { toWords, toPascalCase, claimName } = require('../utils/naming');
+const { COMPONENT_ATTRIBUTE, createComponentTokens } = require('../converters/componentBoundaries');
+const { reindentJSX, findTokenBlock, removeTokens } = require('../converters/jsxPrinter');
+
+/**
+ * Parts with fewer elements stay in the page
+ */
+const MIN_SECTION_ELEMENTS = 5;
+
+/**
+ * Elements that are never part of the visible page
+ */
+const IGNORED_TAGS = new Set(['script', 'style', 'noscript', 'template', 'link', 'meta', 'iframe']);
+
+/**
+ * Elements that group sections; their children are split instead
+ */
+const CONTAINER_TAGS = new Set(['main', 'div', 'article']);
+const SECTION_TAGS = new Set(['section', 'header', 'main', 'footer', 'article', 'aside', 'nav']);
+
+/**
+ * Words in an id or class that name a section
+ */
+const SECTION_KEYWORDS = [
+  'hero', 'banner', 'intro', 'features', 'feature', 'benefits', 'services', 'testimonials',
+  'testimonial', 'reviews', 'pricing', 'plans', 'faq', 'team', 'about', 'contact', 'cta',
+  'newsletter', 'stats', 'logos', 'clients', 'partners', 'gallery', 'portfolio', 'blog',
+  'news', 'steps', 'process', 'showcase', 'integrations', 'download', 'signup'
+];
+
+/**
+ * Component names of landmarks without a better name
+ */
+const LANDMARK_NAMES = { header: 'Header', footer: 'Footer', nav: 'Navigation', aside: 'Sidebar' };
+
+/**
+ * Create the tokens that delimit a section in the converted JSX
+ * @param {number} index - Section index
+ * @returns {{start: string, end: string}}
+ */
+function createSectionTokens(index) {
+  return { start: `__WTR_SECTION_START_${index}__`, end: `__WTR_SECTION_END_${index}__` };
+}
+
+/**
+ * Names a section after its id, classes or label, its first heading or its landmark
+ * @param {Object} el - Cheerio element
+ * @param {CheerioAPI} $ - Loaded document
+ * @returns {string}
+ */
+function getSectionName(el, $) {
+  // Long headings are named after their first three words
+  const toSectionName = text => toPascalCase(toWords(text).slice(0, 3));
+  const labels = [$(el).attr('id'), $(el).attr('class'), $(el).attr('aria-label')].filter(Boolean).join(' ');
+  const words = labels.toLowerCase().split(/[^a-z0-9]+/);
+  const keyword = SECTION_KEYWORDS.find(candidate => words.includes(candidate));
+  if (keyword) return toSectionName(keyword);
+
+  // Headings bound to props or page data have no text of their own
+  const heading = $(el).find('h1, h2, h3').toArray()
+    .map(node => $(node).text().trim())
+    .find(text => text && !text.includes('__WTR_'));
+  const fromHeading = toSectionName(heading);
+  if (/^[A-Z]/.test(fromHeading)) return fromHeading;
+
+  if (LANDMARK_NAMES[el.name]) return LANDMARK_NAMES[el.name];
+  const fromLabel = toSectionName($(el).attr('id') || ($(el).attr('class') || '').split(/\s+/)[0]);
+  return /^[A-Z]/.test(fromLabel) ? `${fromLabel}Section` : 'Section';
+}
+
+/**
+ * Collects the top-level parts of the content of a page. <main>, wrappers with
+ * a single child and wrappers of sections are opened up; the landmarks directly
+ * in <body> are left to the shared layout.
+ * @param {Object} container - Cheerio element whose children are collected
+ * @param {CheerioAPI} $ - Loaded document
+ * @param {boolean} isBody - The container is <body>
+ * @returns {Object[]} - Cheerio elements
+ */
+function collectParts(container, $, isBody) {
+  return (container.children || [])
+    .filter(child => child.type === 'tag' && !IGNORED_TAGS.has(child.name))
+    .filter(child => !(isBody && getLandmarkSlot(child, $)))
+    .flatMap(child => {
+      const children = (child.children || []).filter(node => node.type === 'tag' && !IGNORED_TAGS.has(node.name));
+      const isContainer = child.name === 'main' || $(child).attr('role') === 'main' ||
+        (CONTAINER_TAGS.has(child.name) && (children.length === 1 || children.some(node => SECTION_TAGS.has(node.name))));
+      return isContainer && children.length > 0 ? collectParts(child, $, false) : [child];
+    });
+}
+
+/**
+ * Marks the sections of a page with section tokens
+ * @param {string} html - Page HTML, as it is about to be converted
+ * @param {Object} options - Options
+ * @param {string[]} options.usedNames - Names the sections must not take (the page, its other components)
+ * @returns {{html: string, sections: Array}} - HTML with tokens, and sections ({name})
+ */
+function markSections(html, options = {}) {
+  const $ = cheerio.load(html);
+  const root = $('body').length ? $('body')[0] : $.root()[0];
+  // The template of a run of repeated items is rendered by the page's .map(), not by a section
+  const isRepeatTemplate = el => el.prev && el.prev.type === 'text' && /__WTR_REPEAT_START_/.test(el.prev.data);
+  // Named components already have a file of their own
+  const parts = collectParts(root, $, Boolean($('body').length))
+    .filter(el => countElements(el) >= MIN_SECTION_ELEMENTS && !isRepeatTemplate(el) && !$(el).attr(COMPONENT_ATTRIBUTE));
+  // A page with a single section has nothing to split
+  if (parts.length < 2) {
+    return { html, sections: [] };
+  }
+
+  const usedNames = new Set(['React', 'Link', 'Fragment', ...(options.usedNames || [])]);
+  const sections = parts.map((el, index) => {
+    const name = claimName(getSectionName(el, $), usedNames);
+    const { start, end } = createSectionTokens(index);
+    $(el).before(start).after(end);
+    return { name };
+  });
+  console.log(`✂️ Split into ${sections.length} sections: ${sections.map(section => section.name).join(', ')}`);
+  return { html: $.html(), sections };
+}
+
+/**
+ * Writes the sections of a converted page to their own files and renders them from the page
+ * @param {string} jsx - Converted JSX containing section tokens
+ * @param {Array} sections - Sections from markSections() ({name}, or {name, tokens} for other delimiters)
+ * @param {Object} options - Options
+ * @param {string} options.pageDir - Directory of the page's assets; the sections are written next to them
+ * @param {string[]} options.imports - Import statements of the page the sections may need (images, components)
+ * @param {string[]} options.dataArrays - Data array declarations of the page (see repeatedComponents.js)
+ * @param {string} options.label - What the sections are called in the log
+ * @returns {{jsx: string, dataArrays: string[], components: string[]}} - Page JSX, the data arrays
+ *   the page keeps and the names of the sections written
+ */
+function extractSections(jsx, sections, options) {
+  const { pageDir, imports = [], dataArrays = [], label = 'Section' } = options;
+  let pageJsx = jsx;
+  let pageDataArrays = dataArrays;
+  // Sections written earlier can be rendered by later ones
+  const availableImports = [...imports];
+  const written = [];
+
+  sections.forEach((section, index) => {
+    const block = findTokenBlock(pageJsx, section.tokens || createSectionTokens(index));
+    if (!block) return;
+    const sectionJsx = reindentJSX(block.inner, '      ');
+    // Bound values of dynamic routes ({data.text1}) are passed down
+    const usesData = /\{data\.\w+\}/.test(sectionJsx);
+    pageJsx = `${block.before}<${section.name}${usesData ? ' data={data}' : ''} />${block.after}`;
+
+    // The data arrays the section renders move with it
+    const isUsed = (name, code) => new RegExp(`\\b${name}\\.map\\(`).test(code);
+    const sectionDataArrays = pageDataArrays.filter(code => isUsed(/^const (\w+)/.exec(code)[1], sectionJsx));
+    pageDataArrays = pageDataArrays.filter(code => !sectionDataArrays.includes(code));
+    const code = [...sectionDataArrays, sectionJsx].join('\n');
+    const sectionImports = availableImports.filter(line => {
+      const [, importName, source] = /^import (\w+) from '(.+)';$/.exec(line) || [];
+      if (!importName) return false;
+      // Images are used as values, components as elements
+      return source.startsWith('./images-flat/')
+        ? new RegExp(`\\{${importName}\\}|: ${importName}\\b`).test(code)
+        : new RegExp(`<${importName}[\\s/>]`).test(code);
+    });
+
+    const componentCode = `
+import React from 'react';
+${sectionJsx.includes('<Link') ? "import { Link } from 'react-router-dom';\n" : ''}${sectionImports.length > 0 ? `${sectionImports.join('\n')}\n` : ''}
+${sectionDataArrays.map(array => `${array}\n\n`).join('')}export default function ${section.name}(${usesData ? '{ data }' : ''}) {
+  return (
+    <React.Fragment>
+${sectionJsx}
+    </React.Fragment>
+  );
+}
+`;
+    const componentPath = path.join(pageDir, `${section.name}.jsx`);
+    fs.writeFileSync(componentPath, componentCode);
+    console.log(`✅ ${label} ${section.name} saved to: ${componentPath}`);
+    availableImports.push(`import ${section.name} from './${section.name}';`);
+    written.push(section.name);
+  });
+
+  // Only the tokens of these sections; those of other delimiters are cut out later
+  sections.forEach((section, index) => {
+    const { start, end } = section.tokens || createSectionTokens(index);
+    pageJsx = removeTokens(pageJsx, new RegExp(`${start}|${end}`));
+  });
+  return { jsx: pageJsx, dataArrays: pageDataArrays, components: written };
+}
+
+/**
+ * Writes the named components of a converted page (see componentBoundaries.js)
+ * to their own files and renders them from the page
+ * @param {string} jsx - Converted JSX containing component tokens
+ * @param {string[]} names - Names of the components marked on the page
+ * @param {Object} options - Options of extractSections()
+ * @returns {{jsx: string, dataArrays: string[], components: string[]}}
+ */
+function extractNamedComponents(jsx, names, options) {
+  // Nested components are written first, so that the outer ones render them
+  const components = names
+    .map(name => ({ name, tokens: createComponentTokens(name) }))
+    .sort((a, b) => jsx.indexOf(a.tokens.end) - jsx.indexOf(b.tokens.end));
+  return extractSections(jsx, components, { ...options, label: 'Component' });
+}
+
+module.exports = {
+  markSections,
+  extractSections,
+  extractNamedComponents
+};
@@ -10,13 +10,22 @@ const path = require('path');
 const fs = require('fs');
 const extractRenderedHTML = require('../extractors/extractHTMLWithPuppeteer');
 const extractStylesWithPuppeteer = require('../extractors/extractStylesWithPuppeteer');
-const { convertHTMLtoJSX, generateCSSFromVars, cssVarMap, getImageImports, setSanitizedFilenameMap } = require('../converters/convertHTMLtoJSX');
+const { generateCSSFromVars, createConverter } = require('../converters/convertHTMLtoJSX');
 const { extractImages } = require('../extractors/extractImages');
 const { extractFonts } = require('../extractors/extractFonts');
-
-// Global CSS accumulator - shared across all route processing
-let globalCssContent = '';
-let globalCssVars = {};
+const { prepareDynamicRoute, applyDynamicBindings } = require('./dynamicRoutes');
+const { replaceBindingTokens } = require('../converters/jsxBindings');
+const { reindentJSX } = require('../converters/jsxPrinter');
+const { markLayoutRegions, extractLayoutRegions, removeUnusedImports } = require('./sharedLayout');
+const { findRepeatedGroups, extractRepeatedComponents } = require('./repeatedComponents');
+const { markSections, extractSections, extractNamedComponents } = require('./pageSections');
+const { applyBoundaries } = require('../converters/componentBoundaries');
+const { pruneCss, listUsedAssets } = require('./cssPruner');
+const { runStage } = require('../utils/checkpoint');
+const { createBrowserSession } = require('../utils/browserSession');
+const { getResponseCapture } = require('../utils/responseCapture');
+const { getDismissedOverlays } = require('../utils/overlayDismissal');
+const { getPageHealth, checkPageHealth, createHealthError } = require('../utils/pageHealth');
 
 /**
  * Fix all asset paths in CSS content for global CSS strategy
@@ -91,51 +100,116 @@ function fixAssetPathsForGlobal(cssContent, componentName) {
 }
 
 /**
- * Add CSS content to the global CSS accumulator
+ * Creates a global CSS accumulator. Each conversion job gets its own, and the
+ * CSS is written grouped per component in route order, however the routes'
+ * processing interleaves.
+ * @returns {Object} - Accumulator with accumulateCSS, mergeVars, write and reset
+ */
+function createGlobalCssAccumulator() {
+  // Component name -> accumulated CSS sections, in the order components were first seen
+  let sectionsByComponent = new Map();
+  let cssVars = {};
+
+  return {
+    /**
+     * Add CSS content to the accumulator
+     * @param {string} cssContent - CSS content to add
+     * @param {string} componentName - Component name for asset path fixing
+     * @param {string} source - Source identifier for the CSS (e.g., 'inline', 'external', 'font-faces')
+     */
+    accumulateCSS(cssContent, componentName, source = 'unknown') {
+      if (!cssContent || cssContent.trim() === '') return;
+      
+      // Fix asset paths for global CSS
+      const fixedCss = fixAssetPathsForGlobal(cssContent, componentName);
+      
+      // Add a comment to identify the source
+      const cssWithComment = `\n/* === CSS from ${componentName} (${source}) === */\n${fixedCss}\n`;
+      
+      if (!sectionsByComponent.has(componentName)) {
+        sectionsByComponent.set(componentName, []);
+      }
+      sectionsByComponent.get(componentName).push(cssWithComment);
+      console.log(`📝 Accumulated CSS from ${componentName} (${source})`);
+    },
+
+    /**
+     * Merge CSS variables into the global variables
+     * @param {Object} vars - Map of class names to custom CSS variables
+     */
+    mergeVars(vars) {
+      cssVars = { ...cssVars, ...vars };
+    },
+
+    /**
+     * Write the accumulated global CSS to file
+     * @param {string} outputDir - Base output directory
+     * @param {string[]} componentOrder - Optional component order (e.g. route order) for the CSS sections
+     * @returns {string} - Path of the written global.css
+     */
+    write(outputDir, componentOrder = null) {
+      const sharedDir = path.join(outputDir, 'src/shared');
+      fs.mkdirSync(sharedDir, { recursive: true });
+      
+      const orderedComponents = componentOrder
+        ? [
+          ...componentOrder.filter(name => sectionsByComponent.has(name)),
+          ...Array.from(sectionsByComponent.keys()).filter(name => !componentOrder.includes(name))
+        ]
+        : Array.from(sectionsByComponent.keys());
+      let globalCssContent = orderedComponents
+        .map(name => sectionsByComponent.get(name).join(''))
+        .join('');
+      
+      // Add global CSS variables if any
+      if (Object.keys(cssVars).length > 0) {
+        const customVarsCss = generateCSSFromVars(cssVars);
+        globalCssContent += '\n/* === Global CSS Variables === */\n' + customVarsCss + '\n';
+      }
+      
+      const globalCssPath = path.join(sharedDir, 'global.css');
+      fs.writeFileSync(globalCssPath, globalCssContent);
+      console.log(`✅ Global CSS written to: ${globalCssPath} (${globalCssContent.length} characters)`);
+      
+      return globalCssPath;
+    },
+
+    /**
+     * Reset the accumulator (for new processing sessions)
+     */
+    reset() {
+      sectionsByComponent = new Map();
+      cssVars = {};
+    }
+  };
+}
+
+// Accumulator used when no per-job accumulator is passed in
+const defaultAccumulator = createGlobalCssAccumulator();
+
+/**
+ * Add CSS content to the default global CSS accumulator
  * @param {string} cssContent - CSS content to add
  * @param {string} componentName - Component name for asset path fixing
  * @param {string} source - Source identifier for the CSS (e.g., 'inline', 'external', 'font-faces')
  */
 function accumulateCSS(cssContent, componentName, source = 'unknown') {
-  if (!cssContent || cssContent.trim() === '') return;
-  
-  // Fix asset paths for global CSS
-  const fixedCss = fixAssetPathsForGlobal(cssContent, componentName);
-  
-  // Add a comment to identify the source
-  const cssWithComment = `\n/* === CSS from ${componentName} (${source}) === */\n${fixedCss}\n`;
-  
-  globalCssContent += cssWithComment;
-  console.log(`📝 Accumulated CSS from ${componentName} (${source})`);
+  defaultAccumulator.accumulateCSS(cssContent, componentName, source);
 }
 
 /**
- * Write the accumulated global CSS to file
+ * Write the default accumulator's global CSS to file
  * @param {string} outputDir - Base output directory
  */
 function writeGlobalCSS(outputDir) {
-  const sharedDir = path.join(outputDir, 'src/shared');
-  fs.mkdirSync(sharedDir, { recursive: true });
-  
-  // Add global CSS variables if any
-  if (Object.keys(globalCssVars).length > 0) {
-    const customVarsCss = generateCSSFromVars(globalCssVars);
-    globalCssContent += '\n/* === Global CSS Variables === */\n' + customVarsCss + '\n';
-  }
-  
-  const globalCssPath = path.join(sharedDir, 'global.css');
-  fs.writeFileSync(globalCssPath, globalCssContent);
-  console.log(`✅ Global CSS written to: ${globalCssPath} (${globalCssContent.length} characters)`);
-  
-  return globalCssPath;
+  return defaultAccumulator.write(outputDir);
 }
 
 /**
- * Reset global CSS accumulator (for new processing sessions)
+ * Reset the default global CSS accumulator (for new processing sessions)
  */
 function resetGlobalCSS() {
-  globalCssContent = '';
-  globalCssVars = {};
+  defaultAccumulator.reset();
   console.log('🔄 Reset global CSS accumulator');
 }
 
@@ -147,9 +221,52 @@ function resetGlobalCSS() {
 * @param {boolean} isDeprecated - Unused parameter, kept for backward compatibility
 * @param {boolean} isMultiPage - Whether this is part of a multi-page site
 * @param {string} outputDir - Base output directory
+* @param {Object} options - Route options
+* @param {Object} options.dynamic - Dynamic route descriptor ({param, instances}) from route discovery
+* @param {string} options.routePath - Router path for the route (e.g. /blog/:slug)
+* @param {Object} options.readiness - Readiness options of the route, overriding the run's (see pageReadiness)
+* @param {boolean} options.allowNotFound - Convert a 404 page as the NotFound route (path *) instead of refusing it
+* @param {Object} options.linkMap - Link map of the run (see routeLinks.js); anchors to its routes become <Link>s
+* @param {boolean} options.repeatedComponents - Turn repeated subtrees into components rendered from data arrays (default: true)
+* @param {boolean} options.splitSections - Split the page into section components (Hero, Features, ...) (default: false)
+* @param {Object} options.boundaries - Region to convert and named components of the route (see componentBoundaries.js)
+* @param {Object} options.checkpoint - Checkpoint store; completed stages are loaded instead of re-run
+* @param {Object} options.session - Browser session to load the page in (a private one is opened when omitted)
+* @param {Object} options.cssAccumulator - Global CSS accumulator of the job (defaults to the module-level one)
 * @returns {Object} The processed component information
 */
-async function processRoute(url, componentName, isDeprecated = false, isMultiPage = false, outputDir = path.resolve(process.cwd(), 'output')) {
+async function processRoute(url, componentName, isDeprecated = false, isMultiPage = false, outputDir = path.resolve(process.cwd(), 'output'), options = {}) {
+  const {
+    dynamic = null,
+    routePath = null,
+    checkpoint = null,
+    session: sharedSession = null,
+    cssAccumulator = defaultAccumulator,
+    readiness = {},
+    allowNotFound = false,
+    linkMap = null,
+    repeatedComponents = true,
+    splitSections = false,
+    boundaries = null
+  } = options;
+
+  // The page is loaded once and shared by the HTML and style extraction;
+  // the responses of that load are reused for fonts and images
+  const session = sharedSession || createBrowserSession();
+  let livePage = null;
+  let responseCapture = null;
+  const getLivePage = async () => {
+    if (!livePage) {
+      livePage = await session.loadPage(url, readiness);
+      responseCapture = getResponseCapture(livePage);
+    }
+    return livePage;
+  };
+  const releaseLivePage = () => {
+    if (livePage) session.releasePage(livePage);
+    livePage = null;
+  };
+
   // Create directory paths - keep page-specific asset directories
   const htmlDir = path.join(outputDir, 'html');
   const stylesDir = path.join(outputDir, `src/pages/${componentName}`);
@@ -165,130 +282,252 @@ async function processRoute(url, componentName, isDeprecated = false, isMultiPag
    
     // 1. Extract HTML
     const htmlOutputPath = path.join(htmlDir, `${componentName}.html`);
-    console.log(`📄 Extracting HTML for ${componentName}...`);
-    const renderedHTML = await extractRenderedHTML(url, htmlOutputPath);
+    const { renderedHTML, dynamicRoute, dismissedOverlays = [], health = null, notFound = false } = await runStage(checkpoint, componentName, url, 'html', async () => {
+      console.log(`📄 Extracting HTML for ${componentName}...`);
+      const page = await getLivePage();
+      
+      // Error, challenge and login pages are refused instead of converted
+      const pageHealth = getPageHealth(page);
+      const verdict = checkPageHealth(pageHealth, { allowNotFound });
+      if (!verdict.ok) {
+        throw createHealthError(pageHealth, verdict.reason);
+      }
+      if (verdict.notFound) {
+        console.log(`🚫 ${url} is a 404 page, converting it as the NotFound route`);
+      }
+      const html = await extractRenderedHTML(url, htmlOutputPath, { page });
+      
+      // Dynamic routes: extract the other instances and find the values that differ
+      const preparedRoute = dynamic
+        ? await prepareDynamicRoute(url, html, dynamic, componentName, stylesDir, session, readiness)
+        : null;
+      return { renderedHTML: html, dynamicRoute: preparedRoute, dismissedOverlays: getDismissedOverlays(page), health: pageHealth, notFound: verdict.notFound };
+    });
    
     // 2. Extract CSS - do this for every page to capture page-specific styles
-    console.log(`🎨 Extracting CSS styles...`);
-    const extractedStyles = await extractStylesWithPuppeteer(url, stylesDir);
+    const extractedStyles = await runStage(checkpoint, componentName, url, 'styles', async () => {
+      console.log(`🎨 Extracting CSS styles...`);
+      return extractStylesWithPuppeteer(url, stylesDir, { page: await getLivePage() });
+    });
+    releaseLivePage();
    
     // 3. Extract fonts from CSS files
-    console.log(`📦 Extracting fonts for ${componentName}...`);
-    const { fontPaths, fontFaceCssPath } = await extractFonts(renderedHTML, extractedStyles.cssFiles, url, stylesDir);
+    const { fontPaths, fontFaceCssPath } = await runStage(checkpoint, componentName, url, 'fonts', () => {
+      console.log(`📦 Extracting fonts for ${componentName}...`);
+      return extractFonts(renderedHTML, extractedStyles.cssFiles, url, stylesDir, { responseCapture });
+    });
     
     // 4. Extract and download images - keep in page-specific directories
-    console.log(`🖼️ Processing images for ${componentName}...`);
-    const { processedImages, updatedHtml, imageMap } = await extractImages(
-      renderedHTML,
-      extractedStyles.cssFiles,
-      url,
-      stylesDir
-    );
+    const { processedImages, updatedHtml, imageMap, cssFiles } = await runStage(checkpoint, componentName, url, 'images', async () => {
+      console.log(`🖼️ Processing images for ${componentName}...`);
+      const images = await extractImages(
+        renderedHTML,
+        extractedStyles.cssFiles,
+        url,
+        stylesDir,
+        { responseCapture }
+      );
+      // extractImages rewrites image URLs in the CSS files in place, keep them with the stage
+      return { ...images, cssFiles: extractedStyles.cssFiles };
+    });
    
-    // Pass the sanitized filename mapping to the JSX converter
-    setSanitizedFilenameMap(imageMap);
+    // 5. Convert to JSX and write the component
+    const { cssChunks, cssVars, ...result } = await runStage(checkpoint, componentName, url, 'jsx', async () => {
+      // Each route gets its own converter so parallel routes don't share image imports or CSS variables
+      const converter = createConverter();
+      
+      // Pass the sanitized filename mapping to the JSX converter
+      converter.setSanitizedFilenameMap(imageMap);
+      // Anchors to other routes of the run become <Link>s, resolved against the page's final URL
+      const pageUrl = (health && health.finalUrl) || url;
+      converter.setLinkMap(linkMap, pageUrl);
    
-    // 5. Convert to JSX
-    const jsxOutputPath = path.join(pagesDir, `${componentName}.jsx`);
-    console.log(`⚛️ Converting HTML to JSX for ${componentName}...`);
-    const jsxContent = convertHTMLtoJSX(updatedHtml || renderedHTML);
+      const jsxOutputPath = path.join(pagesDir, `${componentName}.jsx`);
+      console.log(`⚛️ Converting HTML to JSX for ${componentName}...`);
+      const sourceHtml = dynamicRoute
+        ? applyDynamicBindings(updatedHtml || renderedHTML, dynamicRoute.bindings)
+        : (updatedHtml || renderedHTML);
+      // Only the region of the page is converted; subtrees matching named components get their own files
+      const bounded = applyBoundaries(sourceHtml, boundaries, componentName);
+      // Repeated cards, tiles and list items become components rendered from data arrays
+      const repeated = repeatedComponents
+        ? findRepeatedGroups(bounded.html, { pageName: componentName, usedNames: bounded.components, resolveLink: href => (linkMap ? linkMap.resolve(href, pageUrl) : null) })
+        : { html: bounded.html, groups: [] };
+      // Long pages are split into one component per top-level section
+      const split = splitSections
+        ? markSections(repeated.html, { usedNames: [componentName, ...bounded.components, ...repeated.groups.map(group => group.componentName)] })
+        : { html: repeated.html, sections: [] };
+      // Header, nav and footer landmarks are marked so a shared Layout can take them over later
+      const marked = markLayoutRegions(split.html);
+      let jsxContent = converter.convertHTMLtoJSX(marked.html);
+      if (dynamicRoute) {
+        jsxContent = replaceBindingTokens(jsxContent, name => `data.${name}`);
+      }
+      const extracted = extractRepeatedComponents(jsxContent, repeated.groups, {
+        pageDir: stylesDir,
+        resolveImageSource: converter.resolveImageSource,
+        resolveLink: converter.resolveLink,
+        getImageImports: converter.getImageImports
+      });
+      // Named components are cut out before the layout regions, so a shared Header can render them
+      const pageImports = [...converter.getImageImports().split('\n').filter(Boolean), ...extracted.imports];
+      const named = extractNamedComponents(extracted.jsx, bounded.components, {
+        pageDir: stylesDir,
+        imports: pageImports,
+        dataArrays: extracted.dataArrays
+      });
+      const { jsx: pageJsx, regions: layoutRegions } = extractLayoutRegions(named.jsx, marked.regions);
+      const sectioned = extractSections(pageJsx, split.sections, {
+        pageDir: stylesDir,
+        imports: [...pageImports, ...named.components.map(name => `import ${name} from './${name}';`)],
+        dataArrays: named.dataArrays
+      });
+      jsxContent = sectioned.jsx;
+      const components = [...extracted.components, ...named.components, ...sectioned.components];
+      const componentImports = components.map(name => `import ${name} from './${name}';\n`).join('');
+      const dataCode = sectioned.dataArrays.map(code => `${code}\n\n`).join('');
    
-    // Get image imports (these will still be page-specific)
-    const imageImports = getImageImports();
+      // Get image imports (these will still be page-specific)
+      const imageImports = converter.getImageImports();
    
-    // 6. GLOBAL CSS STRATEGY: Accumulate CSS instead of creating individual files
+      // 6. GLOBAL CSS STRATEGY: Collect CSS for the global file instead of creating individual files.
+      // The chunks are kept with the stage result and accumulated once the stage completes.
+      const cssChunks = [];
     
-    // Accumulate external CSS files
-    if (extractedStyles.cssFiles && extractedStyles.cssFiles.length > 0) {
-      for (const cssFile of extractedStyles.cssFiles) {
-        if (cssFile.content) {
-          accumulateCSS(cssFile.content, componentName, `external-${cssFile.id || cssFile.filename || 'unknown'}`);
+      // Collect external CSS files
+      if (cssFiles && cssFiles.length > 0) {
+        for (const cssFile of cssFiles) {
+          if (cssFile.content) {
+            cssChunks.push({ css: cssFile.content, source: `external-${cssFile.id || cssFile.filename || 'unknown'}` });
+          }
         }
       }
-    }
     
-    // Accumulate inline styles (App.css equivalent)
-    const appCssPath = path.join(stylesDir, "App.css");
-    if (fs.existsSync(appCssPath)) {
-      const inlineCSS = fs.readFileSync(appCssPath, 'utf8');
-      accumulateCSS(inlineCSS, componentName, 'inline-styles');
-      // Remove the individual file since we're using global CSS
-      fs.unlinkSync(appCssPath);
-    }
+      // Collect inline styles (App.css equivalent)
+      const appCssPath = path.join(stylesDir, "App.css");
+      if (fs.existsSync(appCssPath)) {
+        cssChunks.push({ css: fs.readFileSync(appCssPath, 'utf8'), source: 'inline-styles' });
+      }
     
-    // Accumulate component-specific styles (style.css)
-    const styleFilePath = path.join(stylesDir, "style.css");
-    if (fs.existsSync(styleFilePath)) {
-      const componentCSS = fs.readFileSync(styleFilePath, 'utf8');
-      accumulateCSS(componentCSS, componentName, 'component-styles');
-      // Remove the individual file since we're using global CSS
-      fs.unlinkSync(styleFilePath);
-    }
+      // Collect component-specific styles (style.css)
+      const styleFilePath = path.join(stylesDir, "style.css");
+      if (fs.existsSync(styleFilePath)) {
+        cssChunks.push({ css: fs.readFileSync(styleFilePath, 'utf8'), source: 'component-styles' });
+      }
     
-    // Accumulate font-face CSS
-    if (fontFaceCssPath) {
-      const fontFaceCssFullPath = path.join(stylesDir, fontFaceCssPath);
-      if (fs.existsSync(fontFaceCssFullPath)) {
-        const fontCSS = fs.readFileSync(fontFaceCssFullPath, 'utf8');
-        accumulateCSS(fontCSS, componentName, 'font-faces');
-        // Remove the individual file since we're using global CSS
-        fs.unlinkSync(fontFaceCssFullPath);
+      // Collect font-face CSS
+      const fontFaceCssFullPath = fontFaceCssPath ? path.join(stylesDir, fontFaceCssPath) : null;
+      if (fontFaceCssFullPath && fs.existsSync(fontFaceCssFullPath)) {
+        cssChunks.push({ css: fs.readFileSync(fontFaceCssFullPath, 'utf8'), source: 'font-faces' });
       }
-    }
     
-    // Accumulate CSS variables
-    if (Object.keys(cssVarMap).length > 0) {
-      // Merge with global CSS variables
-      globalCssVars = { ...globalCssVars, ...cssVarMap };
-      console.log(`✅ Added ${Object.keys(cssVarMap).length} CSS variables from ${componentName} to global vars`);
-    }
+      // A page restricted to a region contributes only the CSS rules and fonts the region uses
+      const isRegion = Boolean(boundaries && boundaries.region.length > 0);
+      if (isRegion) {
+        cssChunks.forEach(chunk => {
+          chunk.css = pruneCss(chunk.css, bounded.html);
+        });
+        console.log(`✂️ Pruned the CSS of ${componentName} to the region`);
+      }
    
-    // Add navigation imports for multi-page sites
-    const addNavigationImport = isMultiPage;
+      // Links to other routes and their import
+      const { routeLinks, unconvertedLinks } = converter.getLinks();
+      if (unconvertedLinks.length > 0) {
+        console.log(`🔗 ${componentName} links to ${unconvertedLinks.length} pages that aren't converted; they stay links to the live site`);
+      }
+    
+      // react-router-dom imports: Link for navigation, useParams for dynamic routes
+      const routerImports = [];
+      if (routeLinks.length > 0) routerImports.push('Link');
+      if (dynamicRoute) routerImports.push('useParams');
    
-    // Create the final component code - import global CSS instead of individual files
-    const componentCode = `
+      // Create the final component code - import global CSS instead of individual files
+      const componentCode = `
 import React from 'react';
-${addNavigationImport ? "import { Link } from 'react-router-dom';\n" : ""}${imageImports ? imageImports + '\n' : ''}import '../../shared/global.css';
+${routerImports.length > 0 ? `import { ${routerImports.join(', ')} } from 'react-router-dom';\n` : ""}${dynamicRoute ? `import pageData from './${dynamicRoute.dataFilename}';\n` : ""}${imageImports ? imageImports + '\n' : ''}${componentImports}import '../../shared/global.css';
 
 
-export default function ${componentName}() {
-  return (
+${dataCode}export default function ${componentName}() {
+${dynamicRoute ? `  const { ${dynamic.param} } = useParams();\n  const data = pageData[${dynamic.param}] || {};\n\n` : ''}  return (
     <React.Fragment>
-${jsxContent}${addNavigationImport && componentName !== 'Home' ? '\n      <div className="navigation-links" style={{ margin: "20px 0", padding: "10px" }}>\n        <Link to="/" style={{ color: "#0066cc", textDecoration: "none" }}>← Back to Home</Link>\n      </div>' : ''}
+${reindentJSX(jsxContent, '      ')}
     </React.Fragment>
   );
 }
 `;
    
-    // Write the component file
-    fs.writeFileSync(jsxOutputPath, componentCode);
-    console.log(`✅ React component for ${componentName} saved to: ${jsxOutputPath}`);
+      // Write the component file; images, components and Links used only by repeated items or sections aren't imported by the page
+      fs.writeFileSync(jsxOutputPath, components.length > 0 ? removeUnusedImports(componentCode) : componentCode);
+      console.log(`✅ React component for ${componentName} saved to: ${jsxOutputPath}`);
    
-    // Log image info
-    if (imageImports) {
-      const imageImportCount = imageImports.split('\n').length;
-      console.log(`✅ Added ${imageImportCount} image import${imageImportCount !== 1 ? 's' : ''}`);
-    }
+      // Log image info
+      if (imageImports) {
+        const imageImportCount = imageImports.split('\n').length;
+        console.log(`✅ Added ${imageImportCount} image import${imageImportCount !== 1 ? 's' : ''}`);
+      }
+    
+      // ...and only the images and fonts the region uses are copied to the app
+      const usedAssets = isRegion
+        ? listUsedAssets(stylesDir, [
+          ...cssChunks.map(chunk => chunk.css),
+          fs.readFileSync(jsxOutputPath, 'utf8'),
+          ...components.map(name => fs.readFileSync(path.join(stylesDir, `${name}.jsx`), 'utf8'))
+        ])
+        : null;
+    
+      // Remove the individual CSS files since we're using global CSS
+      [appCssPath, styleFilePath, fontFaceCssFullPath]
+        .filter(cssPath => cssPath && fs.existsSync(cssPath))
+        .forEach(cssPath => fs.unlinkSync(cssPath));
    
-    return {
-      componentName,
-      componentPath: jsxOutputPath,
-      htmlPath: htmlOutputPath,
-      url,
-      imagesProcessed: processedImages?.length || 0,
-      fontsProcessed: fontPaths?.length || 0,
-      cssStrategy: 'global'
-    };
+      return {
+        componentName,
+        componentPath: jsxOutputPath,
+        htmlPath: htmlOutputPath,
+        url,
+        // A converted 404 page catches every unknown path
+        routePath: notFound ? '*' : routePath,
+        health,
+        notFound,
+        imagesProcessed: processedImages?.length || 0,
+        fontsProcessed: fontPaths?.length || 0,
+        dismissedOverlays,
+        routeLinks,
+        unconvertedLinks,
+        layoutRegions,
+        repeatedComponents: extracted.components,
+        namedComponents: named.components,
+        sectionComponents: sectioned.components,
+        usedAssets,
+        cssStrategy: 'global',
+        cssChunks,
+        cssVars: { ...converter.cssVarMap }
+      };
+    });
+    
+    // Add this route's CSS and variables to the global CSS accumulator
+    cssChunks.forEach(({ css, source }) => cssAccumulator.accumulateCSS(css, componentName, source));
+    if (Object.keys(cssVars).length > 0) {
+      cssAccumulator.mergeVars(cssVars);
+      console.log(`✅ Added ${Object.keys(cssVars).length} CSS variables from ${componentName} to global vars`);
+    }
+    
+    return result;
    
   } catch (error) {
     console.error(`❌ Error processing route ${url}: ${error.message}`);
     throw error;
+  } finally {
+    releaseLivePage();
+    if (!sharedSession) {
+      await session.close();
+    }
   }
 }
 
 module.exports = {
   processRoute,
+  createGlobalCssAccumulator,
   writeGlobalCSS,
   resetGlobalCSS,
   accumulateCSS
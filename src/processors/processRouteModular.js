@@ -10,9 +10,22 @@ const path = require('path');
 const fs = require('fs');
 const extractRenderedHTML = require('../extractors/extractHTMLWithPuppeteer');
 const extractStylesWithPuppeteer = require('../extractors/extractStylesWithPuppeteer');
-const { convertHTMLtoJSX, generateCSSFromVars, cssVarMap, getImageImports, setSanitizedFilenameMap } = require('../converters/convertHTMLtoJSX');
+const { generateCSSFromVars, createConverter } = require('../converters/convertHTMLtoJSX');
 const { extractImages } = require('../extractors/extractImages');
 const { extractFonts } = require('../extractors/extractFonts');
+const { prepareDynamicRoute, applyDynamicBindings } = require('./dynamicRoutes');
+const { replaceBindingTokens } = require('../converters/jsxBindings');
+const { reindentJSX } = require('../converters/jsxPrinter');
+const { markLayoutRegions, extractLayoutRegions, removeUnusedImports } = require('./sharedLayout');
+const { findRepeatedGroups, extractRepeatedComponents } = require('./repeatedComponents');
+const { markSections, extractSections, extractNamedComponents } = require('./pageSections');
+const { applyBoundaries } = require('../converters/componentBoundaries');
+const { pruneRegionStyles } = require('./cssPruner');
+const { runStage } = require('../utils/checkpoint');
+const { createBrowserSession } = require('../utils/browserSession');
+const { getResponseCapture } = require('../utils/responseCapture');
+const { getDismissedOverlays } = require('../utils/overlayDismissal');
+const { getPageHealth, checkPageHealth, createHealthError } = require('../utils/pageHealth');
 
 /**
  * Fix all asset paths in CSS content to use the correct flat directories
@@ -91,9 +104,39 @@ function fixAssetPaths(cssContent, flatFontsDirName = 'fonts-flat', flatImagesDi
 * @param {boolean} isDeprecated - Unused parameter, kept for backward compatibility
 * @param {boolean} isMultiPage - Whether this is part of a multi-page site
 * @param {string} outputDir - Base output directory
+* @param {Object} options - Route options
+* @param {Object} options.dynamic - Dynamic route descriptor ({param, instances}) from route discovery
+* @param {string} options.routePath - Router path for the route (e.g. /blog/:slug)
+* @param {Object} options.readiness - Readiness options of the route, overriding the run's (see pageReadiness)
+* @param {boolean} options.allowNotFound - Convert a 404 page as the NotFound route (path *) instead of refusing it
+* @param {Object} options.linkMap - Link map of the run (see routeLinks.js); anchors to its routes become <Link>s
+* @param {boolean} options.repeatedComponents - Turn repeated subtrees into components rendered from data arrays (default: true)
+* @param {boolean} options.splitSections - Split the page into section components (Hero, Features, ...) (default: false)
+* @param {Object} options.boundaries - Region to convert and named components of the route (see componentBoundaries.js)
+* @param {Object} options.checkpoint - Checkpoint store; completed stages are loaded instead of re-run
+* @param {Object} options.session - Browser session to load the page in (a private one is opened when omitted)
 * @returns {Object} The processed component information
 */
-async function processRoute(url, componentName, isDeprecated = false, isMultiPage = false, outputDir = path.resolve(process.cwd(), 'output')) {
+async function processRoute(url, componentName, isDeprecated = false, isMultiPage = false, outputDir = path.resolve(process.cwd(), 'output'), options = {}) {
+ const { dynamic = null, routePath = null, readiness = {}, allowNotFound = false, linkMap = null, repeatedComponents = true, splitSections = false, boundaries = null, checkpoint = null, session: sharedSession = null } = options;
+
+ // The page is loaded once and shared by the HTML and style extraction;
+ // the responses of that load are reused for fonts and images
+ const session = sharedSession || createBrowserSession();
+ let livePage = null;
+ let responseCapture = null;
+ const getLivePage = async () => {
+   if (!livePage) {
+     livePage = await session.loadPage(url, readiness);
+     responseCapture = getResponseCapture(livePage);
+   }
+   return livePage;
+ };
+ const releaseLivePage = () => {
+   if (livePage) session.releasePage(livePage);
+   livePage = null;
+ };
+
  // Create directory paths
  const htmlDir = path.join(outputDir, 'html');
  const stylesDir = path.join(outputDir, `src/pages/${componentName}`);
@@ -107,16 +150,40 @@ async function processRoute(url, componentName, isDeprecated = false, isMultiPag
   
    // 1. Extract HTML
    const htmlOutputPath = path.join(htmlDir, `${componentName}.html`);
-   console.log(`📄 Extracting HTML for ${componentName}...`);
-   const renderedHTML = await extractRenderedHTML(url, htmlOutputPath);
+   const { renderedHTML, dynamicRoute, dismissedOverlays = [], health = null, notFound = false } = await runStage(checkpoint, componentName, url, 'html', async () => {
+     console.log(`📄 Extracting HTML for ${componentName}...`);
+     const page = await getLivePage();
+     
+     // Error, challenge and login pages are refused instead of converted
+     const pageHealth = getPageHealth(page);
+     const verdict = checkPageHealth(pageHealth, { allowNotFound });
+     if (!verdict.ok) {
+       throw createHealthError(pageHealth, verdict.reason);
+     }
+     if (verdict.notFound) {
+       console.log(`🚫 ${url} is a 404 page, converting it as the NotFound route`);
+     }
+     const html = await extractRenderedHTML(url, htmlOutputPath, { page });
+     
+     // Dynamic routes: extract the other instances and find the values that differ
+     const preparedRoute = dynamic
+       ? await prepareDynamicRoute(url, html, dynamic, componentName, stylesDir, session, readiness)
+       : null;
+     return { renderedHTML: html, dynamicRoute: preparedRoute, dismissedOverlays: getDismissedOverlays(page), health: pageHealth, notFound: verdict.notFound };
+   });
   
    // 2. Extract CSS - do this for every page to capture page-specific styles
-   console.log(`🎨 Extracting CSS styles...`);
-   const extractedStyles = await extractStylesWithPuppeteer(url, stylesDir);
+   const extractedStyles = await runStage(checkpoint, componentName, url, 'styles', async () => {
+     console.log(`🎨 Extracting CSS styles...`);
+     return extractStylesWithPuppeteer(url, stylesDir, { page: await getLivePage() });
+   });
+   releaseLivePage();
   
    // 3. Extract fonts from CSS files
-   console.log(`📦 Extracting fonts for ${componentName}...`);
-   const { fontPaths, fontFaceCssPath } = await extractFonts(renderedHTML, extractedStyles.cssFiles, url, stylesDir);
+   const { fontPaths, fontFaceCssPath } = await runStage(checkpoint, componentName, url, 'fonts', () => {
+     console.log(`📦 Extracting fonts for ${componentName}...`);
+     return extractFonts(renderedHTML, extractedStyles.cssFiles, url, stylesDir, { responseCapture });
+   });
    
    // Add font-faces.css to the cssFiles list if it was created
    if (fontFaceCssPath) {
@@ -131,126 +198,213 @@ async function processRoute(url, componentName, isDeprecated = false, isMultiPag
    }
   
    // 4. Extract and download images
-   console.log(`🖼️ Processing images for ${componentName}...`);
-   const { processedImages, updatedHtml, imageMap } = await extractImages(
-     renderedHTML,
-     extractedStyles.cssFiles,
-     url,
-     stylesDir
-   );
+   const { processedImages, updatedHtml, imageMap } = await runStage(checkpoint, componentName, url, 'images', () => {
+     console.log(`🖼️ Processing images for ${componentName}...`);
+     return extractImages(
+       renderedHTML,
+       extractedStyles.cssFiles,
+       url,
+       stylesDir,
+       { responseCapture }
+     );
+   });
   
-   // Pass the sanitized filename mapping to the JSX converter
-   setSanitizedFilenameMap(imageMap);
+   // 5. Convert to JSX and write the component
+   return await runStage(checkpoint, componentName, url, 'jsx', async () => {
+     // Each route gets its own converter so parallel routes don't share image imports or CSS variables
+     const converter = createConverter();
+     
+     // Pass the sanitized filename mapping to the JSX converter
+     converter.setSanitizedFilenameMap(imageMap);
+     // Anchors to other routes of the run become <Link>s, resolved against the page's final URL
+     const pageUrl = (health && health.finalUrl) || url;
+     converter.setLinkMap(linkMap, pageUrl);
   
-   // 5. Convert to JSX
-   const jsxOutputPath = path.join(pagesDir, `${componentName}.jsx`);
-   console.log(`⚛️ Converting HTML to JSX for ${componentName}...`);
-   const jsxContent = convertHTMLtoJSX(updatedHtml || renderedHTML);
+     const jsxOutputPath = path.join(pagesDir, `${componentName}.jsx`);
+     console.log(`⚛️ Converting HTML to JSX for ${componentName}...`);
+     const sourceHtml = dynamicRoute
+       ? applyDynamicBindings(updatedHtml || renderedHTML, dynamicRoute.bindings)
+       : (updatedHtml || renderedHTML);
+     // Only the region of the page is converted; subtrees matching named components get their own files
+     const bounded = applyBoundaries(sourceHtml, boundaries, componentName);
+     // Repeated cards, tiles and list items become components rendered from data arrays
+     const repeated = repeatedComponents
+       ? findRepeatedGroups(bounded.html, { pageName: componentName, usedNames: bounded.components, resolveLink: href => (linkMap ? linkMap.resolve(href, pageUrl) : null) })
+       : { html: bounded.html, groups: [] };
+     // Long pages are split into one component per top-level section
+     const split = splitSections
+       ? markSections(repeated.html, { usedNames: [componentName, ...bounded.components, ...repeated.groups.map(group => group.componentName)] })
+       : { html: repeated.html, sections: [] };
+     // Header, nav and footer landmarks are marked so a shared Layout can take them over later
+     const marked = markLayoutRegions(split.html);
+     let jsxContent = converter.convertHTMLtoJSX(marked.html);
+     if (dynamicRoute) {
+       jsxContent = replaceBindingTokens(jsxContent, name => `data.${name}`);
+     }
+     const extracted = extractRepeatedComponents(jsxContent, repeated.groups, {
+       pageDir: stylesDir,
+       resolveImageSource: converter.resolveImageSource,
+       resolveLink: converter.resolveLink,
+       getImageImports: converter.getImageImports
+     });
+     // Named components are cut out before the layout regions, so a shared Header can render them
+     const pageImports = [...converter.getImageImports().split('\n').filter(Boolean), ...extracted.imports];
+     const named = extractNamedComponents(extracted.jsx, bounded.components, {
+       pageDir: stylesDir,
+       imports: pageImports,
+       dataArrays: extracted.dataArrays
+     });
+     const { jsx: pageJsx, regions: layoutRegions } = extractLayoutRegions(named.jsx, marked.regions);
+     const sectioned = extractSections(pageJsx, split.sections, {
+       pageDir: stylesDir,
+       imports: [...pageImports, ...named.components.map(name => `import ${name} from './${name}';`)],
+       dataArrays: named.dataArrays
+     });
+     jsxContent = sectioned.jsx;
+     const components = [...extracted.components, ...named.components, ...sectioned.components];
+     const componentImports = components.map(name => `import ${name} from './${name}';\n`).join('');
+     const dataCode = sectioned.dataArrays.map(code => `${code}\n\n`).join('');
   
-   // Get image imports
-   const imageImports = getImageImports();
+     // Get image imports
+     const imageImports = converter.getImageImports();
   
-   // 6. Create style imports - only import the 4 required CSS files
-   const styleImports = [];
+     // 6. Create style imports - only import the 4 required CSS files
+     const styleImports = [];
    
-   // Rename style.css to componentName.css to avoid naming conflicts in multi-page sites
-   const styleFilePath = path.join(stylesDir, "style.css");
-   const componentStylePath = path.join(stylesDir, `${componentName}.css`);
-   if (fs.existsSync(styleFilePath)) {
-     console.log(`🔄 Renaming style.css to ${componentName}.css for route-specific styling`);
-     fs.renameSync(styleFilePath, componentStylePath);
-   }
+     // Rename style.css to componentName.css to avoid naming conflicts in multi-page sites
+     const styleFilePath = path.join(stylesDir, "style.css");
+     const componentStylePath = path.join(stylesDir, `${componentName}.css`);
+     if (fs.existsSync(styleFilePath)) {
+       console.log(`🔄 Renaming style.css to ${componentName}.css for route-specific styling`);
+       fs.renameSync(styleFilePath, componentStylePath);
+     }
 
-   // Add exactly 4 CSS imports in order (only if files exist):
-   // 1. font-faces.css
-   const fontFacesCssPath = path.join(stylesDir, "font-faces.css");
-   if (fs.existsSync(fontFacesCssPath)) {
-     styleImports.push(`import './font-faces.css';`);
-   }
+     // Add exactly 4 CSS imports in order (only if files exist):
+     // 1. font-faces.css
+     const fontFacesCssPath = path.join(stylesDir, "font-faces.css");
+     if (fs.existsSync(fontFacesCssPath)) {
+       styleImports.push(`import './font-faces.css';`);
+     }
   
-   // 2. App.css (inline styles)
-   const appCssPath = path.join(stylesDir, "App.css");
-   if (fs.existsSync(appCssPath)) {
-     styleImports.push(`import './App.css';`);
-   }
+     // 2. App.css (inline styles)
+     const appCssPath = path.join(stylesDir, "App.css");
+     if (fs.existsSync(appCssPath)) {
+       styleImports.push(`import './App.css';`);
+     }
    
-   // 3. Component-specific CSS file
-   if (fs.existsSync(componentStylePath)) {
-     styleImports.push(`import './${componentName}.css';`);
-   }
+     // 3. Component-specific CSS file
+     if (fs.existsSync(componentStylePath)) {
+       styleImports.push(`import './${componentName}.css';`);
+     }
    
-   // 4. custom-vars.css (will be added later if CSS variables exist)
+     // 4. custom-vars.css (will be added later if CSS variables exist)
   
-   // Generate CSS for custom variables if needed
-   if (Object.keys(cssVarMap).length > 0) {
-     const customVarsCss = generateCSSFromVars(cssVarMap);
-     const customCssPath = path.join(stylesDir, "custom-vars.css");
-     fs.writeFileSync(customCssPath, customVarsCss);
-     styleImports.push(`import './custom-vars.css';`);
-     console.log(`✅ Added custom CSS variables for ${componentName}`);
-   }
+     // Generate CSS for custom variables if needed
+     if (Object.keys(converter.cssVarMap).length > 0) {
+       const customVarsCss = generateCSSFromVars(converter.cssVarMap);
+       const customCssPath = path.join(stylesDir, "custom-vars.css");
+       fs.writeFileSync(customCssPath, customVarsCss);
+       styleImports.push(`import './custom-vars.css';`);
+       console.log(`✅ Added custom CSS variables for ${componentName}`);
+     }
   
-   // Add navigation imports for multi-page sites
-   const addNavigationImport = isMultiPage;
+     // Links to other routes and their import
+     const { routeLinks, unconvertedLinks } = converter.getLinks();
+     if (unconvertedLinks.length > 0) {
+       console.log(`🔗 ${componentName} links to ${unconvertedLinks.length} pages that aren't converted; they stay links to the live site`);
+     }
+   
+     // react-router-dom imports: Link for navigation, useParams for dynamic routes
+     const routerImports = [];
+     if (routeLinks.length > 0) routerImports.push('Link');
+     if (dynamicRoute) routerImports.push('useParams');
   
-   // Create the final component code
-   const componentCode = `
+     // Create the final component code
+     const componentCode = `
 import React from 'react';
-${addNavigationImport ? "import { Link } from 'react-router-dom';\n" : ""}${imageImports ? imageImports + '\n' : ''}${styleImports.join('\n')}
+${routerImports.length > 0 ? `import { ${routerImports.join(', ')} } from 'react-router-dom';\n` : ""}${dynamicRoute ? `import pageData from './${dynamicRoute.dataFilename}';\n` : ""}${imageImports ? imageImports + '\n' : ''}${componentImports}${styleImports.join('\n')}
 
 
-export default function ${componentName}() {
- return (
+${dataCode}export default function ${componentName}() {
+${dynamicRoute ? ` const { ${dynamic.param} } = useParams();\n const data = pageData[${dynamic.param}] || {};\n\n` : ''} return (
    <React.Fragment>
-${jsxContent}${addNavigationImport && componentName !== 'Home' ? '\n      <div className="navigation-links" style={{ margin: "20px 0", padding: "10px" }}>\n        <Link to="/" style={{ color: "#0066cc", textDecoration: "none" }}>← Back to Home</Link>\n      </div>' : ''}
+${reindentJSX(jsxContent, '     ')}
    </React.Fragment>
  );
 }
 `;
   
-   // Write the component file
-   fs.writeFileSync(jsxOutputPath, componentCode);
-   console.log(`✅ React component for ${componentName} saved to: ${jsxOutputPath}`);
+     // Write the component file; images, components and Links used only by repeated items or sections aren't imported by the page
+     fs.writeFileSync(jsxOutputPath, components.length > 0 ? removeUnusedImports(componentCode) : componentCode);
+     console.log(`✅ React component for ${componentName} saved to: ${jsxOutputPath}`);
   
-   // Log image info
-   if (imageImports) {
-     const imageImportCount = imageImports.split('\n').length;
-     console.log(`✅ Added ${imageImportCount} image import${imageImportCount !== 1 ? 's' : ''}`);
-   }
+     // Log image info
+     if (imageImports) {
+       const imageImportCount = imageImports.split('\n').length;
+       console.log(`✅ Added ${imageImportCount} image import${imageImportCount !== 1 ? 's' : ''}`);
+     }
   
-   // Post-process all CSS files in this route's directory to fix asset paths
-   console.log(`🔧 Post-processing CSS files for ${componentName} to fix asset paths...`);
-   try {
-     const allCssFiles = fs.readdirSync(stylesDir)
-       .filter(file => file.endsWith('.css'));
+     // Post-process all CSS files in this route's directory to fix asset paths
+     console.log(`🔧 Post-processing CSS files for ${componentName} to fix asset paths...`);
+     try {
+       const allCssFiles = fs.readdirSync(stylesDir)
+         .filter(file => file.endsWith('.css'));
        
-     for (const cssFile of allCssFiles) {
-       const cssPath = path.join(stylesDir, cssFile);
-       try {
-         let cssContent = fs.readFileSync(cssPath, 'utf8');
-         const updatedCss = fixAssetPaths(cssContent, 'fonts-flat', 'images-flat');
-         fs.writeFileSync(cssPath, updatedCss);
-         console.log(`✅ Fixed asset paths in ${cssFile} for ${componentName}`);
-       } catch (err) {
-         console.warn(`⚠️ Could not fix asset paths in ${cssFile}: ${err.message}`);
+       for (const cssFile of allCssFiles) {
+         const cssPath = path.join(stylesDir, cssFile);
+         try {
+           let cssContent = fs.readFileSync(cssPath, 'utf8');
+           const updatedCss = fixAssetPaths(cssContent, 'fonts-flat', 'images-flat');
+           fs.writeFileSync(cssPath, updatedCss);
+           console.log(`✅ Fixed asset paths in ${cssFile} for ${componentName}`);
+         } catch (err) {
+           console.warn(`⚠️ Could not fix asset paths in ${cssFile}: ${err.message}`);
+         }
        }
+     } catch (err) {
+       console.warn(`⚠️ Error during CSS post-processing for ${componentName}: ${err.message}`);
      }
-   } catch (err) {
-     console.warn(`⚠️ Error during CSS post-processing for ${componentName}: ${err.message}`);
-   }
   
-   return {
-     componentName,
-     componentPath: jsxOutputPath,
-     htmlPath: htmlOutputPath,
-     url,
-     imagesProcessed: processedImages?.length || 0,
-     fontsProcessed: fontPaths?.length || 0
-   };
+     // A page restricted to a region keeps only the CSS rules, fonts and images the region uses
+     const usedAssets = boundaries && boundaries.region.length > 0
+       ? pruneRegionStyles(
+         fs.readdirSync(stylesDir).filter(file => file.endsWith('.css')).map(file => path.join(stylesDir, file)),
+         bounded.html,
+         stylesDir,
+         [fs.readFileSync(jsxOutputPath, 'utf8'), ...components.map(name => fs.readFileSync(path.join(stylesDir, `${name}.jsx`), 'utf8'))]
+       )
+       : null;
+  
+     return {
+       componentName,
+       componentPath: jsxOutputPath,
+       htmlPath: htmlOutputPath,
+       url,
+       // A converted 404 page catches every unknown path
+       routePath: notFound ? '*' : routePath,
+       health,
+       notFound,
+       imagesProcessed: processedImages?.length || 0,
+       fontsProcessed: fontPaths?.length || 0,
+       dismissedOverlays,
+       routeLinks,
+       unconvertedLinks,
+       layoutRegions,
+       repeatedComponents: extracted.components,
+       namedComponents: named.components,
+       sectionComponents: sectioned.components,
+       usedAssets
+     };
+   });
   
  } catch (error) {
    console.error(`❌ Error processing route ${url}: ${error.message}`);
    throw error;
+ } finally {
+   releaseLivePage();
+   if (!sharedSession) {
+     await session.close();
+   }
  }
 }
 
@@ -0,0 +1,454 @@
+/**
+ * Turns repeated subtrees of a page into prop-driven components
+ *
+ * Pricing cards, feature tiles, team members and product grids are sibling
+ * subtrees with the same structure that differ only in their text, links and
+ * images. Before a page is converted, subtrees with the same structural
+ * signature are clustered (siblings, and near-siblings such as the cards of
+ * several rows), the values that differ between them become props and each run
+ * of items is reduced to one template delimited by tokens. Once the page is
+ * converted, the template's JSX becomes a component next to the page and every
+ * run is rendered with .map() from a data array.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const cheerio = require('cheerio');
+const { createBindingToken, replaceBindingTokens } = require('../converters/jsxBindings');
+const { COMPONENT_ATTRIBUTE } = require('../converters/componentBoundaries');
+const { reindentJSX, findTokenBlock, removeTokens } = require('../converters/jsxPrinter');
+const { getLandmarkSlot } = require('./sharedLayout');
+const { toPascalCase, toCamelCase, claimName } = require('../utils/naming');
+
+/**
+ * A cluster needs this many items in total, and a run of at least two siblings
+ */
+const MIN_ITEMS = 3;
+
+/**
+ * Items with fewer elements (the item included) are too small to be worth a component
+ */
+const MIN_ELEMENTS = 3;
+
+/**
+ * Elements that are never items, and elements whose content isn't searched for items
+ */
+const SKIPPED_TAGS = new Set(['script', 'style', 'noscript', 'iframe', 'template', 'head']);
+const OPAQUE_TAGS = new Set(['svg', 'header', 'nav', 'footer', 'select']);
+
+/**
+ * Prop names of the values of common elements
+ */
+const TAG_PROP_NAMES = {
+  h1: 'title', h2: 'title', h3: 'title', h4: 'title', h5: 'title', h6: 'title',
+  p: 'text', a: 'link', img: 'image', span: 'label', li: 'item', time: 'date',
+  button: 'button', small: 'note', blockquote: 'quote', figcaption: 'caption',
+  td: 'cell', th: 'heading', dt: 'term', dd: 'description'
+};
+
+/**
+ * Component names of items that have no class to be named after
+ */
+const TAG_COMPONENT_NAMES = { li: 'ListItem', article: 'Article', tr: 'TableRow', figure: 'Figure' };
+
+/**
+ * Names that can't be props: React's own props and reserved words
+ */
+const RESERVED_NAMES = new Set([
+  'key', 'ref', 'children', 'item', 'index', 'await', 'break', 'case', 'catch', 'class', 'const',
+  'continue', 'debugger', 'default', 'delete', 'do', 'else', 'enum', 'export', 'extends', 'false',
+  'finally', 'for', 'function', 'if', 'import', 'in', 'instanceof', 'let', 'new', 'null', 'return',
+  'static', 'super', 'switch', 'this', 'throw', 'true', 'try', 'typeof', 'var', 'void', 'while',
+  'with', 'yield'
+]);
+
+/**
+ * Create the tokens that delimit a run of repeated items in the converted JSX
+ * @param {number} groupIndex - Index of the component
+ * @param {number} runIndex - Index of the run of the component
+ * @returns {{start: string, end: string}}
+ */
+function createRepeatTokens(groupIndex, runIndex) {
+  return {
+    start: `__WTR_REPEAT_START_${groupIndex}_${runIndex}__`,
+    end: `__WTR_REPEAT_END_${groupIndex}_${runIndex}__`
+  };
+}
+
+/**
+ * Counts the elements of a subtree, the root included
+ * @param {Object} el - Cheerio element
+ * @returns {number}
+ */
+function countElements(el) {
+  return 1 + (el.children || []).filter(child => child.type === 'tag').reduce((sum, child) => sum + countElements(child), 0);
+}
+
+/**
+ * Checks whether an attribute is part of an item's structure rather than one of its values
+ * @param {string} attr - Attribute name
+ * @returns {boolean}
+ */
+function isStructuralAttribute(attr) {
+  return attr === 'class' || attr === 'style' || /^on[a-z]/i.test(attr);
+}
+
+/**
+ * Returns the structural signature of an element: its tag, attribute names,
+ * classes, inline style and handlers, and the signatures of its children.
+ * Elements with the same signature differ only in their text and attribute values.
+ * @param {Object} el - Cheerio element
+ * @param {Map} signatures - Signatures computed so far
+ * @returns {string}
+ */
+function getSignature(el, signatures) {
+  if (signatures.has(el)) return signatures.get(el);
+  const attribs = el.attribs || {};
+  const structure = Object.keys(attribs).sort()
+    .map(attr => (isStructuralAttribute(attr) ? `${attr}=${attribs[attr]}` : attr));
+  const children = (el.children || [])
+    .map(child => {
+      if (child.type === 'tag') return getSignature(child, signatures);
+      return child.type === 'text' && child.data.trim() ? '#' : null;
+    })
+    .filter(Boolean);
+  const signature = `${el.name}[${structure.join(' ')}](${children.join(',')})`;
+  signatures.set(el, signature);
+  return signature;
+}
+
+/**
+ * Groups the element children of a node into runs of consecutive siblings with
+ * the same signature; text between two elements ends a run
+ * @param {Object} node - Cheerio node
+ * @param {Map} signatures - Signature cache
+ * @returns {Array} - Runs ({signature, items})
+ */
+function getRuns(node, signatures) {
+  const runs = [];
+  let current = null;
+  (node.children || []).forEach(child => {
+    if (child.type === 'text' && child.data.trim()) {
+      current = null;
+    } else if (child.type === 'tag') {
+      const signature = getSignature(child, signatures);
+      if (current && current.signature === signature) {
+        current.items.push(child);
+      } else {
+        current = { signature, items: [child] };
+        runs.push(current);
+      }
+    }
+  });
+  return runs;
+}
+
+/**
+ * Collects the values of an item: its non-empty text nodes and the values of
+ * its non-structural attributes, keyed by their position in the item
+ * @param {Object} item - Cheerio element
+ * @returns {Map} - Position -> {element, attr, textNode, value}
+ */
+function collectValues(item) {
+  const values = new Map();
+  const walk = (el, elPath) => {
+    Object.entries(el.attribs || {}).forEach(([attr, value]) => {
+      if (!isStructuralAttribute(attr)) values.set(`${elPath}@${attr}`, { element: el, attr, value });
+    });
+    let textIndex = 0;
+    let elementIndex = 0;
+    (el.children || []).forEach(child => {
+      if (child.type === 'text' && child.data.trim()) {
+        values.set(`${elPath}#${textIndex++}`, { element: el, textNode: child, value: child.data.trim() });
+      } else if (child.type === 'tag') {
+        walk(child, `${elPath}/${elementIndex++}`);
+      }
+    });
+  };
+  walk(item, '');
+  return values;
+}
+
+/**
+ * Returns the name a value is known by: the element's first class (the element
+ * part of a BEM name, without modifiers) or its tag
+ * @param {Object} el - Cheerio element
+ * @returns {string}
+ */
+function getBaseName(el) {
+  const [firstClass] = ((el.attribs && el.attribs.class) || '').split(/\s+/).filter(Boolean);
+  const fromClass = firstClass ? toCamelCase(firstClass.split('--')[0].split('__').pop()) : '';
+  if (/^[a-z]/.test(fromClass)) return fromClass;
+  return TAG_PROP_NAMES[el.name] || toCamelCase(el.name) || 'value';
+}
+
+/**
+ * Names the prop of a value that differs between items
+ * @param {Object} value - Value from collectValues()
+ * @param {Set<string>} usedNames - Prop names already taken
+ * @returns {string}
+ */
+function getPropName(value, usedNames) {
+  const base = getBaseName(value.element);
+  let name;
+  if (!value.attr) {
+    name = base === 'link' ? 'linkText' : base;
+  } else if (value.attr === 'src') {
+    name = base === 'image' ? 'image' : `${base}Image`;
+  } else if (value.attr === 'alt') {
+    name = base === 'image' ? 'imageAlt' : `${base}Alt`;
+  } else if (value.attr === 'href') {
+    name = base === 'link' ? 'href' : `${base}Href`;
+  } else {
+    name = `${base}${toPascalCase(value.attr)}`;
+  }
+  if (!/^[A-Za-z_$][\w$]*$/.test(name)) name = `prop${toPascalCase(name)}`;
+  if (RESERVED_NAMES.has(name)) name = `${name}Value`;
+  return claimName(name, usedNames);
+}
+
+/**
+ * Names the component of a cluster after its item's first class, or its tag
+ * @param {Object} item - Cheerio element
+ * @param {Set<string>} usedNames - Component names already taken
+ * @returns {string}
+ */
+function getComponentName(item, usedNames) {
+  const [firstClass] = ((item.attribs && item.attribs.class) || '').split(/\s+/).filter(Boolean);
+  const fromClass = firstClass ? toPascalCase(firstClass.split('--')[0]) : '';
+  const name = /^[A-Z]/.test(fromClass) ? fromClass : (TAG_COMPONENT_NAMES[item.name] || 'Card');
+  return claimName(name, usedNames);
+}
+
+/**
+ * Finds the clusters of repeated subtrees of a page. Runs are searched top-down:
+ * the items of a cluster aren't searched for smaller clusters, and neither are
+ * the landmarks a shared Layout may take over.
+ * @param {CheerioAPI} $ - Loaded document
+ * @returns {Array} - Clusters ({signature, runs: [items], values: [[Map]], props})
+ */
+function findClusters($) {
+  const signatures = new Map();
+  const root = $('body').length ? $('body')[0] : $.root()[0];
+  // Items bound to page data or holding a named component are left as they are
+  const isCandidate = el => !SKIPPED_TAGS.has(el.name) &&
+    countElements(el) >= MIN_ELEMENTS &&
+    !$.html(el).includes('__WTR_') &&
+    !$.html(el).includes(COMPONENT_ATTRIBUTE);
+  const isSearchable = (el, parent) => !SKIPPED_TAGS.has(el.name) && !OPAQUE_TAGS.has(el.name) &&
+    !(parent === root && getLandmarkSlot(el, $));
+
+  // Every run of the page, to find the signatures that repeat often enough
+  const itemCounts = new Map();
+  const hasSiblings = new Set();
+  const countRuns = node => getRuns(node, signatures).forEach(run => {
+    if (isCandidate(run.items[0])) {
+      itemCounts.set(run.signature, (itemCounts.get(run.signature) || 0) + run.items.length);
+      if (run.items.length > 1) hasSiblings.add(run.signature);
+    }
+    run.items.filter(el => isSearchable(el, node)).forEach(countRuns);
+  });
+  countRuns(root);
+  const eligible = new Set(Array.from(itemCounts.keys())
+    .filter(signature => itemCounts.get(signature) >= MIN_ITEMS && hasSiblings.has(signature)));
+
+  // Clusters that end up too small (or without differing values) once the
+  // items of outer clusters are left out are dropped and the search repeated
+  for (;;) {
+    const runsBySignature = new Map();
+    const select = node => getRuns(node, signatures).forEach(run => {
+      if (eligible.has(run.signature) && isCandidate(run.items[0])) {
+        if (!runsBySignature.has(run.signature)) runsBySignature.set(run.signature, []);
+        runsBySignature.get(run.signature).push(run.items);
+      } else {
+        run.items.filter(el => isSearchable(el, node)).forEach(select);
+      }
+    });
+    select(root);
+
+    const clusters = Array.from(runsBySignature.entries()).map(([signature, runs]) => {
+      const values = runs.map(items => items.map(collectValues));
+      const allValues = values.flat();
+      const props = Array.from(allValues[0].keys())
+        .filter(key => allValues.some(itemValues => itemValues.get(key).value !== allValues[0].get(key).value));
+      return { signature, runs, values, props };
+    });
+    const invalid = clusters.filter(cluster => cluster.props.length === 0 ||
+      cluster.runs.flat().length < MIN_ITEMS ||
+      !cluster.runs.some(items => items.length > 1));
+    if (invalid.length === 0) return clusters;
+    invalid.forEach(cluster => eligible.delete(cluster.signature));
+  }
+}
+
+/**
+ * Finds the repeated subtrees of a page and reduces every run of them to a
+ * template whose differing values are prop tokens
+ * @param {string} html - Page HTML, as it is about to be converted
+ * @param {Object} options - Options
+ * @param {Function} options.resolveLink - Resolves an href of the page ({to} for a converted route, see routeLinks.js)
+ * @param {string} options.pageName - Component name of the page, which the components must not take
+ * @param {string[]} options.usedNames - Other names the components must not take (named components)
+ * @returns {{html: string, groups: Array}} - HTML with tokens, and groups ({componentName, props, runs})
+ */
+function findRepeatedGroups(html, options = {}) {
+  const { resolveLink = () => null, pageName = null, usedNames = [] } = options;
+  const $ = cheerio.load(html);
+  const clusters = findClusters($);
+  if (clusters.length === 0) {
+    return { html, groups: [] };
+  }
+
+  const usedComponentNames = new Set(['React', 'Link', 'Fragment', 'Suspense', 'Outlet', pageName, ...usedNames].filter(Boolean));
+  const usedDataNames = new Set();
+  const groups = clusters.map((cluster, groupIndex) => {
+    const [templateValues] = cluster.values[0];
+    const componentName = getComponentName(cluster.runs[0][0], usedComponentNames);
+    const usedPropNames = new Set();
+    const props = cluster.props.map(key => {
+      const value = templateValues.get(key);
+      const values = cluster.values.flat().map(itemValues => itemValues.get(key).value);
+      return {
+        key,
+        name: getPropName(value, usedPropNames),
+        kind: value.attr === 'src' ? 'image' : (value.attr === 'href' ? 'link' : 'text'),
+        // Links whose every value is a converted route become <Link>s
+        routeLink: value.attr === 'href' && value.element.name === 'a' &&
+          value.element.attribs.target !== '_blank' && !('download' in value.element.attribs) &&
+          values.every(href => {
+            const resolved = resolveLink(href);
+            return Boolean(resolved && resolved.to);
+          })
+      };
+    });
+
+    const runs = cluster.runs.map((items, runIndex) => {
+      // The first item of every run stays as the template, with its values replaced by prop tokens
+      const [template, ...others] = items;
+      const templateItemValues = runIndex === 0 ? templateValues : cluster.values[runIndex][0];
+      props.forEach(prop => {
+        const value = templateItemValues.get(prop.key);
+        const token = createBindingToken(prop.name, 'PROP');
+        if (value.textNode) {
+          const [, leading, trailing] = /^(\s*)[\s\S]*?(\s*)$/.exec(value.textNode.data);
+          value.textNode.data = `${leading}${token}${trailing}`;
+        } else {
+          $(value.element).attr(value.attr, token);
+          if (prop.routeLink) $(value.element).attr('data-wtr-route-link', 'true');
+        }
+      });
+      const { start, end } = createRepeatTokens(groupIndex, runIndex);
+      $(template).before(start).after(end);
+      others.forEach(item => $(item).remove());
+
+      return {
+        dataName: claimName(`${toCamelCase(componentName)}Items`, usedDataNames),
+        items: cluster.values[runIndex].map(itemValues => Object.fromEntries(
+          props.map(prop => [prop.name, itemValues.get(prop.key).value])
+        ))
+      };
+    });
+
+    console.log(`🧩 ${componentName}: ${runs.reduce((sum, run) => sum + run.items.length, 0)} repeated items with props ${props.map(prop => prop.name).join(', ')}`);
+    return { componentName, props: props.map(({ name, kind }) => ({ name, kind })), runs };
+  });
+
+  return { html: $.html(), groups };
+}
+
+/**
+ * Writes a value of a data array as JavaScript
+ * @param {string} value - Raw value from the page
+ * @param {string} kind - image, link or text
+ * @param {Object} resolvers - {resolveImageSource, resolveLink}
+ * @returns {string}
+ */
+function toDataValue(value, kind, resolvers) {
+  if (kind === 'image') {
+    const source = resolvers.resolveImageSource(value);
+    // {importName} is an image import of the page, "./images-flat/file" already a string
+    if (/^\{\w+\}$/.test(source)) return source.slice(1, -1);
+    if (/^"[^"]*"$/.test(source)) return source;
+    return JSON.stringify(source);
+  }
+  if (kind === 'link') {
+    return JSON.stringify(resolvers.resolveLink(value));
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Writes the components of the repeated groups of a converted page and renders
+ * their runs with .map() from data arrays
+ * @param {string} jsx - Converted JSX containing repeat and prop tokens
+ * @param {Array} groups - Groups from findRepeatedGroups()
+ * @param {Object} options - Options
+ * @param {string} options.pageDir - Directory of the page's assets; the components are written next to them
+ * @param {Function} options.resolveImageSource - Converts an image src like the converter does ({importName} or a path)
+ * @param {Function} options.resolveLink - Converts an href like the converter does (app path or URL)
+ * @param {Function} options.getImageImports - Returns the page's image import statements
+ * @returns {{jsx: string, imports: string[], dataArrays: string[], components: string[]}} - Page JSX, component
+ *   imports and data array declarations for the page, and the names of the components written
+ */
+function extractRepeatedComponents(jsx, groups, options) {
+  const { pageDir, resolveImageSource, resolveLink, getImageImports } = options;
+  let pageJsx = jsx;
+  const dataArrays = [];
+  const written = [];
+
+  groups.forEach((group, groupIndex) => {
+    // Data first: image values add imports the components may share
+    const runs = group.runs.map(run => ({
+      ...run,
+      code: `const ${run.dataName} = [\n${run.items.map(item => `  {\n${group.props
+        .map(prop => `    ${prop.name}: ${toDataValue(item[prop.name], prop.kind, { resolveImageSource, resolveLink })}`)
+        .join(',\n')}\n  }`).join(',\n')}\n];`
+    }));
+
+    let templateJsx = null;
+    runs.forEach((run, runIndex) => {
+      const block = findTokenBlock(pageJsx, createRepeatTokens(groupIndex, runIndex));
+      if (!block) return;
+      if (templateJsx === null) templateJsx = reindentJSX(block.inner, '      ');
+      pageJsx = `${block.before}{${run.dataName}.map((item, index) => <${group.componentName} key={index} {...item} />)}${block.after}`;
+      dataArrays.push(run.code);
+    });
+    if (templateJsx === null) return;
+
+    const componentJsx = replaceBindingTokens(templateJsx, name => name, 'PROP');
+    const imageImports = getImageImports().split('\n')
+      .filter(line => {
+        const match = /^import (\w+) from /.exec(line);
+        return match && new RegExp(`\\{${match[1]}\\}`).test(componentJsx);
+      });
+    const componentCode = `
+import React from 'react';
+${componentJsx.includes('<Link') ? "import { Link } from 'react-router-dom';\n" : ''}${imageImports.length > 0 ? `${imageImports.join('\n')}\n` : ''}
+export default function ${group.componentName}({ ${group.props.map(prop => prop.name).join(', ')} }) {
+  return (
+    <React.Fragment>
+${componentJsx}
+    </React.Fragment>
+  );
+}
+`;
+    const componentPath = path.join(pageDir, `${group.componentName}.jsx`);
+    fs.writeFileSync(componentPath, componentCode);
+    console.log(`✅ Component ${group.componentName} saved to: ${componentPath}`);
+    written.push(group.componentName);
+  });
+
+  pageJsx = removeTokens(pageJsx, /__WTR_REPEAT_(START|END)_\d+_\d+__/);
+  return {
+    jsx: pageJsx,
+    imports: written.map(name => `import ${name} from './${name}';`),
+    dataArrays,
+    components: written
+  };
+}
+
+module.exports = {
+  countElements,
+  findRepeatedGroups,
+  extractRepeatedComponents
+};
@@ -0,0 +1,345 @@
+/**
+ * Moves the header, navigation and footer that pages share into a Layout
+ *
+ * Before a page is converted, the landmarks at the top and bottom of its <body>
+ * (header, nav, banner, footer, ...) are marked with tokens, so that their JSX
+ * can be found in the converted page and kept with the route's result together
+ * with a hash of their markup. Once every route has been converted, regions
+ * whose hash is found on most pages become Header and Footer components, a
+ * Layout renders them around an <Outlet>, and the pages that have them keep
+ * only their own content.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const cheerio = require('cheerio');
+const { reindentJSX, findTokenBlock, removeTokens } = require('../converters/jsxPrinter');
+
+/**
+ * Landmarks that open a page (header slot) and close it (footer slot)
+ */
+const HEADER_TAGS = new Set(['header', 'nav']);
+const HEADER_ROLES = new Set(['banner', 'navigation']);
+const HEADER_NAME_PATTERN = /(^|[-_\s])(header|nav|navbar|navigation|topbar|top-bar|menu|masthead)([-_\s]|$)/i;
+const FOOTER_TAGS = new Set(['footer']);
+const FOOTER_ROLES = new Set(['contentinfo']);
+const FOOTER_NAME_PATTERN = /(^|[-_\s])(footer|site-footer|bottom-bar)([-_\s]|$)/i;
+
+/**
+ * Classes and attributes that mark the current page in a navigation; they are
+ * ignored when comparing regions so that the same nav on two pages matches
+ */
+const CURRENT_PAGE_CLASSES = new Set(['active', 'current', 'is-active', 'is-current', 'selected', 'w--current']);
+const CURRENT_PAGE_ATTRIBUTES = ['aria-current', 'aria-selected', 'aria-expanded'];
+
+/**
+ * Elements that are never part of the visible page
+ */
+const IGNORED_TAGS = new Set(['script', 'style', 'noscript', 'template', 'link', 'meta']);
+
+/**
+ * Create the tokens that delimit a region in the converted JSX
+ * @param {number} index - Region index
+ * @returns {{start: string, end: string}}
+ */
+function createRegionTokens(index) {
+  return { start: `__WTR_REGION_START_${index}__`, end: `__WTR_REGION_END_${index}__` };
+}
+
+/**
+ * Decides which slot an element of <body> can fill
+ * @param {Object} el - Cheerio element
+ * @param {CheerioAPI} $ - Loaded document
+ * @returns {string|null} - 'header', 'footer' or null
+ */
+function getLandmarkSlot(el, $) {
+  const role = ($(el).attr('role') || '').toLowerCase();
+  const name = `${$(el).attr('id') || ''} ${$(el).attr('class') || ''}`;
+  if (FOOTER_TAGS.has(el.name) || FOOTER_ROLES.has(role) || FOOTER_NAME_PATTERN.test(name)) return 'footer';
+  if (HEADER_TAGS.has(el.name) || HEADER_ROLES.has(role) || HEADER_NAME_PATTERN.test(name)) return 'header';
+  return null;
+}
+
+/**
+ * Hashes the markup of a region, ignoring whitespace and current-page markers
+ * @param {Object} el - Cheerio element
+ * @param {CheerioAPI} $ - Loaded document
+ * @returns {string} - Short hash
+ */
+function hashRegion(el, $) {
+  const copy = $(el).clone();
+  copy.find('*').addBack().each((_, node) => {
+    CURRENT_PAGE_ATTRIBUTES.forEach(attr => $(node).removeAttr(attr));
+    const classes = ($(node).attr('class') || '').split(/\s+/).filter(name => name && !CURRENT_PAGE_CLASSES.has(name));
+    if (classes.length > 0) $(node).attr('class', classes.sort().join(' '));
+    else $(node).removeAttr('class');
+  });
+  const markup = $.html(copy).replace(/\s+/g, ' ').replace(/> </g, '><').trim();
+  return crypto.createHash('sha1').update(markup).digest('hex').slice(0, 12);
+}
+
+/**
+ * Marks the landmarks at the top and bottom of a page's <body> with region tokens
+ * @param {string} html - Page HTML, as it is about to be converted
+ * @returns {{html: string, regions: Array}} - HTML with tokens, and regions ({slot, landmark, hash})
+ */
+function markLayoutRegions(html) {
+  const $ = cheerio.load(html);
+  const children = $('body').children().toArray().filter(el => !IGNORED_TAGS.has(el.name));
+
+  // Consecutive landmarks from the start fill the header slot, from the end the footer slot
+  const leading = [];
+  while (leading.length < children.length && getLandmarkSlot(children[leading.length], $) === 'header') {
+    leading.push(children[leading.length]);
+  }
+  const trailing = [];
+  while (leading.length + trailing.length < children.length &&
+    getLandmarkSlot(children[children.length - 1 - trailing.length], $) === 'footer') {
+    trailing.unshift(children[children.length - 1 - trailing.length]);
+  }
+  if (leading.length === 0 && trailing.length === 0) {
+    return { html, regions: [] };
+  }
+
+  const regions = [...leading.map(el => ['header', el]), ...trailing.map(el => ['footer', el])]
+    .map(([slot, el], index) => {
+      const { start, end } = createRegionTokens(index);
+      $(el).before(start).after(end);
+      return { slot, landmark: el.name, hash: hashRegion(el, $) };
+    });
+  return { html: $.html(), regions };
+}
+
+/**
+ * Takes the marked regions out of converted JSX: the page keeps their JSX
+ * inline (without the tokens) and every region gets its own JSX
+ * @param {string} jsx - Converted JSX containing region tokens
+ * @param {Array} regions - Regions from markLayoutRegions()
+ * @returns {{jsx: string, regions: Array}} - JSX without tokens, and regions with their jsx
+ */
+function extractLayoutRegions(jsx, regions) {
+  let pageJsx = jsx;
+  const extracted = regions.flatMap((region, index) => {
+    const block = findTokenBlock(pageJsx, createRegionTokens(index));
+    return block ? [{ ...region, jsx: reindentJSX(block.inner) }] : [];
+  });
+  // The page keeps the regions inline
+  pageJsx = removeTokens(pageJsx, /__WTR_REGION_(START|END)_\d+__/);
+  return { jsx: pageJsx, regions: extracted };
+}
+
+/**
+ * Picks the most common sequence of shared region hashes in a slot
+ * @param {Array} sequences - Region hash sequence of every page
+ * @param {Set<string>} shared - Hashes found on enough pages
+ * @param {boolean} fromEnd - Sequences are matched at the end (footer) instead of the start (header)
+ * @returns {string[]}
+ */
+function pickSharedSequence(sequences, shared, fromEnd) {
+  const counts = new Map();
+  sequences.forEach(sequence => {
+    const ordered = fromEnd ? [...sequence].reverse() : sequence;
+    const sharedPart = [];
+    for (const hash of ordered) {
+      if (!shared.has(hash)) break;
+      sharedPart.push(hash);
+    }
+    if (sharedPart.length === 0) return;
+    const key = (fromEnd ? sharedPart.reverse() : sharedPart).join(',');
+    counts.set(key, (counts.get(key) || 0) + 1);
+  });
+  const [best] = Array.from(counts.entries()).sort((a, b) => b[1] - a[1]);
+  return best ? best[0].split(',') : [];
+}
+
+/**
+ * Checks whether a sequence starts (or ends) with another one
+ * @param {string[]} sequence - Region hashes of a page
+ * @param {string[]} part - Shared region hashes
+ * @param {boolean} atEnd - Match at the end instead of the start
+ * @returns {boolean}
+ */
+function hasSequence(sequence, part, atEnd) {
+  const offset = atEnd ? sequence.length - part.length : 0;
+  return offset >= 0 && part.every((hash, i) => sequence[offset + i] === hash);
+}
+
+/**
+ * Removes the image, component and Link imports a component no longer uses
+ * after regions, repeated items or sections were taken out
+ * @param {string} componentCode - Component source
+ * @returns {string}
+ */
+function removeUnusedImports(componentCode) {
+  const [head, ...rest] = componentCode.split('\nexport default function');
+  const body = rest.join('\nexport default function');
+  // Data arrays above the component reference images by name too
+  const code = `${head.split('\n').filter(line => !line.startsWith('import ')).join('\n')}\n${body}`;
+  const cleanedHead = head
+    .split('\n')
+    .filter(line => {
+      const match = /^import (\w+) from '\.\/images-flat\/.+';$/.exec(line);
+      return !match || new RegExp(`\\{${match[1]}\\}|: ${match[1]}\\b`).test(code);
+    })
+    .filter(line => {
+      // Components next to the page (repeated items, sections)
+      const match = /^import (\w+) from '\.\/(\w+)';$/.exec(line);
+      return !match || match[1] !== match[2] || new RegExp(`<${match[1]}[\\s/>]`).test(code);
+    })
+    .map(line => {
+      if (!/^import \{ .* \} from 'react-router-dom';$/.test(line) || code.includes('<Link')) return line;
+      const names = line.replace(/^import \{ | \} from 'react-router-dom';$/g, '').split(', ').filter(name => name !== 'Link');
+      return names.length > 0 ? `import { ${names.join(', ')} } from 'react-router-dom';` : null;
+    })
+    .filter(line => line !== null)
+    .join('\n');
+  return rest.length > 0 ? `${cleanedHead}\nexport default function${body}` : cleanedHead;
+}
+
+/**
+ * Removes a region from the code of a page, whatever its indentation there
+ * @param {string} componentCode - Code of the page
+ * @param {string} regionJsx - JSX of the region (see extractLayoutRegions())
+ * @returns {string}
+ */
+function removeRegionJsx(componentCode, regionJsx) {
+  const lines = regionJsx.split('\n').map(line => line.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  return componentCode.replace(new RegExp(`^[ \\t]*${lines.join('\\n[ \\t]*')}[ \\t]*\\n?`, 'm'), '');
+}
+
+/**
+ * Writes a Header or Footer component from the regions of one page
+ * @param {string} name - Component name
+ * @param {Array} regions - Regions of the source page, in page order
+ * @param {Object} source - Result of the page the regions are taken from
+ * @param {string} componentsDir - Directory of the shared components
+ * @returns {string} - Path of the component file
+ */
+function writeRegionComponent(name, regions, source, componentsDir) {
+  const jsx = regions.map(region => region.jsx).join('\n');
+  const sourceCode = fs.readFileSync(source.componentPath, 'utf8');
+  const sourceName = path.basename(source.componentPath, '.jsx');
+
+  // Images and stylesheets stay in the source page's folder of the app
+  const sourceDir = `../pages/${sourceName}`;
+  const imageImports = sourceCode.split('\n')
+    .map(line => /^import (\w+) from '\.\/images-flat\/(.+)';$/.exec(line))
+    .filter(match => match && new RegExp(`\\{${match[1]}\\}`).test(jsx))
+    .map(([, importName, file]) => `import ${importName} from '${sourceDir}/images-flat/${file}';`);
+  // Named components inside a region (a Navbar in the header) stay in the source page's folder too
+  const componentImports = sourceCode.split('\n')
+    .map(line => /^import (\w+) from '\.\/(\w+)';$/.exec(line))
+    .filter(match => match && new RegExp(`<${match[1]}[\\s/>]`).test(jsx))
+    .map(([, importName, file]) => `import ${importName} from '${sourceDir}/${file}';`);
+  const styleImports = sourceCode.split('\n')
+    .map(line => /^import '(\.\.?\/.+\.css)';$/.exec(line))
+    .filter(Boolean)
+    .map(([, stylesheet]) => `import '${path.posix.join(sourceDir, stylesheet)}';`);
+
+  const componentCode = `
+import React from 'react';
+${jsx.includes('<Link') ? "import { Link } from 'react-router-dom';\n" : ''}${[...imageImports, ...componentImports, ...styleImports].join('\n')}
+
+export default function ${name}() {
+  return (
+    <React.Fragment>
+${reindentJSX(jsx, '      ')}
+    </React.Fragment>
+  );
+}
+`;
+  const componentPath = path.join(componentsDir, `${name}.jsx`);
+  fs.writeFileSync(componentPath, componentCode);
+  console.log(`✅ Shared ${name} (${regions.map(region => region.landmark).join(', ')}) saved to: ${componentPath}`);
+  return componentPath;
+}
+
+/**
+ * Finds the regions most pages share, writes Header, Footer and Layout
+ * components to src/components and removes the shared regions from the pages
+ * that have them
+ * @param {Array} results - Results of processMultipleRoutes()
+ * @param {string} outputDir - Output directory
+ * @returns {Object|null} - {files, componentNames} (component files and the pages rendered in the Layout), or null when nothing is shared
+ */
+function extractSharedLayout(results, outputDir) {
+  const pages = results.filter(result => result.layoutRegions && result.layoutRegions.length > 0);
+  if (results.length < 2 || pages.length < 2) return null;
+
+  // A region is shared when at least half of the pages (and two or more) have it
+  const minPages = Math.max(2, Math.ceil(results.length / 2));
+  const pageCounts = new Map();
+  pages.forEach(result => new Set(result.layoutRegions.map(region => `${region.slot}:${region.hash}`))
+    .forEach(key => pageCounts.set(key, (pageCounts.get(key) || 0) + 1)));
+  const sharedKeys = new Set(Array.from(pageCounts.entries()).filter(([, count]) => count >= minPages).map(([key]) => key));
+  if (sharedKeys.size === 0) return null;
+
+  const sequenceOf = (result, slot) => result.layoutRegions.filter(region => region.slot === slot).map(region => `${slot}:${region.hash}`);
+  const headerKeys = pickSharedSequence(pages.map(result => sequenceOf(result, 'header')), sharedKeys, false);
+  const withHeader = pages.filter(result => hasSequence(sequenceOf(result, 'header'), headerKeys, false));
+  const footerKeys = pickSharedSequence(withHeader.map(result => sequenceOf(result, 'footer')), sharedKeys, true);
+
+  // Pages join the Layout only if it renders exactly what they had at the top and bottom
+  const layoutPages = withHeader.filter(result => hasSequence(sequenceOf(result, 'footer'), footerKeys, true));
+  if (layoutPages.length < minPages) return null;
+
+  const componentsDir = path.join(outputDir, 'src', 'components');
+  fs.mkdirSync(componentsDir, { recursive: true });
+
+  const source = layoutPages[0];
+  const regionsOf = (result, slot, keys) => {
+    const slotRegions = result.layoutRegions.filter(region => region.slot === slot);
+    return slot === 'header' ? slotRegions.slice(0, keys.length) : slotRegions.slice(slotRegions.length - keys.length);
+  };
+  const files = [];
+  const parts = [];
+  if (headerKeys.length > 0) {
+    files.push(writeRegionComponent('Header', regionsOf(source, 'header', headerKeys), source, componentsDir));
+    parts.push('Header');
+  }
+  if (footerKeys.length > 0) {
+    files.push(writeRegionComponent('Footer', regionsOf(source, 'footer', footerKeys), source, componentsDir));
+    parts.push('Footer');
+  }
+
+  const layoutCode = `
+import React, { Suspense } from 'react';
+import { Outlet } from 'react-router-dom';
+${parts.map(part => `import ${part} from './${part}';`).join('\n')}
+
+export default function Layout() {
+  return (
+    <React.Fragment>
+${headerKeys.length > 0 ? '      <Header />\n' : ''}      <Suspense fallback={<div className="page-loading">Loading...</div>}>
+        <Outlet />
+      </Suspense>
+${footerKeys.length > 0 ? '      <Footer />\n' : ''}    </React.Fragment>
+  );
+}
+`;
+  const layoutPath = path.join(componentsDir, 'Layout.jsx');
+  fs.writeFileSync(layoutPath, layoutCode);
+  files.push(layoutPath);
+
+  // The pages keep only their own content
+  layoutPages.forEach(result => {
+    const shared = [...regionsOf(result, 'header', headerKeys), ...regionsOf(result, 'footer', footerKeys)];
+    let componentCode = fs.readFileSync(result.componentPath, 'utf8');
+    shared.forEach(region => {
+      componentCode = removeRegionJsx(componentCode, region.jsx);
+    });
+    fs.writeFileSync(result.componentPath, removeUnusedImports(componentCode));
+  });
+
+  console.log(`🧱 Layout with ${parts.join(' and ')} shared by ${layoutPages.length}/${results.length} pages saved to: ${layoutPath}`);
+  return { files, componentNames: layoutPages.map(result => path.basename(result.componentPath, '.jsx')) };
+}
+
+module.exports = {
+  getLandmarkSlot,
+  removeUnusedImports,
+  markLayoutRegions,
+  extractLayoutRegions,
+  extractSharedLayout
+};
@@ -0,0 +1,261 @@
+/**
+ * Authentication state for crawling sites behind a login
+ *
+ * The state follows Playwright's storageState format:
+ *   { cookies: [{name, value, domain, path, expires, httpOnly, secure, sameSite}],
+ *     origins: [{origin, localStorage: [{name, value}]}] }
+ * It is filled from cookie exports (Netscape cookies.txt or JSON), storageState
+ * files and login scripts, and applied to every browser page and asset download.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+let authState = { cookies: [], origins: [] };
+
+/**
+ * Normalizes a sameSite value from the various cookie export formats
+ * @param {string} value - sameSite value (Strict, lax, no_restriction, ...)
+ * @returns {string|undefined} - Strict, Lax or None
+ */
+function normalizeSameSite(value) {
+  if (!value) return undefined;
+  const lower = String(value).toLowerCase();
+  if (lower === 'strict') return 'Strict';
+  if (lower === 'lax') return 'Lax';
+  if (lower === 'none' || lower === 'no_restriction') return 'None';
+  return undefined;
+}
+
+/**
+ * Normalizes a cookie from a JSON export (Playwright, Puppeteer or browser extensions)
+ * @param {Object} cookie - Exported cookie
+ * @returns {Object} - Cookie in storageState format
+ */
+function normalizeCookie(cookie) {
+  const expires = cookie.expires !== undefined ? cookie.expires : cookie.expirationDate;
+  return {
+    name: cookie.name,
+    value: String(cookie.value),
+    domain: cookie.domain,
+    path: cookie.path || '/',
+    expires: cookie.session || expires === undefined || expires === null ? -1 : Number(expires),
+    httpOnly: Boolean(cookie.httpOnly),
+    secure: Boolean(cookie.secure),
+    sameSite: normalizeSameSite(cookie.sameSite)
+  };
+}
+
+/**
+ * Parses a Netscape/Mozilla cookies.txt file
+ * @param {string} content - File content
+ * @returns {Array} - Cookies in storageState format
+ */
+function parseNetscapeCookies(content) {
+  return content.split(/\r?\n/)
+    .map(line => {
+      // curl marks HttpOnly cookies with a #HttpOnly_ prefix instead of a column
+      const httpOnly = line.startsWith('#HttpOnly_');
+      return { line: httpOnly ? line.slice('#HttpOnly_'.length) : line, httpOnly };
+    })
+    .filter(({ line }) => line.trim() && !line.startsWith('#'))
+    .map(({ line, httpOnly }) => {
+      const [domain, includeSubdomains, cookiePath, secure, expires, name, ...value] = line.split('\t');
+      return {
+        name,
+        value: value.join('\t'),
+        // Cookies valid for subdomains have a leading dot, host-only cookies don't
+        domain: includeSubdomains === 'TRUE' && !domain.startsWith('.') ? `.${domain}` : domain,
+        path: cookiePath || '/',
+        expires: Number(expires) > 0 ? Number(expires) : -1,
+        httpOnly,
+        secure: secure === 'TRUE',
+        sameSite: undefined
+      };
+    })
+    .filter(cookie => cookie.name && cookie.domain);
+}
+
+/**
+ * Reads cookies from a Netscape cookies.txt or a JSON export
+ * @param {string} filePath - Path of the cookie file
+ * @returns {Array} - Cookies in storageState format
+ */
+function loadCookieFile(filePath) {
+  const content = fs.readFileSync(filePath, 'utf8');
+  const trimmed = content.trim();
+
+  if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+    const data = JSON.parse(trimmed);
+    const cookies = Array.isArray(data) ? data : data.cookies || [];
+    return cookies.map(normalizeCookie);
+  }
+  return parseNetscapeCookies(content);
+}
+
+/**
+ * Adds cookies to the auth state, replacing cookies with the same name, domain and path
+ * @param {Array} cookies - Cookies in storageState format
+ */
+function addCookies(cookies) {
+  const key = cookie => `${cookie.name}|${cookie.domain}|${cookie.path}`;
+  const byKey = new Map(authState.cookies.map(cookie => [key(cookie), cookie]));
+  cookies.forEach(cookie => byKey.set(key(cookie), cookie));
+  authState.cookies = Array.from(byKey.values());
+}
+
+/**
+ * Adds localStorage entries to the auth state, replacing the entries of the same origins
+ * @param {Array} origins - Array of {origin, localStorage}
+ */
+function addOrigins(origins) {
+  const byOrigin = new Map(authState.origins.map(entry => [entry.origin, entry]));
+  origins.forEach(entry => byOrigin.set(entry.origin, entry));
+  authState.origins = Array.from(byOrigin.values());
+}
+
+/**
+ * Sets up the auth state from cookie exports and a storageState file
+ *
+ * @param {Object} options - Auth options
+ * @param {string[]} options.cookieFiles - Netscape or JSON cookie files
+ * @param {string} options.storageState - Playwright-style storageState JSON file
+ * @returns {Object} - The auth state
+ */
+function configureAuth(options = {}) {
+  const { cookieFiles = [], storageState = null } = options;
+  authState = { cookies: [], origins: [] };
+
+  if (storageState) {
+    const state = JSON.parse(fs.readFileSync(storageState, 'utf8'));
+    addCookies((state.cookies || []).map(normalizeCookie));
+    addOrigins(state.origins || []);
+    console.log(`🔑 Loaded storage state from ${storageState} (${authState.cookies.length} cookies, ${authState.origins.length} origins)`);
+  }
+
+  cookieFiles.forEach(filePath => {
+    const cookies = loadCookieFile(filePath);
+    addCookies(cookies);
+    console.log(`🍪 Imported ${cookies.length} cookies from ${filePath}`);
+  });
+
+  return authState;
+}
+
+/**
+ * @returns {Object} - The current auth state
+ */
+function getAuthState() {
+  return authState;
+}
+
+/**
+ * Checks whether a cookie is sent with a request to a URL
+ * @param {Object} cookie - Cookie in storageState format
+ * @param {URL} url - Request URL
+ * @returns {boolean}
+ */
+function cookieMatchesUrl(cookie, url) {
+  if (cookie.expires > 0 && cookie.expires * 1000 < Date.now()) return false;
+  if (cookie.secure && url.protocol !== 'https:') return false;
+
+  const host = url.hostname.toLowerCase();
+  const domain = cookie.domain.replace(/^\./, '').toLowerCase();
+  const domainMatches = cookie.domain.startsWith('.')
+    ? host === domain || host.endsWith(`.${domain}`)
+    : host === domain;
+  if (!domainMatches) return false;
+
+  const cookiePath = cookie.path || '/';
+  return url.pathname === cookiePath ||
+    url.pathname.startsWith(cookiePath.endsWith('/') ? cookiePath : `${cookiePath}/`);
+}
+
+/**
+ * Builds the Cookie header for a request
+ * @param {string} urlStr - Request URL
+ * @returns {string|null} - Cookie header value, or null when no cookie applies
+ */
+function getCookieHeader(urlStr) {
+  let url;
+  try {
+    url = new URL(urlStr);
+  } catch (e) {
+    return null;
+  }
+  const cookies = authState.cookies.filter(cookie => cookieMatchesUrl(cookie, url));
+  return cookies.length > 0 ? cookies.map(cookie => `${cookie.name}=${cookie.value}`).join('; ') : null;
+}
+
+/**
+ * Gives a new page the auth state's cookies and localStorage
+ * @param {Page} page - Puppeteer page, before its first navigation
+ */
+async function applyAuthToPage(page) {
+  if (authState.cookies.length > 0) {
+    await page.setCookie(...authState.cookies.map(cookie => {
+      const { expires, sameSite, ...rest } = cookie;
+      return {
+        ...rest,
+        ...(expires > 0 ? { expires } : {}),
+        ...(sameSite ? { sameSite } : {})
+      };
+    }));
+  }
+
+  if (authState.origins.length > 0) {
+    // Seed localStorage in every document of a known origin, without overwriting what the page stored itself
+    await page.evaluateOnNewDocument(origins => {
+      const entry = origins.find(o => o.origin === window.location.origin);
+      if (!entry) return;
+      try {
+        (entry.localStorage || []).forEach(({ name, value }) => {
+          if (window.localStorage.getItem(name) === null) {
+            window.localStorage.setItem(name, value);
+          }
+        });
+      } catch (e) {
+        // localStorage is unavailable (e.g. sandboxed document)
+      }
+    }, authState.origins);
+  }
+}
+
+/**
+ * Copies a page's cookies (all domains) and the localStorage of its current origin into the auth state
+ * @param {Page} page - Puppeteer page, typically after a login flow
+ */
+async function captureAuthState(page) {
+  const client = await page.target().createCDPSession();
+  const { cookies } = await client.send('Network.getAllCookies');
+  await client.detach();
+  addCookies(cookies.map(normalizeCookie));
+
+  const origin = await page.evaluate(() => ({
+    origin: window.location.origin,
+    localStorage: Object.keys(window.localStorage).map(name => ({ name, value: window.localStorage.getItem(name) }))
+  })).catch(() => null);
+  if (origin && origin.origin && origin.origin !== 'null') {
+    addOrigins([origin]);
+  }
+}
+
+/**
+ * Writes the auth state as a Playwright-style storageState file
+ * @param {string} filePath - Destination path
+ */
+function saveStorageState(filePath) {
+  fs.mkdirSync(path.dirname(path.resolve(filePath)), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(authState, null, 2));
+  console.log(`💾 Storage state saved to ${filePath} (${authState.cookies.length} cookies)`);
+}
+
+module.exports = {
+  loadCookieFile,
+  configureAuth,
+  getAuthState,
+  getCookieHeader,
+  applyAuthToPage,
+  captureAuthState,
+  saveStorageState
+};
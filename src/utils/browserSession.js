@@ -0,0 +1,124 @@
+/**
+ * Shared browser session for converting routes
+ *
+ * One Chromium instance is launched lazily and reused for every route. Pages are
+ * pooled: a route loads its URL once in a pooled page, every extractor reads from
+ * that same live page, and the page is handed back to the pool afterwards.
+ * Navigations share the per-host rate limit of the HTTP client, and the responses
+ * of each load are captured so extractors can reuse them instead of downloading again.
+ */
+
+const { createBrowserWithProxy, createAuthenticatedPage } = require('./puppeteerConfig');
+const { getRateLimiter } = require('./httpClient');
+const { RETRY_STATUSES, createStatusError } = require('./rateLimiter');
+const { attachResponseCapture, startResponseCapture } = require('./responseCapture');
+const { getReadiness, trackNetwork, waitUntilReady } = require('./pageReadiness');
+const { inspectPage } = require('./pageHealth');
+
+/**
+ * Creates a browser session with a page pool
+ *
+ * @param {Object} options - Session options
+ * @param {Object} options.launchOptions - Extra Puppeteer launch options
+ * @param {Object} options.readiness - Readiness options for every page of the session (see pageReadiness)
+ * @returns {Object} - Session with loadPage, releasePage and close
+ */
+function createBrowserSession(options = {}) {
+  const {
+    launchOptions = {},
+    readiness: sessionReadiness = {}
+  } = options;
+
+  let browserPromise = null;
+  const idlePages = [];
+
+  function getBrowser() {
+    if (!browserPromise) {
+      browserPromise = createBrowserWithProxy({ headless: 'new', ...launchOptions });
+    }
+    return browserPromise;
+  }
+
+  async function acquirePage() {
+    const pooledPage = idlePages.pop();
+    if (pooledPage && !pooledPage.isClosed()) {
+      return pooledPage;
+    }
+
+    const browser = await getBrowser();
+    const page = await createAuthenticatedPage(browser);
+    await page.setViewport({ width: 1280, height: 800 });
+    attachResponseCapture(page);
+    return page;
+  }
+
+  return {
+    /**
+     * Loads a URL in a pooled page and waits until it is ready to be extracted.
+     * The responses of the load are available through getResponseCapture(page), and
+     * its HTTP status, final URL and challenge fingerprint through getPageHealth(page).
+     * @param {string} url - URL to load
+     * @param {Object} readiness - Readiness options of the route, overriding the session's
+     * @returns {Promise<Page>} - The loaded page; hand it back with releasePage()
+     */
+    async loadPage(url, readiness = {}) {
+      const page = await acquirePage();
+      const pageReadiness = getReadiness({ ...sessionReadiness, ...readiness });
+      const tracker = trackNetwork(page);
+      let response = null;
+      try {
+        console.log(`🌐 Loading ${url}`);
+        await getRateLimiter().schedule(url, async () => {
+          // A retried load starts a fresh capture
+          startResponseCapture(page);
+          response = await page.goto(url, {
+            waitUntil: 'load',
+            timeout: pageReadiness.timeoutMs
+          });
+          if (response && RETRY_STATUSES.has(response.status())) {
+            throw createStatusError(response.status(), response.headers()['retry-after']);
+          }
+        });
+
+        // Rate-limited responses are retried above, so only the final load is waited on
+        await waitUntilReady(page, pageReadiness, tracker);
+        await inspectPage(page, response, url);
+        return page;
+      } catch (error) {
+        // Don't return a page in an unknown state to the pool
+        await page.close().catch(() => {});
+        throw error;
+      } finally {
+        tracker.dispose();
+      }
+    },
+
+    /**
+     * Returns a page to the pool
+     * @param {Page} page - Page obtained from loadPage()
+     */
+    releasePage(page) {
+      if (page && !page.isClosed()) {
+        idlePages.push(page);
+      }
+    },
+
+    /**
+     * Closes every page and the browser
+     */
+    async close() {
+      if (!browserPromise) return;
+      const browser = await browserPromise.catch(() => null);
+      browserPromise = null;
+      idlePages.length = 0;
+      if (browser) {
+        await browser.close();
+        console.log('🔒 Browser session closed');
+      }
+    }
+  };
+}
+
+module.exports = {
+  createBrowserSession
+};
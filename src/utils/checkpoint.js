@@ -0,0 +1,247 @@
+/**
+ * On-disk checkpoints for resumable crawls and conversions
+ *
+ * The manifest (output/checkpoint.json) records the progress of route discovery
+ * and the status of every processing stage of every route. The result of each
+ * completed stage is stored next to it in output/checkpoint/<Component>/<stage>.json
+ * so that a resumed run can pick the route up from the first stage that failed
+ * or never ran.
+ */
+
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+
+/**
+ * Processing stages of a route, in the order they run
+ */
+const STAGES = ['html', 'styles', 'fonts', 'images', 'jsx'];
+
+const MANIFEST_VERSION = 1;
+
+/**
+ * Writes JSON to a file through a temporary file so a crash never leaves it half written
+ * @param {string} filePath - Destination path
+ * @param {*} data - JSON-serializable data
+ */
+function writeJsonAtomic(filePath, data) {
+  const tmpPath = `${filePath}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2));
+  fs.renameSync(tmpPath, filePath);
+}
+
+/**
+ * Fingerprints the conversion options, so that stage results are only reused
+ * by a run that converts pages the same way
+ * @param {Object} conversion - Options that shape the stage results (strategy, boundaries, ...)
+ * @returns {string}
+ */
+function getConversionFingerprint(conversion) {
+  return crypto.createHash('sha1').update(JSON.stringify(conversion || {})).digest('hex');
+}
+
+/**
+ * Creates an empty manifest
+ * @param {string} startUrl - URL the run started from
+ * @param {string} conversionFingerprint - Fingerprint of the conversion options
+ * @returns {Object} - Manifest
+ */
+function createManifest(startUrl, conversionFingerprint) {
+  const now = new Date().toISOString();
+  return {
+    version: MANIFEST_VERSION,
+    startUrl: startUrl || null,
+    conversionFingerprint,
+    createdAt: now,
+    updatedAt: now,
+    discovery: { status: 'pending' },
+    routes: {}
+  };
+}
+
+/**
+ * Creates the checkpoint store for an output directory.
+ *
+ * Without resume, any previous checkpoint is discarded and a fresh one is started.
+ * With resume, the existing manifest is loaded; it is discarded with a warning when
+ * it belongs to a different start URL. When the conversion options changed, the
+ * discovery progress is kept but every route is converted again.
+ *
+ * @param {string} outputDir - Output directory the manifest is kept in
+ * @param {Object} options - Checkpoint options
+ * @param {boolean} options.resume - Reuse completed work from a previous run (default: false)
+ * @param {string} options.startUrl - URL the run starts from
+ * @param {Object} options.conversion - Options that shape the stage results (strategy, boundaries, ...)
+ * @returns {Object} - Checkpoint store
+ */
+function createCheckpoint(outputDir, options = {}) {
+  const { resume = false, startUrl = null, conversion = {} } = options;
+  const conversionFingerprint = getConversionFingerprint(conversion);
+
+  const manifestPath = path.join(outputDir, 'checkpoint.json');
+  const stagesDir = path.join(outputDir, 'checkpoint');
+  fs.mkdirSync(outputDir, { recursive: true });
+
+  let manifest = null;
+  if (resume && fs.existsSync(manifestPath)) {
+    try {
+      manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+      if (manifest.version !== MANIFEST_VERSION) {
+        console.warn(`⚠️ Ignoring checkpoint with unsupported version ${manifest.version}`);
+        manifest = null;
+      } else if (startUrl && manifest.startUrl && manifest.startUrl !== startUrl) {
+        console.warn(`⚠️ Ignoring checkpoint for ${manifest.startUrl} (resuming ${startUrl})`);
+        manifest = null;
+      }
+    } catch (err) {
+      console.warn(`⚠️ Could not read checkpoint ${manifestPath}: ${err.message}`);
+      manifest = null;
+    }
+  } else if (resume) {
+    console.log(`ℹ️ No checkpoint found in ${outputDir}, starting from scratch`);
+  }
+
+  if (manifest && manifest.conversionFingerprint !== conversionFingerprint) {
+    // Stages completed with other options would mix two configurations in the output
+    console.warn('⚠️ The conversion options changed since the checkpoint; converting every route again');
+    fs.rmSync(stagesDir, { recursive: true, force: true });
+    manifest.routes = {};
+    manifest.conversionFingerprint = conversionFingerprint;
+  }
+
+  if (manifest) {
+    const routeCount = Object.keys(manifest.routes).length;
+    console.log(`♻️ Resuming from checkpoint (discovery ${manifest.discovery.status}, ${routeCount} routes with progress)`);
+  } else {
+    fs.rmSync(stagesDir, { recursive: true, force: true });
+    manifest = createManifest(startUrl, conversionFingerprint);
+  }
+
+  function save() {
+    manifest.updatedAt = new Date().toISOString();
+    writeJsonAtomic(manifestPath, manifest);
+  }
+
+  function getRouteEntry(componentName, url) {
+    if (!manifest.routes[componentName]) {
+      manifest.routes[componentName] = {
+        url,
+        status: 'pending',
+        stages: Object.fromEntries(STAGES.map(stage => [stage, { status: 'pending' }]))
+      };
+    }
+    const entry = manifest.routes[componentName];
+    // A different page under the same component name invalidates the old progress
+    if (url && entry.url !== url) {
+      delete manifest.routes[componentName];
+      fs.rmSync(path.join(stagesDir, componentName), { recursive: true, force: true });
+      return getRouteEntry(componentName, url);
+    }
+    return entry;
+  }
+
+  function getStageResultPath(componentName, stage) {
+    return path.join(stagesDir, componentName, `${stage}.json`);
+  }
+
+  return {
+    manifestPath,
+    resume: Boolean(resume),
+
+    /**
+     * @returns {Object} - Saved discovery state ({status, ...crawl state})
+     */
+    getDiscovery() {
+      return manifest.discovery;
+    },
+
+    /**
+     * Records the discovery progress
+     * @param {Object} state - Discovery state; status is 'in-progress' or 'complete'
+     */
+    saveDiscovery(state) {
+      manifest.discovery = { ...state, updatedAt: new Date().toISOString() };
+      save();
+    },
+
+    /**
+     * Runs one processing stage of a route, or returns its stored result when it
+     * completed in a previous run. Running a stage resets the stages after it.
+     *
+     * @param {string} componentName - Component name of the route
+     * @param {string} url - URL of the route
+     * @param {string} stage - One of STAGES
+     * @param {Function} run - Async function producing the JSON-serializable stage result
+     * @returns {Promise<*>} - The stage result
+     */
+    async runStage(componentName, url, stage, run) {
+      const entry = getRouteEntry(componentName, url);
+      const stageEntry = entry.stages[stage];
+      const resultPath = getStageResultPath(componentName, stage);
+
+      if (stageEntry.status === 'complete' && fs.existsSync(resultPath)) {
+        console.log(`⏭️ Skipping ${stage} stage for ${componentName} (completed ${stageEntry.completedAt})`);
+        return JSON.parse(fs.readFileSync(resultPath, 'utf8'));
+      }
+
+      STAGES.slice(STAGES.indexOf(stage)).forEach(laterStage => {
+        entry.stages[laterStage] = { status: 'pending' };
+      });
+      entry.stages[stage] = { status: 'in-progress', startedAt: new Date().toISOString() };
+      entry.status = 'in-progress';
+      save();
+
+      try {
+        const result = await run();
+        fs.mkdirSync(path.dirname(resultPath), { recursive: true });
+        writeJsonAtomic(resultPath, result === undefined ? null : result);
+        entry.stages[stage] = { status: 'complete', completedAt: new Date().toISOString() };
+        if (STAGES.every(name => entry.stages[name].status === 'complete')) {
+          entry.status = 'complete';
+        }
+        save();
+        return result;
+      } catch (error) {
+        entry.stages[stage] = { status: 'failed', error: error.message, failedAt: new Date().toISOString() };
+        entry.status = 'failed';
+        save();
+        throw error;
+      }
+    },
+
+    /**
+     * Summarizes route progress
+     * @returns {{complete: string[], failed: string[], pending: string[]}} - Component names by status
+     */
+    getSummary() {
+      const summary = { complete: [], failed: [], pending: [] };
+      Object.entries(manifest.routes).forEach(([componentName, entry]) => {
+        if (entry.status === 'complete') summary.complete.push(componentName);
+        else if (entry.status === 'failed') summary.failed.push(componentName);
+        else summary.pending.push(componentName);
+      });
+      return summary;
+    },
+
+    save
+  };
+}
+
+/**
+ * Runs a route stage through a checkpoint if one is given, otherwise just runs it
+ * @param {Object|null} checkpoint - Checkpoint store from createCheckpoint
+ * @param {string} componentName - Component name of the route
+ * @param {string} url - URL of the route
+ * @param {string} stage - One of STAGES
+ * @param {Function} run - Async function producing the stage result
+ * @returns {Promise<*>} - The stage result
+ */
+function runStage(checkpoint, componentName, url, stage, run) {
+  return checkpoint ? checkpoint.runStage(componentName, url, stage, run) : run();
+}
+
+module.exports = {
+  STAGES,
+  createCheckpoint,
+  runStage
+};
@@ -0,0 +1,364 @@
+/**
+ * Record and replay of network traffic in HAR archives
+ *
+ * In record mode every response a browser page or the HTTP client receives is
+ * kept and written to a HAR 1.2 file at the end of the run. In replay mode
+ * pages and downloads are answered from such a file through request
+ * interception, so a conversion can be re-run offline with the exact same bytes.
+ * When a request was recorded more than once, the last response wins.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const HAR_VERSION = '1.2';
+
+let mode = null;
+let archivePath = null;
+let entries = [];
+let entriesByKey = new Map();
+let pendingCaptures = new Set();
+
+/**
+ * Key identifying a request in the archive
+ * @param {string} method - HTTP method
+ * @param {string} url - Request URL
+ * @returns {string}
+ */
+function requestKey(method, url) {
+  return `${(method || 'GET').toUpperCase()} ${url}`;
+}
+
+/**
+ * Converts a header map to HAR's name/value list
+ * @param {Object} headers - Header map
+ * @returns {Array} - Array of {name, value}; repeated headers (arrays, or Puppeteer's newline-joined values) become several entries
+ */
+function toHarHeaders(headers = {}) {
+  return Object.entries(headers)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .flatMap(([name, value]) => (Array.isArray(value) ? value : String(value).split('\n'))
+      .map(item => ({ name, value: String(item) })));
+}
+
+/**
+ * Converts HAR's name/value list to a header map. Recorded bodies are already
+ * decoded, so the encoding and length headers of the original response are dropped.
+ * @param {Array} headers - Array of {name, value}
+ * @returns {Object} - Header map with lower-case names; repeated headers become arrays
+ */
+function fromHarHeaders(headers = []) {
+  return headers.reduce((map, { name, value }) => {
+    const key = name.toLowerCase();
+    if (key === 'content-encoding' || key === 'content-length') return map;
+    map[key] = map[key] ? [].concat(map[key], value) : value;
+    return map;
+  }, {});
+}
+
+/**
+ * Sets the archive mode for the run
+ * @param {Object} options - Archive options
+ * @param {string} options.record - HAR file to record into
+ * @param {string} options.replay - HAR file to replay from
+ */
+function configureArchive(options = {}) {
+  const { record = null, replay = null } = options;
+  if (record && replay) {
+    throw new Error('--record and --replay cannot be used together');
+  }
+
+  entries = [];
+  entriesByKey = new Map();
+  pendingCaptures = new Set();
+  mode = record ? 'record' : replay ? 'replay' : null;
+  archivePath = record || replay;
+
+  if (mode === 'replay') {
+    const har = JSON.parse(fs.readFileSync(replay, 'utf8'));
+    entries = (har.log && har.log.entries) || [];
+    entries.forEach(entry => entriesByKey.set(requestKey(entry.request.method, entry.request.url), entry));
+    console.log(`📼 Replaying ${entriesByKey.size} responses from ${replay}`);
+  } else if (mode === 'record') {
+    console.log(`⏺️ Recording network responses to ${record}`);
+  }
+}
+
+/**
+ * Switches to replay mode with responses unpacked from another archive format
+ * (MHTML, WARC). They are added to any responses already being replayed.
+ * @param {Array} responses - Array of {url, status, statusText, headers, body}
+ * @param {string} source - Name of the archive, for logging
+ */
+function loadReplayEntries(responses, source) {
+  if (mode === 'record') {
+    throw new Error(`Cannot replay ${source} while recording with --record`);
+  }
+  mode = 'replay';
+  archivePath = archivePath || source;
+  responses.forEach(({ url, status, statusText, headers, body }) => addEntry({
+    method: 'GET',
+    url,
+    requestHeaders: {},
+    status,
+    statusText,
+    responseHeaders: headers,
+    body
+  }));
+  console.log(`📼 Replaying ${responses.length} responses from ${source}`);
+}
+
+/**
+ * @returns {string|null} - 'record', 'replay' or null
+ */
+function getArchiveMode() {
+  return mode;
+}
+
+/**
+ * Adds a response to the recording
+ * @param {Object} exchange - {method, url, requestHeaders, status, statusText, responseHeaders, body, startedAt}
+ */
+function addEntry(exchange) {
+  const { method, url, requestHeaders, status, statusText, responseHeaders, body, startedAt } = exchange;
+  const headers = toHarHeaders(responseHeaders);
+  const mimeType = (responseHeaders['content-type'] || responseHeaders['Content-Type'] || 'application/octet-stream').toString();
+
+  const entry = {
+    startedDateTime: new Date(startedAt || Date.now()).toISOString(),
+    time: startedAt ? Date.now() - startedAt : 0,
+    request: {
+      method: (method || 'GET').toUpperCase(),
+      url,
+      httpVersion: 'HTTP/1.1',
+      headers: toHarHeaders(requestHeaders),
+      queryString: [],
+      cookies: [],
+      headersSize: -1,
+      bodySize: -1
+    },
+    response: {
+      status,
+      statusText: statusText || '',
+      httpVersion: 'HTTP/1.1',
+      headers,
+      cookies: [],
+      content: {
+        size: body ? body.length : 0,
+        mimeType,
+        text: body ? body.toString('base64') : '',
+        encoding: 'base64'
+      },
+      redirectURL: responseHeaders.location || '',
+      headersSize: -1,
+      bodySize: body ? body.length : 0
+    },
+    cache: {},
+    timings: { send: 0, wait: startedAt ? Date.now() - startedAt : 0, receive: 0 }
+  };
+
+  entries.push(entry);
+  entriesByKey.set(requestKey(entry.request.method, url), entry);
+}
+
+/**
+ * Finds the recorded response for a request
+ * @param {string} method - HTTP method
+ * @param {string} url - Request URL
+ * @returns {Object|null} - {status, statusText, headers, body} or null when not in the archive
+ */
+function findResponse(method, url) {
+  const entry = entriesByKey.get(requestKey(method, url));
+  if (!entry) return null;
+
+  const { content } = entry.response;
+  const body = content.encoding === 'base64'
+    ? Buffer.from(content.text || '', 'base64')
+    : Buffer.from(content.text || '', 'utf8');
+  return {
+    status: entry.response.status,
+    statusText: entry.response.statusText,
+    headers: fromHarHeaders(entry.response.headers),
+    body
+  };
+}
+
+/**
+ * Hooks a page into the archive: its responses are recorded, or its requests
+ * are answered from the archive. Must be called before the page navigates.
+ * @param {Page} page - Puppeteer page
+ */
+async function attachArchive(page) {
+  if (mode === 'record') {
+    page.on('response', response => {
+      const request = response.request();
+      const url = response.url();
+      if (url.startsWith('data:')) return;
+
+      const status = response.status();
+      const capture = (async () => {
+        let body = null;
+        // Redirects have no body; other responses are only kept when their body can be read
+        if (status < 300 || status >= 400) {
+          try {
+            body = await response.buffer();
+          } catch (e) {
+            return;
+          }
+        }
+        addEntry({
+          method: request.method(),
+          url,
+          requestHeaders: request.headers(),
+          status,
+          statusText: response.statusText(),
+          responseHeaders: response.headers(),
+          body
+        });
+      })();
+      pendingCaptures.add(capture);
+      capture.finally(() => pendingCaptures.delete(capture));
+    });
+  } else if (mode === 'replay') {
+    await page.setRequestInterception(true);
+    // Requests are resolved at the default priority (0), so that a local site (see localFiles.js) can answer file:// requests
+    page.on('request', request => {
+      if (request.isInterceptResolutionHandled()) return;
+      const url = request.url();
+      // Inline data and local files never touched the network
+      if (url.startsWith('data:') || url.startsWith('file:')) {
+        request.continue(request.continueRequestOverrides(), 0);
+        return;
+      }
+
+      const recorded = findResponse(request.method(), url);
+      if (!recorded) {
+        console.log(`📼 Not in archive, blocking: ${url}`);
+        request.abort('internetdisconnected', 0);
+        return;
+      }
+      request.respond({
+        status: recorded.status,
+        headers: recorded.headers,
+        body: recorded.body
+      }, 0);
+    });
+  }
+}
+
+/**
+ * Converts raw response bytes to what axios returns for a responseType
+ * @param {Buffer} body - Response body
+ * @param {string} responseType - axios responseType
+ * @returns {*} - Buffer, string or parsed JSON
+ */
+function toAxiosData(body, responseType) {
+  if (responseType === 'arraybuffer') return body;
+  const text = body.toString('utf8');
+  if (responseType === 'text' || responseType === 'document') return text;
+  // Like axios's default transform: parse JSON when possible, keep the text otherwise
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    return text;
+  }
+}
+
+/**
+ * Performs an axios request with the archive: in record mode the raw response
+ * is recorded, in replay mode it is answered from the archive
+ * @param {Object} config - axios request config
+ * @param {Function} send - Function performing the request for a config
+ * @returns {Promise<Object>} - axios-like response
+ */
+async function archiveHttpRequest(config, send) {
+  const method = config.method || 'get';
+
+  if (mode === 'replay') {
+    const recorded = findResponse(method, config.url);
+    if (!recorded) {
+      const error = new Error(`Not in archive: ${config.url}`);
+      error.code = 'ERR_NOT_IN_ARCHIVE';
+      throw error;
+    }
+    const response = {
+      data: toAxiosData(recorded.body, config.responseType),
+      status: recorded.status,
+      statusText: recorded.statusText,
+      headers: recorded.headers,
+      config,
+      request: null
+    };
+    const validateStatus = config.validateStatus || (status => status >= 200 && status < 300);
+    if (!validateStatus(recorded.status)) {
+      const error = new Error(`Request failed with status code ${recorded.status}`);
+      error.response = response;
+      throw error;
+    }
+    return response;
+  }
+
+  if (mode === 'record') {
+    const startedAt = Date.now();
+    const record = response => addEntry({
+      method,
+      url: config.url,
+      requestHeaders: config.headers,
+      status: response.status,
+      statusText: response.statusText,
+      responseHeaders: { ...response.headers },
+      body: Buffer.from(response.data || ''),
+      startedAt
+    });
+
+    // Fetch the raw bytes so they can be archived, then hand the caller the type it asked for
+    let response;
+    try {
+      response = await send({ ...config, responseType: 'arraybuffer' });
+    } catch (error) {
+      if (error.response) {
+        record(error.response);
+        error.response.data = toAxiosData(Buffer.from(error.response.data || ''), config.responseType);
+      }
+      throw error;
+    }
+    record(response);
+    return { ...response, data: toAxiosData(Buffer.from(response.data), config.responseType) };
+  }
+
+  return send(config);
+}
+
+/**
+ * Writes the recording to its HAR file (record mode only)
+ * @returns {Promise<string|null>} - Path of the HAR file, or null when not recording
+ */
+async function saveArchive() {
+  if (mode !== 'record') return null;
+
+  // Response bodies are read asynchronously; wait for the last ones
+  await Promise.all(Array.from(pendingCaptures));
+
+  const har = {
+    log: {
+      version: HAR_VERSION,
+      creator: { name: 'html-to-react', version: '1.0.0' },
+      pages: [],
+      entries
+    }
+  };
+  fs.mkdirSync(path.dirname(path.resolve(archivePath)), { recursive: true });
+  fs.writeFileSync(archivePath, JSON.stringify(har));
+  console.log(`💾 Recorded ${entries.length} responses to ${archivePath}`);
+  return archivePath;
+}
+
+module.exports = {
+  configureArchive,
+  loadReplayEntries,
+  getArchiveMode,
+  attachArchive,
+  archiveHttpRequest,
+  toAxiosData,
+  saveArchive
+};
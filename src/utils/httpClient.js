@@ -0,0 +1,168 @@
+/**
+ * HTTP client shared by the extractors
+ *
+ * Every asset request goes through one process-wide rate limiter, so the
+ * per-host request rate holds however many routes are processed in parallel,
+ * and uses the same network profile (proxy, user agent, headers) and session
+ * cookies as the browser.
+ */
+
+const axios = require('axios');
+const { HttpProxyAgent } = require('http-proxy-agent');
+const { HttpsProxyAgent } = require('https-proxy-agent');
+const { SocksProxyAgent } = require('socks-proxy-agent');
+const { createRateLimiter } = require('./rateLimiter');
+const { getNetworkProfile, getProxyForUrl, getProfileHeaders, formatProxyUrl } = require('./puppeteerConfig');
+const { getCookieHeader } = require('./authState');
+const { getArchiveMode, archiveHttpRequest, toAxiosData } = require('./harArchive');
+const { readLocalFile } = require('./localFiles');
+
+let rateLimiter = createRateLimiter();
+
+// Proxy agents by proxy URL, target protocol and TLS verification
+const proxyAgents = new Map();
+
+/**
+ * Replaces the shared rate limiter
+ * @param {Object} options - Options for createRateLimiter (requestsPerSecond, maxRetries, ...)
+ */
+function configureHttpClient(options = {}) {
+  rateLimiter = createRateLimiter(options);
+}
+
+/**
+ * @returns {Object} - The shared rate limiter, for requests not made with axios
+ */
+function getRateLimiter() {
+  return rateLimiter;
+}
+
+/**
+ * Returns the agent that tunnels a request through a proxy
+ * @param {Object} proxy - Proxy from the network profile
+ * @param {boolean} secure - Whether the target URL is https
+ * @param {boolean} rejectUnauthorized - Verify the target's TLS certificate
+ * @returns {Agent} - http(s) agent
+ */
+function getProxyAgent(proxy, secure, rejectUnauthorized) {
+  const proxyUrl = formatProxyUrl(proxy, true);
+  const key = `${proxyUrl}|${secure}|${rejectUnauthorized}`;
+  if (!proxyAgents.has(key)) {
+    let agent;
+    if (proxy.protocol.startsWith('socks')) {
+      agent = new SocksProxyAgent(proxyUrl, { rejectUnauthorized });
+    } else if (secure) {
+      agent = new HttpsProxyAgent(proxyUrl, { rejectUnauthorized });
+    } else {
+      agent = new HttpProxyAgent(proxyUrl);
+    }
+    proxyAgents.set(key, agent);
+  }
+  return proxyAgents.get(key);
+}
+
+/**
+ * Applies the network profile to an axios request config: profile headers are
+ * added (and win over the caller's defaults), session cookies are sent unless
+ * the caller set a Cookie header, and the request is routed through the proxy
+ * the profile picks for its host
+ * @param {Object} config - axios request config
+ * @returns {Object} - New axios request config
+ */
+function applyNetworkProfile(config) {
+  const profile = getNetworkProfile();
+  const networkConfig = {
+    ...config,
+    headers: { ...(config.headers || {}), ...getProfileHeaders(profile) }
+  };
+
+  const cookieHeader = getCookieHeader(config.url);
+  if (cookieHeader && !Object.keys(networkConfig.headers).some(name => name.toLowerCase() === 'cookie')) {
+    networkConfig.headers.Cookie = cookieHeader;
+  }
+
+  // Without any proxy configured, axios keeps its default behaviour
+  if (!profile.proxy && profile.proxyRules.length === 0) {
+    return networkConfig;
+  }
+
+  const proxy = getProxyForUrl(config.url, profile);
+  networkConfig.proxy = false;
+  if (proxy) {
+    const secure = config.url.startsWith('https:');
+    const rejectUnauthorized = !(config.httpsAgent && config.httpsAgent.options && config.httpsAgent.options.rejectUnauthorized === false);
+    const agent = getProxyAgent(proxy, secure, rejectUnauthorized);
+    if (secure) {
+      networkConfig.httpsAgent = agent;
+    } else {
+      networkConfig.httpAgent = agent;
+    }
+  }
+  return networkConfig;
+}
+
+/**
+ * Performs an axios request through the shared rate limiter and network profile.
+ * With --record the response is archived; with --replay it comes from the archive
+ * without touching the network. file:// URLs of local sites are read from disk.
+ * @param {Object} config - axios request config (must include url)
+ * @returns {Promise<Object>} - axios response
+ */
+async function httpRequest(config) {
+  if (config.url.startsWith('file:')) {
+    const { status, headers, body } = readLocalFile(config.url);
+    return { data: toAxiosData(body, config.responseType), status, statusText: 'OK', headers, config, request: null };
+  }
+
+  const send = requestConfig => axios(applyNetworkProfile(requestConfig));
+  if (getArchiveMode() === 'replay') {
+    return archiveHttpRequest(config, send);
+  }
+  return rateLimiter.schedule(config.url, () => archiveHttpRequest(config, send));
+}
+
+/**
+ * Fetches an asset of a page: from the page load's response capture when the
+ * browser already received it, otherwise with httpRequest, sending the browser's
+ * user agent and the page as referer (unless the caller set them)
+ * @param {Object} config - axios request config (must include url)
+ * @param {Object} responseCapture - Response capture of the page load (see responseCapture.js), or null
+ * @returns {Promise<Object>} - axios(-like) response; fromCapture is true when it came from the capture
+ */
+async function fetchAsset(config, responseCapture = null) {
+  if (!responseCapture) {
+    return httpRequest(config);
+  }
+
+  const captured = await responseCapture.lookup(config.url);
+  if (captured) {
+    return {
+      data: toAxiosData(captured.body, config.responseType),
+      status: captured.status,
+      statusText: 'OK',
+      headers: captured.headers,
+      config,
+      request: null,
+      fromCapture: true
+    };
+  }
+
+  // Never requested by the page (e.g. an unused srcset candidate): download it like the browser would
+  const browserHeaders = responseCapture.requestHeaders || {};
+  const headers = { ...(config.headers || {}) };
+  const hasHeader = name => Object.keys(headers).some(key => key.toLowerCase() === name);
+  if (browserHeaders['user-agent'] && !hasHeader('user-agent')) {
+    headers['User-Agent'] = browserHeaders['user-agent'];
+  }
+  if (responseCapture.pageUrl && !hasHeader('referer')) {
+    headers.Referer = responseCapture.pageUrl;
+  }
+  return httpRequest({ ...config, headers });
+}
+
+module.exports = {
+  configureHttpClient,
+  getRateLimiter,
+  httpRequest,
+  fetchAsset
+};
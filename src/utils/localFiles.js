@@ -0,0 +1,134 @@
+/**
+ * Local HTML files as conversion input
+ *
+ * Local pages are loaded through file:// URLs. Relative asset references resolve
+ * next to each file as usual; root-relative ones (/css/site.css) resolve against
+ * the site folder, which plays the role of the web server's document root. The
+ * browser requests them as file:///css/site.css, so attachLocalSite() answers
+ * those requests from the site folder, and downloads go through readLocalFile().
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL, fileURLToPath } = require('url');
+
+// Folder that root-relative references resolve against
+let siteRoot = null;
+
+/**
+ * Content types of the files a page loads, by extension
+ */
+const CONTENT_TYPES = {
+  '.html': 'text/html', '.htm': 'text/html', '.css': 'text/css', '.js': 'text/javascript', '.mjs': 'text/javascript',
+  '.json': 'application/json', '.svg': 'image/svg+xml', '.png': 'image/png', '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif', '.webp': 'image/webp', '.avif': 'image/avif', '.ico': 'image/x-icon',
+  '.woff': 'font/woff', '.woff2': 'font/woff2', '.ttf': 'font/ttf', '.otf': 'font/otf'
+};
+
+/**
+ * Checks whether a command line input is a local file or folder rather than a web URL
+ * @param {string} input - URL or path
+ * @returns {boolean}
+ */
+function isLocalInput(input) {
+  if (!input) return false;
+  if (input.startsWith('file:')) return true;
+  if (/^[a-z][a-z0-9+.-]*:\/\//i.test(input)) return false;
+  return fs.existsSync(input);
+}
+
+/**
+ * Converts a local input (path or file:// URL) to an absolute path
+ * @param {string} input - Path or file:// URL
+ * @returns {string} - Absolute path
+ */
+function toLocalPath(input) {
+  return input.startsWith('file:') ? fileURLToPath(input) : path.resolve(input);
+}
+
+/**
+ * Converts a path to a file:// URL
+ * @param {string} filePath - Path
+ * @returns {string} - file:// URL
+ */
+function toFileUrl(filePath) {
+  return pathToFileURL(path.resolve(filePath)).href;
+}
+
+/**
+ * Sets the folder root-relative references of local pages resolve against
+ * @param {string} input - Site folder, or a single HTML file (its folder becomes the root)
+ * @returns {string} - The site root
+ */
+function configureLocalSite(input) {
+  const inputPath = toLocalPath(input);
+  siteRoot = fs.statSync(inputPath).isDirectory() ? inputPath : path.dirname(inputPath);
+  console.log(`📂 Local site root: ${siteRoot}`);
+  return siteRoot;
+}
+
+/**
+ * Maps a file:// URL to the file it refers to. A root-relative reference such as
+ * /img/logo.png resolves to file:///img/logo.png; when that lies outside the
+ * site root it is looked up inside the site root instead.
+ * @param {string} fileUrl - file:// URL
+ * @returns {string} - Path of the file
+ */
+function resolveLocalPath(fileUrl) {
+  const filePath = fileURLToPath(fileUrl.split(/[?#]/)[0]);
+  if (siteRoot && !filePath.startsWith(siteRoot + path.sep) && !fs.existsSync(filePath)) {
+    return path.join(siteRoot, filePath);
+  }
+  return filePath;
+}
+
+/**
+ * Reads a file:// URL, answering like an HTTP download of it
+ * @param {string} fileUrl - file:// URL
+ * @returns {{status: number, headers: Object, body: Buffer}} - Response
+ */
+function readLocalFile(fileUrl) {
+  const filePath = resolveLocalPath(fileUrl);
+  const body = fs.readFileSync(filePath);
+  return {
+    status: 200,
+    headers: { 'content-length': String(body.length) },
+    body
+  };
+}
+
+/**
+ * Answers the file:// requests of a page that root-relative references make
+ * (file:///css/site.css) with the file in the site folder. Other requests are
+ * left to the other request handlers (see harArchive.js), which share the
+ * page's request interception at the default priority.
+ * @param {Page} page - Puppeteer page
+ */
+async function attachLocalSite(page) {
+  if (!siteRoot) return;
+  await page.setRequestInterception(true);
+  page.on('request', request => {
+    if (request.isInterceptResolutionHandled()) return;
+    const url = request.url();
+    const filePath = url.startsWith('file:') ? resolveLocalPath(url) : null;
+    if (!filePath || filePath === fileURLToPath(url.split(/[?#]/)[0]) || !fs.existsSync(filePath)) {
+      request.continue(request.continueRequestOverrides(), 0);
+      return;
+    }
+    request.respond({
+      status: 200,
+      contentType: CONTENT_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream',
+      body: fs.readFileSync(filePath)
+    }, 1);
+  });
+}
+
+module.exports = {
+  isLocalInput,
+  toLocalPath,
+  toFileUrl,
+  configureLocalSite,
+  resolveLocalPath,
+  readLocalFile,
+  attachLocalSite
+};
@@ -0,0 +1,71 @@
+/**
+ * Names of generated components, props and data arrays
+ *
+ * Routes, sections and repeated items are named from path segments, ids,
+ * classes and headings. The words are joined in PascalCase or camelCase and a
+ * name that is already taken gets a number (Card, Card2, Card3).
+ */
+
+/**
+ * Splits a name into lowercase words (aboutUs, about-us and "About us" give the same words)
+ * @param {string|string[]} name - Name, or several parts of one (e.g. path segments)
+ * @returns {string[]}
+ */
+function toWords(name) {
+  return [].concat(name || []).join(' ')
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean)
+    .map(word => word.toLowerCase());
+}
+
+/**
+ * @param {string|string[]} name - Name to convert
+ * @returns {string} - PascalCase name
+ */
+function toPascalCase(name) {
+  return toWords(name).map(word => word.charAt(0).toUpperCase() + word.slice(1)).join('');
+}
+
+/**
+ * @param {string|string[]} name - Name to convert
+ * @returns {string} - camelCase name
+ */
+function toCamelCase(name) {
+  const pascal = toPascalCase(name);
+  return pascal.charAt(0).toLowerCase() + pascal.slice(1);
+}
+
+/**
+ * Converts a name to a valid component name
+ * @param {string|string[]} name - Name, or path segments (e.g. ['blog', 'first-post'] -> BlogFirstPost)
+ * @returns {string} - PascalCase name; Page when nothing is left of it
+ */
+function toComponentName(name) {
+  const pascal = toPascalCase(name);
+  // Component names can't start with a digit
+  return /^[0-9]/.test(pascal) ? `Page${pascal}` : pascal || 'Page';
+}
+
+/**
+ * Returns a name that isn't used yet, numbering it if needed, and marks it used
+ * @param {string} name - Preferred name
+ * @param {Set<string>} usedNames - Names already taken
+ * @returns {string}
+ */
+function claimName(name, usedNames) {
+  let unique = name;
+  for (let i = 2; usedNames.has(unique); i++) {
+    unique = `${name}${i}`;
+  }
+  usedNames.add(unique);
+  return unique;
+}
+
+module.exports = {
+  toWords,
+  toPascalCase,
+  toCamelCase,
+  toComponentName,
+  claimName
+};
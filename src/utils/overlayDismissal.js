@@ -0,0 +1,293 @@
+/**
+ * Dismissal of cookie banners, consent walls and modal popups before capture
+ *
+ * Consent managers and newsletter popups are not part of the site's content, but
+ * they are in the rendered DOM and would end up in the JSX and its CSS. Once a
+ * page is ready, known consent managers are looked up by rule, then generic
+ * consent banners ("Accept all" inside a cookie/consent container) and visible
+ * modal dialogs. In click mode their accept or close button is clicked first so
+ * the page unlocks as it would for a visitor; in both modes whatever is left of
+ * them is removed from the DOM. What was dismissed is kept per page for the report.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const OVERLAY_MODES = ['click', 'remove', 'off'];
+
+/**
+ * Rules for common consent managers.
+ * A rule has a name, a type, the selector that detects it, an optional accept
+ * (or close) button selector and the selectors removed afterwards (default: selector).
+ */
+const DEFAULT_OVERLAY_RULES = [
+  {
+    name: 'OneTrust',
+    type: 'consent',
+    selector: '#onetrust-consent-sdk',
+    accept: '#onetrust-accept-btn-handler',
+    remove: ['#onetrust-consent-sdk', '#onetrust-style']
+  },
+  {
+    name: 'Cookiebot',
+    type: 'consent',
+    selector: '#CybotCookiebotDialog',
+    accept: '#CybotCookiebotDialogBodyLevelButtonLevelOptinAllowAll, #CybotCookiebotDialogBodyButtonAccept',
+    remove: ['#CybotCookiebotDialog', '#CybotCookiebotDialogBodyUnderlay']
+  },
+  {
+    name: 'Didomi',
+    type: 'consent',
+    selector: '#didomi-host',
+    accept: '#didomi-notice-agree-button'
+  },
+  {
+    name: 'Usercentrics',
+    type: 'consent',
+    selector: '#usercentrics-root, #usercentrics-cmp-ui'
+  },
+  {
+    name: 'Quantcast Choice',
+    type: 'consent',
+    selector: '.qc-cmp2-container',
+    accept: '.qc-cmp2-summary-buttons button[mode="primary"]'
+  },
+  {
+    name: 'TrustArc',
+    type: 'consent',
+    selector: '#truste-consent-track, .truste_box_overlay',
+    accept: '#truste-consent-button',
+    remove: ['#truste-consent-track', '.truste_box_overlay', '.truste_overlay']
+  },
+  {
+    name: 'CookieYes',
+    type: 'consent',
+    selector: '.cky-consent-container',
+    accept: '.cky-btn-accept',
+    remove: ['.cky-consent-container', '.cky-overlay', '.cky-btn-revisit-wrapper']
+  },
+  {
+    name: 'Complianz',
+    type: 'consent',
+    selector: '#cmplz-cookiebanner-container',
+    accept: '.cmplz-accept',
+    remove: ['#cmplz-cookiebanner-container', '#cmplz-manage-consent']
+  },
+  {
+    name: 'Osano',
+    type: 'consent',
+    selector: '.osano-cm-window',
+    accept: '.osano-cm-accept-all'
+  },
+  {
+    name: 'iubenda',
+    type: 'consent',
+    selector: '#iubenda-cs-banner',
+    accept: '.iubenda-cs-accept-btn'
+  }
+];
+
+let overlayMode = 'click';
+let overlayRules = DEFAULT_OVERLAY_RULES;
+
+// Page -> overlays dismissed on its last load
+const dismissedByPage = new WeakMap();
+
+/**
+ * Reads user overlay rules from a JSON file (an array of rules)
+ * @param {string} filePath - Path of the rules file
+ * @returns {Array} - Validated rules
+ */
+function loadOverlayRules(filePath) {
+  const rules = JSON.parse(fs.readFileSync(path.resolve(filePath), 'utf8'));
+  if (!Array.isArray(rules)) {
+    throw new Error(`Overlay rules in ${filePath} must be a JSON array`);
+  }
+  rules.forEach((rule, index) => {
+    if (!rule || typeof rule.selector !== 'string') {
+      throw new Error(`Overlay rule ${index + 1} in ${filePath} has no selector`);
+    }
+  });
+  return rules.map((rule, index) => ({
+    name: rule.name || `Custom rule ${index + 1}`,
+    type: rule.type || 'custom',
+    selector: rule.selector,
+    accept: rule.accept || null,
+    remove: rule.remove || null
+  }));
+}
+
+/**
+ * Sets how overlays are dismissed for the run
+ * @param {Object} options - Overlay options
+ * @param {string} options.mode - 'click' (click accept/close, then remove), 'remove' (only remove) or 'off'
+ * @param {string[]} options.ruleFiles - JSON files with extra rules; they are tried before the built-in ones
+ */
+function configureOverlays(options = {}) {
+  const { mode = 'click', ruleFiles = [] } = options;
+  if (!OVERLAY_MODES.includes(mode)) {
+    throw new Error(`Unknown overlay mode "${mode}" (expected ${OVERLAY_MODES.join(', ')})`);
+  }
+  overlayMode = mode;
+  const customRules = ruleFiles.flatMap(loadOverlayRules);
+  overlayRules = [...customRules, ...DEFAULT_OVERLAY_RULES];
+  if (customRules.length > 0) {
+    console.log(`🍪 Loaded ${customRules.length} custom overlay rules`);
+  }
+  if (mode === 'off') {
+    console.log('🍪 Overlay dismissal disabled');
+  }
+}
+
+/**
+ * Runs in the page: finds the overlays to dismiss and clicks their buttons
+ * @param {Array} rules - Overlay rules
+ * @param {boolean} click - Whether to click accept/close buttons
+ * @returns {Array} - Array of {name, type, action, selector} for every overlay found
+ */
+function findAndClickOverlays(rules, click) {
+  const found = [];
+  const ACCEPT_TEXT = /^\s*(accept|accept all|accept all cookies|accept cookies|allow all|allow all cookies|allow cookies|agree|i agree|agree and close|ok|okay|got it|i understand|alle akzeptieren|akzeptieren|alle cookies akzeptieren|zustimmen|tout accepter|accepter|j'accepte|aceptar|aceptar todo|aceptar todas|accetta|accetta tutto|accetto|accepteren|alles accepteren|akceptuj)\s*$/i;
+  const CONSENT_NAME = /cookie|consent|gdpr|cmp\b|cmp-|privacy-banner|privacy-notice/i;
+  const MODAL_NAME = /modal|popup|pop-up|newsletter|subscribe|lightbox/i;
+  const CLOSE_SELECTOR = '[aria-label*="close" i], [aria-label*="dismiss" i], [class*="close" i], [data-dismiss], [data-bs-dismiss]';
+
+  const isVisible = element => {
+    const style = window.getComputedStyle(element);
+    const rect = element.getBoundingClientRect();
+    return style.display !== 'none' && style.visibility !== 'hidden' && Number(style.opacity) > 0 && rect.width > 0 && rect.height > 0;
+  };
+  const isFloating = element => {
+    for (let node = element; node && node !== document.body; node = node.parentElement) {
+      const position = window.getComputedStyle(node).position;
+      if (position === 'fixed' || position === 'sticky') return true;
+    }
+    return false;
+  };
+  const nameOf = element => `${element.id || ''} ${typeof element.className === 'string' ? element.className : ''}`;
+  const describe = element => (element.id ? `#${element.id}` : element.tagName.toLowerCase() + (typeof element.className === 'string' && element.className.trim() ? `.${element.className.trim().split(/\s+/).join('.')}` : ''));
+  const markForRemoval = (element, label) => {
+    element.setAttribute('data-wtr-overlay', label);
+  };
+  const clickFirst = (root, selector) => {
+    const button = Array.from(root.querySelectorAll(selector)).find(isVisible);
+    if (!button) return false;
+    button.click();
+    return true;
+  };
+
+  // Known consent managers
+  rules.forEach(rule => {
+    const container = document.querySelector(rule.selector);
+    if (!container) return;
+    const clicked = click && rule.accept ? clickFirst(document, rule.accept) : false;
+    (rule.remove || [rule.selector]).forEach(selector => {
+      document.querySelectorAll(selector).forEach(element => markForRemoval(element, rule.name));
+    });
+    found.push({ name: rule.name, type: rule.type, action: clicked ? 'clicked' : 'removed', selector: rule.selector });
+  });
+
+  // Generic consent banners: a floating cookie/consent container with an accept button
+  const buttons = Array.from(document.querySelectorAll('button, a, [role="button"], input[type="button"], input[type="submit"]'))
+    .filter(button => !button.closest('[data-wtr-overlay]') && ACCEPT_TEXT.test(button.innerText || button.value || ''));
+  buttons.forEach(button => {
+    // The outermost cookie/consent element around the button is the banner
+    let container = null;
+    for (let node = button.parentElement; node && node !== document.body; node = node.parentElement) {
+      if (CONSENT_NAME.test(nameOf(node))) container = node;
+    }
+    if (!container || container.closest('[data-wtr-overlay]')) return;
+    if (!isVisible(container) || !isFloating(container)) return;
+    const clicked = click && isVisible(button);
+    if (clicked) button.click();
+    markForRemoval(container, 'Consent banner');
+    found.push({ name: 'Consent banner', type: 'consent', action: clicked ? 'clicked' : 'removed', selector: describe(container) });
+  });
+
+  // Visible modal dialogs and popups (newsletter signups, promotions) covering the page
+  const candidates = Array.from(document.querySelectorAll('[role="dialog"], [role="alertdialog"], [aria-modal="true"], dialog[open], body *'))
+    .filter(element => !element.closest('[data-wtr-overlay]'))
+    .filter(element => element.matches('[role="dialog"], [role="alertdialog"], [aria-modal="true"], dialog[open]') || MODAL_NAME.test(nameOf(element)));
+  const modals = new Set();
+  candidates.forEach(element => {
+    if (modals.has(element) || !isVisible(element) || window.getComputedStyle(element).position !== 'fixed') return;
+    // Fixed navigation bars and headers are content; a popup sits over the middle of the viewport
+    const rect = element.getBoundingClientRect();
+    const coversCenter = rect.left < window.innerWidth / 2 && rect.right > window.innerWidth / 2 &&
+      rect.top < window.innerHeight / 2 && rect.bottom > window.innerHeight / 2;
+    if (!coversCenter) return;
+    modals.add(element);
+  });
+  modals.forEach(modal => {
+    if (modal.closest('[data-wtr-overlay]')) return;
+    const isNewsletter = /newsletter|subscribe/i.test(nameOf(modal)) || Boolean(modal.querySelector('input[type="email"]'));
+    const clicked = click ? clickFirst(modal, CLOSE_SELECTOR) : false;
+    markForRemoval(modal, 'Modal');
+    found.push({ name: isNewsletter ? 'Newsletter popup' : 'Modal', type: 'modal', action: clicked ? 'clicked' : 'removed', selector: describe(modal) });
+  });
+
+  return found;
+}
+
+/**
+ * Runs in the page: removes the marked overlays and their backdrops, and
+ * unlocks scrolling if an overlay had locked it
+ * @returns {number} - Number of removed elements
+ */
+function removeMarkedOverlays() {
+  const marked = Array.from(document.querySelectorAll('[data-wtr-overlay], .modal-backdrop'));
+  marked.forEach(element => element.remove());
+  if (marked.length > 0) {
+    [document.documentElement, document.body].forEach(element => {
+      element.classList.remove('modal-open', 'no-scroll', 'noscroll', 'overflow-hidden');
+      if (element.style.overflow === 'hidden') element.style.removeProperty('overflow');
+    });
+  }
+  return marked.length;
+}
+
+/**
+ * Dismisses the cookie banners, consent walls and popups of a ready page.
+ * Never throws; a page whose overlays can't be handled is captured as it is.
+ * @param {Page} page - Puppeteer page
+ * @returns {Promise<Array>} - Array of {name, type, action, selector} for every dismissed overlay
+ */
+async function dismissOverlays(page) {
+  if (overlayMode === 'off') {
+    dismissedByPage.set(page, []);
+    return [];
+  }
+
+  let dismissed = [];
+  try {
+    dismissed = await page.evaluate(findAndClickOverlays, overlayRules, overlayMode === 'click');
+    if (dismissed.length > 0) {
+      // Give click handlers time to store the consent and close the overlay
+      if (dismissed.some(overlay => overlay.action === 'clicked')) {
+        await new Promise(resolve => setTimeout(resolve, 500));
+      }
+      await page.evaluate(removeMarkedOverlays);
+      dismissed.forEach(overlay => console.log(`🍪 Dismissed ${overlay.name} (${overlay.action}) on ${page.url()}`));
+    }
+  } catch (error) {
+    // An accept button may reload the page; it is captured as it is then
+    console.log(`⚠️ Could not dismiss overlays on ${page.url()}: ${error.message}`);
+  }
+  dismissedByPage.set(page, dismissed);
+  return dismissed;
+}
+
+/**
+ * @param {Page} page - Puppeteer page
+ * @returns {Array} - Overlays dismissed on the page's last load
+ */
+function getDismissedOverlays(page) {
+  return (page && dismissedByPage.get(page)) || [];
+}
+
+module.exports = {
+  DEFAULT_OVERLAY_RULES,
+  configureOverlays,
+  dismissOverlays,
+  getDismissedOverlays
+};
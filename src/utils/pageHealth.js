@@ -0,0 +1,206 @@
+/**
+ * Checks that a loaded page is the page that was asked for
+ *
+ * A route that answers with an HTTP error, a bot-protection challenge, a CAPTCHA
+ * wall or a redirect to a login form would otherwise be converted like any other
+ * page. Every page load records the HTTP status, the final URL after redirects
+ * and the challenge fingerprint the page matches (if any); routes that fail the
+ * check are refused instead of converted.
+ */
+
+/**
+ * Fingerprints of bot-protection interstitials and CAPTCHA walls. A fingerprint
+ * matches when any of its title, text, selector or header patterns does; with
+ * shortPageOnly it also needs the page to have little text besides the challenge
+ * (so a contact form with a reCAPTCHA isn't mistaken for a wall).
+ */
+const CHALLENGE_FINGERPRINTS = [
+  {
+    name: 'Cloudflare challenge',
+    title: /^(just a moment|attention required|checking your browser)/i,
+    selector: '#challenge-form, #challenge-stage, #cf-challenge-running, .cf-browser-verification, script[src*="/cdn-cgi/challenge-platform/"]',
+    header: ['cf-mitigated', /challenge/i]
+  },
+  {
+    name: 'DataDome',
+    selector: 'iframe[src*="captcha-delivery.com"], script[src*="captcha-delivery.com"]'
+  },
+  {
+    name: 'PerimeterX',
+    selector: '#px-captcha',
+    text: /press (&|and) hold/i,
+    shortPageOnly: true
+  },
+  {
+    name: 'Imperva',
+    selector: 'iframe[src*="_Incapsula_Resource"]',
+    text: /incapsula incident id/i
+  },
+  {
+    name: 'Akamai',
+    title: /^access denied$/i,
+    text: /you don't have permission to access .* on this server/i
+  },
+  {
+    name: 'Sucuri',
+    title: /sucuri website firewall/i
+  },
+  {
+    name: 'DDoS-Guard',
+    title: /^ddos-guard/i
+  },
+  {
+    name: 'CAPTCHA',
+    selector: 'iframe[src*="recaptcha"], iframe[src*="hcaptcha"], iframe[src*="challenges.cloudflare.com"], .g-recaptcha, .h-captcha, .cf-turnstile',
+    text: /verify (that )?you are (a )?human|are you a robot|i'?m not a robot|unusual traffic from your (computer )?network|complete the security check/i,
+    shortPageOnly: true
+  }
+];
+
+/**
+ * Pages with less visible text than this count as "short" (nothing besides the challenge)
+ */
+const SHORT_PAGE_TEXT_LENGTH = 1500;
+
+/**
+ * Paths of login forms a protected page redirects to
+ */
+const LOGIN_PATH_PATTERN = /\/(login|log-in|signin|sign-in|sign_in|auth|sso|oauth|account\/login|users\/sign_in|wp-login\.php)(\/|$|\?|\.)/i;
+
+// Page -> health of its last load
+const healthByPage = new WeakMap();
+
+/**
+ * Compares two URLs ignoring the fragment and a trailing slash
+ * @param {string} a - URL
+ * @param {string} b - URL
+ * @returns {boolean}
+ */
+function isSameUrl(a, b) {
+  const strip = url => url.split('#')[0].replace(/\/$/, '');
+  return strip(a) === strip(b);
+}
+
+/**
+ * Finds the challenge fingerprint a page snapshot matches
+ * @param {Object} snapshot - {title, text, textLength, selectors: {selector: boolean}, headers}
+ * @returns {string|null} - Name of the matching fingerprint, or null
+ */
+function matchChallenge(snapshot) {
+  const fingerprint = CHALLENGE_FINGERPRINTS.find(candidate => {
+    if (candidate.shortPageOnly && snapshot.textLength >= SHORT_PAGE_TEXT_LENGTH) return false;
+    const [headerName, headerPattern] = candidate.header || [];
+    return Boolean(
+      (candidate.title && candidate.title.test(snapshot.title)) ||
+      (candidate.text && candidate.text.test(snapshot.text)) ||
+      (candidate.selector && snapshot.selectors[candidate.selector]) ||
+      (headerName && headerPattern.test(snapshot.headers[headerName] || ''))
+    );
+  });
+  return fingerprint ? fingerprint.name : null;
+}
+
+/**
+ * Records the health of a page that has just loaded
+ * @param {Page} page - Puppeteer page, ready to be extracted
+ * @param {HTTPResponse} response - Response of the navigation (null for same-document navigations)
+ * @param {string} requestedUrl - URL that was asked for
+ * @returns {Promise<Object>} - {httpStatus, finalUrl, redirected, challenge, loginRedirect}
+ */
+async function inspectPage(page, response, requestedUrl) {
+  const finalUrl = page.url();
+  const selectors = CHALLENGE_FINGERPRINTS.map(fingerprint => fingerprint.selector).filter(Boolean);
+
+  let snapshot = { title: '', text: '', textLength: 0, selectors: {} };
+  try {
+    snapshot = await page.evaluate(selectorList => {
+      const text = document.body ? document.body.innerText || '' : '';
+      return {
+        title: document.title || '',
+        text: text.slice(0, 5000),
+        textLength: text.trim().length,
+        selectors: Object.fromEntries(selectorList.map(selector => [selector, Boolean(document.querySelector(selector))]))
+      };
+    }, selectors);
+  } catch (error) {
+    // A page that navigated away while being inspected is judged by its response alone
+  }
+
+  const redirected = !isSameUrl(finalUrl, requestedUrl);
+  let loginRedirect = false;
+  try {
+    loginRedirect = redirected &&
+      LOGIN_PATH_PATTERN.test(new URL(finalUrl).pathname) &&
+      !LOGIN_PATH_PATTERN.test(new URL(requestedUrl).pathname);
+  } catch (e) {
+    // Not a URL with a path (e.g. about:blank)
+  }
+
+  const health = {
+    // file:// and same-document navigations have no HTTP status
+    httpStatus: response && response.status() ? response.status() : null,
+    finalUrl,
+    redirected,
+    challenge: matchChallenge({ ...snapshot, headers: response ? response.headers() : {} }),
+    loginRedirect
+  };
+  healthByPage.set(page, health);
+  return health;
+}
+
+/**
+ * @param {Page} page - Puppeteer page
+ * @returns {Object|null} - Health of the page's last load
+ */
+function getPageHealth(page) {
+  return (page && healthByPage.get(page)) || null;
+}
+
+/**
+ * Decides whether a page may be converted
+ * @param {Object} health - Health from inspectPage()
+ * @param {Object} options - Check options
+ * @param {boolean} options.allowNotFound - Convert 404 pages (they become the NotFound route) (default: false)
+ * @returns {{ok: boolean, notFound: boolean, reason: string|null}}
+ */
+function checkPageHealth(health, options = {}) {
+  const { allowNotFound = false } = options;
+  if (!health) {
+    return { ok: true, notFound: false, reason: null };
+  }
+  if (health.challenge) {
+    return { ok: false, notFound: false, reason: `${health.challenge} page` };
+  }
+  if (health.loginRedirect) {
+    return { ok: false, notFound: false, reason: `redirected to login page ${health.finalUrl}` };
+  }
+  if (health.httpStatus === 404 && allowNotFound) {
+    return { ok: true, notFound: true, reason: null };
+  }
+  if (health.httpStatus >= 400) {
+    return { ok: false, notFound: false, reason: `HTTP ${health.httpStatus}` };
+  }
+  return { ok: true, notFound: false, reason: null };
+}
+
+/**
+ * Creates the error a route is refused with
+ * @param {Object} health - Health from inspectPage()
+ * @param {string} reason - Why the page was refused
+ * @returns {Error} - Error with code ERR_PAGE_HEALTH and the health attached
+ */
+function createHealthError(health, reason) {
+  const error = new Error(`Refusing to convert ${health.finalUrl}: ${reason}`);
+  error.code = 'ERR_PAGE_HEALTH';
+  error.health = health;
+  error.reason = reason;
+  return error;
+}
+
+module.exports = {
+  CHALLENGE_FINGERPRINTS,
+  inspectPage,
+  getPageHealth,
+  checkPageHealth,
+  createHealthError
+};
@@ -0,0 +1,249 @@
+/**
+ * When a loaded page counts as ready to be extracted
+ *
+ * Every page load (discovery, HTML, styles, dynamic route instances) goes through
+ * loadPageWhenReady so the same readiness rules apply everywhere. A page is loaded
+ * up to its `load` event and then waited on until the configured selector and
+ * predicate hold, the whole page has optionally been scrolled to trigger lazy
+ * loading, and the network is quiet. All of that is bounded by maxWaitMs: a page
+ * that never settles (long-polling, analytics beacons) is extracted as it is
+ * when the time runs out. Cookie banners and popups are dismissed once the page
+ * is ready (see overlayDismissal).
+ */
+
+const { dismissOverlays } = require('./overlayDismissal');
+const { inspectPage } = require('./pageHealth');
+
+/**
+ * Default readiness options
+ */
+const DEFAULT_READINESS = {
+  // CSS selector that must be present before extracting
+  waitForSelector: null,
+  // JavaScript expression that must be truthy before extracting
+  waitForFunction: null,
+  // Scroll through the whole page to trigger lazy-loaded sections
+  scroll: false,
+  // The network counts as idle after idleTimeMs with at most idleConnections requests in flight
+  idleTimeMs: 500,
+  idleConnections: 0,
+  // Maximum time to wait for readiness once the page has loaded
+  maxWaitMs: 30000,
+  // Timeout for the navigation itself (up to the load event)
+  timeoutMs: 120000,
+  // Extra time for JS frameworks to finish rendering
+  settleMs: 1000
+};
+
+// Readiness options of the run, set from the command line
+let runReadiness = { ...DEFAULT_READINESS };
+
+/**
+ * Helper function to wait for a specified time without touching the page
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Copies the options that are set, leaving out undefined and null values
+ * @param {Object} options - Readiness options
+ * @returns {Object}
+ */
+function definedOptions(options = {}) {
+  return Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined && value !== null));
+}
+
+/**
+ * Sets the readiness options of the run
+ * @param {Object} options - Readiness options (see DEFAULT_READINESS); unset values keep their defaults
+ * @returns {Object} - The run's readiness options
+ */
+function configureReadiness(options = {}) {
+  runReadiness = { ...DEFAULT_READINESS, ...definedOptions(options) };
+  const rules = [
+    runReadiness.waitForSelector && `selector ${runReadiness.waitForSelector}`,
+    runReadiness.waitForFunction && `predicate ${runReadiness.waitForFunction}`,
+    runReadiness.scroll && 'scroll to bottom'
+  ].filter(Boolean);
+  if (rules.length > 0) {
+    console.log(`⏱️ Pages are ready after: ${rules.join(', ')} (max ${runReadiness.maxWaitMs}ms)`);
+  }
+  return runReadiness;
+}
+
+/**
+ * Returns the readiness options for a page: the run's options with the route's overrides
+ * @param {Object} overrides - Per-route or per-call readiness options
+ * @returns {Object} - Complete readiness options
+ */
+function getReadiness(overrides = {}) {
+  return { ...runReadiness, ...definedOptions(overrides) };
+}
+
+/**
+ * Counts the requests a page has in flight. Attach before navigating so the
+ * requests of the navigation are counted too.
+ * @param {Page} page - Puppeteer page
+ * @returns {Object} - Tracker with inflight(), idleSince() and dispose()
+ */
+function trackNetwork(page) {
+  const pending = new Set();
+  let lastChange = Date.now();
+
+  const onRequest = request => {
+    pending.add(request);
+    lastChange = Date.now();
+  };
+  const onDone = request => {
+    if (pending.delete(request)) lastChange = Date.now();
+  };
+  page.on('request', onRequest);
+  page.on('requestfinished', onDone);
+  page.on('requestfailed', onDone);
+
+  return {
+    inflight: () => pending.size,
+    idleSince: () => lastChange,
+    dispose() {
+      page.off('request', onRequest);
+      page.off('requestfinished', onDone);
+      page.off('requestfailed', onDone);
+    }
+  };
+}
+
+/**
+ * Waits until at most idleConnections requests have been in flight for idleTimeMs
+ * @param {Object} tracker - Network tracker from trackNetwork()
+ * @param {Object} readiness - Readiness options
+ * @param {number} deadline - Timestamp to give up at
+ * @returns {Promise<boolean>} - True if the network went idle before the deadline
+ */
+async function waitForNetworkIdle(tracker, readiness, deadline) {
+  const { idleTimeMs, idleConnections } = readiness;
+  let quietSince = null;
+  while (Date.now() < deadline) {
+    if (tracker.inflight() <= idleConnections) {
+      quietSince = quietSince === null ? Math.max(tracker.idleSince(), Date.now() - 50) : quietSince;
+      if (Date.now() - quietSince >= idleTimeMs) return true;
+    } else {
+      quietSince = null;
+    }
+    await sleep(50);
+  }
+  return false;
+}
+
+/**
+ * Scrolls the page down one viewport at a time until the bottom stops moving,
+ * then back to the top, so lazy-loaded sections and images are requested
+ * @param {Page} page - Puppeteer page
+ * @param {number} deadline - Timestamp to stop scrolling at
+ * @returns {Promise<number>} - Number of scroll steps
+ */
+async function scrollToBottom(page, deadline) {
+  let steps = 0;
+  let unchanged = 0;
+  while (Date.now() < deadline && unchanged < 3) {
+    const { reachedBottom, height } = await page.evaluate(() => {
+      window.scrollBy(0, window.innerHeight);
+      const scrollHeight = document.documentElement.scrollHeight;
+      return {
+        reachedBottom: window.scrollY + window.innerHeight >= scrollHeight - 1,
+        height: scrollHeight
+      };
+    });
+    steps++;
+    await sleep(200);
+    // At the bottom, wait for the page to grow (infinite scroll) a few times before stopping
+    const grown = await page.evaluate(previous => document.documentElement.scrollHeight > previous, height);
+    unchanged = reachedBottom && !grown ? unchanged + 1 : 0;
+  }
+  await page.evaluate(() => window.scrollTo(0, 0));
+  return steps;
+}
+
+/**
+ * Waits until a loaded page is ready to be extracted and dismisses its overlays.
+ * Never throws for a page that isn't ready in time; it is logged and extracted as it is.
+ * @param {Page} page - Puppeteer page that has loaded
+ * @param {Object} readiness - Readiness options from getReadiness()
+ * @param {Object} tracker - Network tracker attached before the navigation (one is created if omitted)
+ * @returns {Promise<boolean>} - True if every condition was met before maxWaitMs
+ */
+async function waitUntilReady(page, readiness = getReadiness(), tracker = null) {
+  const network = tracker || trackNetwork(page);
+  const deadline = Date.now() + readiness.maxWaitMs;
+  const remaining = () => Math.max(1, deadline - Date.now());
+  const pageUrl = page.url();
+  let ready = true;
+
+  // Conditions share the deadline; once it has passed the rest are skipped
+  const check = async (description, condition) => {
+    if (!ready && Date.now() >= deadline) return;
+    try {
+      if (await condition() === false) throw new Error(`timed out after ${readiness.maxWaitMs}ms`);
+    } catch (error) {
+      console.log(`⚠️ ${pageUrl} not ready (${description}: ${error.message}), extracting it as it is`);
+      ready = false;
+    }
+  };
+
+  try {
+    if (readiness.waitForSelector) {
+      await check(`selector ${readiness.waitForSelector}`, () => page.waitForSelector(readiness.waitForSelector, { timeout: remaining() }));
+    }
+    if (readiness.waitForFunction) {
+      await check(`predicate ${readiness.waitForFunction}`, () => page.waitForFunction(readiness.waitForFunction, { timeout: remaining(), polling: 100 }));
+    }
+    if (readiness.scroll && Date.now() < deadline) {
+      await check('scrolling', async () => {
+        const steps = await scrollToBottom(page, deadline);
+        console.log(`📜 Scrolled ${pageUrl} in ${steps} steps`);
+      });
+    }
+    // Also covers the requests started by lazy-loaded content
+    await check('network idle', () => waitForNetworkIdle(network, readiness, deadline));
+  } finally {
+    if (!tracker) network.dispose();
+  }
+
+  await dismissOverlays(page);
+
+  // Optional wait to ensure JS frameworks have finished rendering
+  if (readiness.settleMs > 0) {
+    await sleep(readiness.settleMs);
+  }
+  return ready;
+}
+
+/**
+ * Navigates a page to a URL and waits until it is ready to be extracted. The
+ * health of the load is available through getPageHealth(page) afterwards.
+ * @param {Page} page - Puppeteer page
+ * @param {string} url - URL to load
+ * @param {Object} overrides - Readiness options overriding the run's
+ * @returns {Promise<HTTPResponse|null>} - Response of the navigation
+ */
+async function loadPageWhenReady(page, url, overrides = {}) {
+  const readiness = getReadiness(overrides);
+  const tracker = trackNetwork(page);
+  try {
+    const response = await page.goto(url, { waitUntil: 'load', timeout: readiness.timeoutMs });
+    await waitUntilReady(page, readiness, tracker);
+    await inspectPage(page, response, url);
+    return response;
+  } finally {
+    tracker.dispose();
+  }
+}
+
+module.exports = {
+  DEFAULT_READINESS,
+  configureReadiness,
+  getReadiness,
+  trackNetwork,
+  waitUntilReady,
+  loadPageWhenReady
+};
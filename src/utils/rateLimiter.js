@@ -0,0 +1,124 @@
+/**
+ * Per-host request rate limiting with backoff on HTTP 429/503
+ *
+ * Requests to the same host are spaced so that no more than requestsPerSecond
+ * start per second. When a host answers 429 (Too Many Requests) or 503 (Service
+ * Unavailable) the request is retried with exponential backoff (or the server's
+ * Retry-After), and every other request to that host waits out the same pause.
+ */
+
+/**
+ * HTTP statuses that mean "slow down" and are retried
+ */
+const RETRY_STATUSES = new Set([429, 503]);
+
+/**
+ * Helper function to wait for a specified time
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Parses a Retry-After header value
+ * @param {string} value - Seconds or an HTTP date
+ * @returns {number|null} - Delay in milliseconds, or null if absent/invalid
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Creates an error for a response that should be retried, for callers (such as
+ * Puppeteer navigations) that don't throw on HTTP error statuses
+ * @param {number} status - HTTP status
+ * @param {string} retryAfter - Retry-After header value, if any
+ * @returns {Error}
+ */
+function createStatusError(status, retryAfter = null) {
+  const error = new Error(`HTTP ${status}`);
+  error.status = status;
+  error.retryAfter = retryAfter;
+  return error;
+}
+
+/**
+ * Creates a per-host rate limiter
+ *
+ * @param {Object} options - Limiter options
+ * @param {number} options.requestsPerSecond - Maximum request starts per second per host (default: unlimited)
+ * @param {number} options.maxRetries - Retries after a 429/503 response (default: 3)
+ * @param {number} options.baseDelayMs - First backoff delay, doubled on every retry (default: 1000)
+ * @param {number} options.maxDelayMs - Longest backoff delay (default: 60000)
+ * @returns {{schedule: Function}} - Limiter; schedule(url, task) runs task when the host allows it
+ */
+function createRateLimiter(options = {}) {
+  const {
+    requestsPerSecond = null,
+    maxRetries = 3,
+    baseDelayMs = 1000,
+    maxDelayMs = 60000
+  } = options;
+
+  const minIntervalMs = requestsPerSecond ? 1000 / requestsPerSecond : 0;
+
+  // Earliest time the next request to each host may start
+  const nextSlotByHost = new Map();
+
+  async function waitForSlot(host) {
+    const now = Date.now();
+    const slot = Math.max(now, nextSlotByHost.get(host) || 0);
+    nextSlotByHost.set(host, slot + minIntervalMs);
+    if (slot > now) {
+      await sleep(slot - now);
+    }
+  }
+
+  function pauseHost(host, delayMs) {
+    nextSlotByHost.set(host, Math.max(nextSlotByHost.get(host) || 0, Date.now() + delayMs));
+  }
+
+  return {
+    /**
+     * Runs a request once its host allows it, retrying on 429/503
+     * @param {string} url - URL being requested (its host is rate limited)
+     * @param {Function} task - Async function performing the request
+     * @returns {Promise<*>} - The task's result
+     */
+    async schedule(url, task) {
+      let host;
+      try {
+        host = new URL(url).host;
+      } catch (e) {
+        return task();
+      }
+
+      for (let attempt = 0; ; attempt++) {
+        await waitForSlot(host);
+        try {
+          return await task();
+        } catch (error) {
+          const status = error.status || (error.response && error.response.status);
+          if (!RETRY_STATUSES.has(status) || attempt >= maxRetries) {
+            throw error;
+          }
+
+          const retryAfter = parseRetryAfter(error.retryAfter || (error.response && error.response.headers && error.response.headers['retry-after']));
+          const delayMs = Math.min(retryAfter !== null ? retryAfter : baseDelayMs * 2 ** attempt, maxDelayMs);
+          console.warn(`⏳ HTTP ${status} from ${host}, backing off ${(delayMs / 1000).toFixed(1)}s (retry ${attempt + 1}/${maxRetries})`);
+          pauseHost(host, delayMs);
+        }
+      }
+    }
+  };
+}
+
+module.exports = {
+  RETRY_STATUSES,
+  createRateLimiter,
+  createStatusError
+};
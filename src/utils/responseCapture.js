@@ -0,0 +1,117 @@
+/**
+ * Captures the response bodies a page receives while it loads
+ *
+ * Assets the browser already fetched (stylesheets, fonts, images) are read from
+ * the capture instead of being downloaded again, so they come with the browser's
+ * cookies, proxy authentication and referer. Every page load starts a new
+ * capture; a route keeps the capture of its load even after its page goes back
+ * to the pool.
+ */
+
+// Page -> capture of its current load
+const currentCaptures = new WeakMap();
+
+/**
+ * Removes the fragment of a URL, which is never part of a request
+ * @param {string} url - URL
+ * @returns {string}
+ */
+function stripFragment(url) {
+  const index = url.indexOf('#');
+  return index === -1 ? url : url.slice(0, index);
+}
+
+/**
+ * Creates an empty capture
+ * @returns {Object} - Capture with record, lookup, size and requestHeaders
+ */
+function createResponseCapture() {
+  // URL -> promise of {status, headers, body} (body is null when it couldn't be read)
+  const responses = new Map();
+
+  return {
+    // URL of the page and the headers the browser sent for it (user agent, ...), for downloads the browser never made
+    pageUrl: null,
+    requestHeaders: {},
+
+    /**
+     * Records a response
+     * @param {string[]} urls - Requested URL and the URLs that redirected to it
+     * @param {Promise<Object>} entry - Promise of {status, headers, body}
+     */
+    record(urls, entry) {
+      urls.forEach(url => responses.set(stripFragment(url), entry));
+    },
+
+    /**
+     * Looks up the successful response for a URL
+     * @param {string} url - Asset URL
+     * @returns {Promise<Object|null>} - {status, headers, body}, or null if the URL was not loaded successfully
+     */
+    async lookup(url) {
+      const entry = responses.get(stripFragment(url));
+      if (!entry) return null;
+      const response = await entry;
+      return response.body && response.status >= 200 && response.status < 300 ? response : null;
+    },
+
+    /**
+     * @returns {number} - Number of captured URLs
+     */
+    size() {
+      return responses.size;
+    }
+  };
+}
+
+/**
+ * Starts capturing responses on a page. Call once per page, before it first navigates.
+ * @param {Page} page - Puppeteer page
+ */
+function attachResponseCapture(page) {
+  page.on('response', response => {
+    const capture = currentCaptures.get(page);
+    const url = response.url();
+    if (!capture || url.startsWith('data:')) return;
+
+    const status = response.status();
+    // Redirect responses have no body; the final response is recorded under every URL of the chain
+    if (status >= 300 && status < 400) return;
+
+    const request = response.request();
+    if (request.isNavigationRequest() && request.frame() === page.mainFrame()) {
+      capture.pageUrl = url;
+      capture.requestHeaders = request.headers();
+    }
+
+    const entry = response.buffer()
+      .then(body => ({ status, headers: response.headers(), body }))
+      .catch(() => ({ status, headers: response.headers(), body: null }));
+    capture.record([url, ...request.redirectChain().map(redirect => redirect.url())], entry);
+  });
+}
+
+/**
+ * Begins a new capture for the next load of a page
+ * @param {Page} page - Puppeteer page with attachResponseCapture applied
+ * @returns {Object} - The new capture
+ */
+function startResponseCapture(page) {
+  const capture = createResponseCapture();
+  currentCaptures.set(page, capture);
+  return capture;
+}
+
+/**
+ * @param {Page} page - Puppeteer page
+ * @returns {Object|null} - The capture of the page's current load
+ */
+function getResponseCapture(page) {
+  return (page && currentCaptures.get(page)) || null;
+}
+
+module.exports = {
+  attachResponseCapture,
+  startResponseCapture,
+  getResponseCapture
+};
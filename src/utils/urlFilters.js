@@ -0,0 +1,149 @@
+/**
+ * Include/exclude rules for route discovery
+ *
+ * Patterns are either regular expressions marked with "re:" ("re:/v[0-9]+/"),
+ * matched case-insensitively anywhere in the full URL, or globs. Anything
+ * without the marker, such as "/blog/" or "/docs/intro", is a glob.
+ * Globs that start with "/" are matched against the URL's path and query string,
+ * all other globs against the full URL. In globs "*" matches within one path
+ * segment, "**" matches across segments and "?" matches a single character.
+ */
+
+/**
+ * Routes that are excluded unless default excludes are turned off
+ */
+const DEFAULT_EXCLUDES = [
+  {
+    name: 'logout',
+    pattern: /\/(log-?out|sign-?out)(\/|\?|$)/i
+  },
+  {
+    name: 'cart',
+    pattern: /\/(cart|basket|checkout)(\/|\?|$)/i
+  },
+  {
+    name: 'admin',
+    pattern: /\/(admin|administrator|wp-admin|wp-login\.php)(\/|\?|$)/i
+  },
+  {
+    name: 'file download',
+    pattern: /\.(pdf|zip|rar|7z|tar|gz|tgz|dmg|exe|msi|docx?|xlsx?|pptx?|csv)(\?|$)/i
+  },
+  {
+    name: 'tracking redirect',
+    pattern: /(\/(redirect|out|outbound|track|click|go)(\/|\?))|([?&](url|redirect|redirect_to|redirect_uri|goto|dest|destination|target)=(https?%3A|https?:))/i
+  }
+];
+
+/**
+ * Marks a pattern as a regular expression
+ */
+const REGEX_PREFIX = 're:';
+
+/**
+ * Converts a glob pattern to a regular expression
+ * @param {string} glob - Glob pattern
+ * @returns {RegExp} - Anchored regular expression
+ */
+function globToRegExp(glob) {
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*' && glob[i + 1] === '*') {
+      source += '.*';
+      i++;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '.';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Compiles a user-supplied pattern into a matcher
+ * @param {string|RegExp} pattern - "re:regex", a glob, or a RegExp
+ * @returns {{source: string, test: Function}} - Matcher for full URLs
+ * @throws {Error} - When a "re:" pattern isn't a valid regular expression
+ */
+function compilePattern(pattern) {
+  if (pattern instanceof RegExp) {
+    // g and y make test() start where the previous match ended
+    const regex = new RegExp(pattern.source, pattern.flags.replace(/[gy]/g, ''));
+    return { source: String(pattern), test: url => regex.test(url) };
+  }
+
+  if (pattern.startsWith(REGEX_PREFIX)) {
+    let regex;
+    try {
+      regex = new RegExp(pattern.slice(REGEX_PREFIX.length), 'i');
+    } catch (error) {
+      throw new Error(`Invalid regular expression in pattern ${pattern}: ${error.message}`);
+    }
+    return { source: pattern, test: url => regex.test(url) };
+  }
+
+  const regex = globToRegExp(pattern);
+  const matchPathOnly = pattern.startsWith('/');
+  return {
+    source: pattern,
+    test: url => {
+      if (!matchPathOnly) return regex.test(url);
+      try {
+        const parsedUrl = new URL(url);
+        return regex.test(parsedUrl.pathname) || regex.test(parsedUrl.pathname + parsedUrl.search);
+      } catch (e) {
+        return false;
+      }
+    }
+  };
+}
+
+/**
+ * Creates a URL filter from include/exclude rules
+ *
+ * @param {Object} options - Filter options
+ * @param {Array} options.include - Patterns a URL must match at least one of (when non-empty)
+ * @param {Array} options.exclude - Patterns that reject a URL
+ * @param {boolean} options.useDefaultExcludes - Apply DEFAULT_EXCLUDES (default: true)
+ * @returns {Function} - (url) => null when the URL is allowed, otherwise the rejection reason
+ */
+function createUrlFilter(options = {}) {
+  const {
+    include = [],
+    exclude = [],
+    useDefaultExcludes = true
+  } = options;
+
+  const includeMatchers = include.map(compilePattern);
+  const excludeMatchers = exclude.map(compilePattern);
+
+  return function getRejectionReason(url) {
+    const excludedBy = excludeMatchers.find(matcher => matcher.test(url));
+    if (excludedBy) {
+      return `matches exclude pattern ${excludedBy.source}`;
+    }
+
+    if (useDefaultExcludes) {
+      const defaultRule = DEFAULT_EXCLUDES.find(rule => rule.pattern.test(url));
+      if (defaultRule) {
+        return `matches default exclude rule "${defaultRule.name}"`;
+      }
+    }
+
+    if (includeMatchers.length > 0 && !includeMatchers.some(matcher => matcher.test(url))) {
+      return 'does not match any include pattern';
+    }
+
+    return null;
+  };
+}
+
+module.exports = {
+  DEFAULT_EXCLUDES,
+  compilePattern,
+  createUrlFilter
+};